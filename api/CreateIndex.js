@@ -0,0 +1,17 @@
+import { createHandler, requireField } from './_lib/handler.js';
+import { createIndex } from './_lib/store.js';
+
+export default createHandler(async body => {
+    return createIndex(requireField(body, 'vectorBucketName'), {
+        indexName: requireField(body, 'indexName'),
+        dimension: requireField(body, 'dimension'),
+        distanceMetric: body.distanceMetric || 'l2',
+        windowStart: body.windowStart,
+        windowSize: body.windowSize,
+        level: body.level,
+        quantization: body.quantization,
+        seed: body.seed,
+        compactedFrom: body.compactedFrom,
+        compactedAt: body.compactedAt
+    });
+});
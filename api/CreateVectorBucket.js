@@ -0,0 +1,6 @@
+import { createHandler, requireField } from './_lib/handler.js';
+import { createBucket } from './_lib/store.js';
+
+export default createHandler(async body => {
+    return createBucket(requireField(body, 'vectorBucketName'));
+});
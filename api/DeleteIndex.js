@@ -0,0 +1,6 @@
+import { createHandler, requireField } from './_lib/handler.js';
+import { deleteIndex } from './_lib/store.js';
+
+export default createHandler(async body => {
+    await deleteIndex(requireField(body, 'vectorBucketName'), requireField(body, 'indexName'));
+});
@@ -0,0 +1,6 @@
+import { createHandler, requireField } from './_lib/handler.js';
+import { deleteBucket } from './_lib/store.js';
+
+export default createHandler(async body => {
+    await deleteBucket(requireField(body, 'vectorBucketName'));
+});
@@ -0,0 +1,19 @@
+// 删除向量：把 keys 中存在且未删除的向量记入索引的墓碑（tombstones），之后的查询、读取和列出都跳过它们
+// 扩展返回字段 deletedKeys 为本次实际删除的 key
+import { createHandler, requireField, requireKeys } from './_lib/handler.js';
+import { getTombstones, requireIndex, saveIndex } from './_lib/store.js';
+
+export default createHandler(async body => {
+    const bucketName = requireField(body, 'vectorBucketName');
+    const index = await requireIndex(bucketName, requireField(body, 'indexName'));
+    const keys = requireKeys(body);
+
+    const tombstones = getTombstones(index);
+    const existing = new Set(index.vectors.map(v => v.key));
+    const deletedKeys = Array.from(new Set(keys)).filter(key => existing.has(key) && !tombstones.has(key));
+    if (deletedKeys.length > 0) {
+        index.tombstones = [...tombstones, ...deletedKeys];
+        await saveIndex(bucketName, index);
+    }
+    return { deletedKeys };
+});
@@ -0,0 +1,17 @@
+import { createHandler, requireField, requireKeys } from './_lib/handler.js';
+import { getTombstones, requireIndex } from './_lib/store.js';
+
+export default createHandler(async body => {
+    const index = await requireIndex(requireField(body, 'vectorBucketName'), requireField(body, 'indexName'));
+    const keys = new Set(requireKeys(body));
+    const tombstones = getTombstones(index);
+
+    const vectors = index.vectors
+        .filter(v => keys.has(v.key) && !tombstones.has(v.key))
+        .map(v => ({
+            key: v.key,
+            ...(body.returnData ? { data: v.data } : {}),
+            ...(body.returnMetadata ? { metadata: v.metadata } : {})
+        }));
+    return { vectors };
+});
@@ -0,0 +1,6 @@
+import { createHandler, requireField } from './_lib/handler.js';
+import { listIndexes } from './_lib/store.js';
+
+export default createHandler(async body => {
+    return { indexes: await listIndexes(requireField(body, 'vectorBucketName')) };
+});
@@ -0,0 +1,6 @@
+import { createHandler } from './_lib/handler.js';
+import { listBuckets } from './_lib/store.js';
+
+export default createHandler(async () => {
+    return { vectorBuckets: await listBuckets() };
+});
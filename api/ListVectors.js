@@ -0,0 +1,26 @@
+// 分页列出索引中的向量：nextToken 为下一页的起始位置，已删除的向量不返回（该页可能少于 maxResults 个）
+import { createHandler, requireField } from './_lib/handler.js';
+import { TOSApiError, getTombstones, requireIndex } from './_lib/store.js';
+
+const MAX_RESULTS_LIMIT = 1000;
+
+export default createHandler(async body => {
+    const index = await requireIndex(requireField(body, 'vectorBucketName'), requireField(body, 'indexName'));
+    const maxResults = body.maxResults ?? 500;
+    if (!Number.isInteger(maxResults) || maxResults <= 0 || maxResults > MAX_RESULTS_LIMIT) {
+        throw new TOSApiError(400, 'ValidationException', `maxResults 必须是 1-${MAX_RESULTS_LIMIT} 的整数`);
+    }
+    const start = body.nextToken ? Number(body.nextToken) : 0;
+    if (!Number.isInteger(start) || start < 0) {
+        throw new TOSApiError(400, 'ValidationException', `无效的 nextToken: ${body.nextToken}`);
+    }
+
+    const end = start + maxResults;
+    const tombstones = getTombstones(index);
+    const vectors = index.vectors.slice(start, end).filter(v => !tombstones.has(v.key)).map(v => ({
+        key: v.key,
+        ...(body.returnData ? { data: v.data } : {}),
+        ...(body.returnMetadata ? { metadata: v.metadata } : {})
+    }));
+    return end < index.vectors.length ? { vectors, nextToken: String(end) } : { vectors };
+});
@@ -0,0 +1,52 @@
+// 写入向量：key 已存在（包括已删除）时覆盖，写入后重建索引的 IVF 和量化编码
+// 扩展参数 train：为 false 时只写入向量，不重建 IVF 和量化编码（分批写入时只在最后一批训练），
+// 此时索引退回精确扫描，直到下一次 train 不为 false 的写入
+import { createHandler, requireField } from './_lib/handler.js';
+import { TOSApiError, describeANN, getDistanceFunction, requireIndex, saveIndex } from './_lib/store.js';
+import { buildIVF } from '../public/engine/ivf.js';
+import { describeQuantization, trainQuantizer } from '../public/engine/quantization.js';
+import { createRandom } from '../public/engine/random.js';
+
+export default createHandler(async body => {
+    const bucketName = requireField(body, 'vectorBucketName');
+    const index = await requireIndex(bucketName, requireField(body, 'indexName'));
+    const vectors = requireField(body, 'vectors');
+    const train = body.train ?? true;
+    if (typeof train !== 'boolean') {
+        throw new TOSApiError(400, 'ValidationException', `无效的 train: ${train}`);
+    }
+
+    const byKey = new Map(index.vectors.map(v => [v.key, v]));
+    vectors.forEach(v => {
+        const data = v.data && v.data.float32;
+        if (typeof v.key !== 'string' || v.key === '') {
+            throw new TOSApiError(400, 'ValidationException', '向量缺少 key');
+        }
+        if (!Array.isArray(data) || data.length !== index.dimension || data.some(x => !Number.isFinite(x))) {
+            throw new TOSApiError(400, 'ValidationException',
+                `向量 ${v.key} 维度不匹配，期望 ${index.dimension} 维`);
+        }
+        if (v.metadata !== undefined && (v.metadata === null || typeof v.metadata !== 'object' || Array.isArray(v.metadata))) {
+            throw new TOSApiError(400, 'ValidationException', `向量 ${v.key} 的元数据必须是对象`);
+        }
+        byKey.set(v.key, { key: v.key, data: { float32: data }, metadata: v.metadata || {} });
+    });
+
+    index.vectors = Array.from(byKey.values());
+    const written = new Set(vectors.map(v => v.key));
+    index.tombstones = (index.tombstones || []).filter(key => !written.has(key));
+    if (train) {
+        // 按全部向量重建 IVF 和量化编码；每次都从索引的种子开始，结果只取决于种子和全部向量
+        const data = index.vectors.map(v => v.data.float32);
+        const distance = getDistanceFunction(index.distanceMetric);
+        const random = createRandom(index.seed ?? 0);
+        index.ivf = buildIVF(data, distance, { random });
+        index.quantizer = trainQuantizer(index.quantizationType || 'none', data, { metric: index.distanceMetric, distance, random });
+    } else {
+        // 旧的 IVF 和量化编码不包含新写入的向量
+        index.ivf = null;
+        index.quantizer = null;
+    }
+    await saveIndex(bucketName, index);
+    return { ann: describeANN(index.ivf), quantization: describeQuantization(index.quantizer) };
+});
@@ -0,0 +1,75 @@
+// 查询向量：在索引内按索引的距离度量计算 top-K，可选按元数据过滤
+// 索引有 IVF 时探测 nprobe 个簇，有量化编码时在编码上取 topK * rerankFactor 个候选再用原始向量重排
+// （exact 为 true 时精确扫描原始向量）
+// 扩展参数 radius：返回距离不超过 radius 的全部向量，此时 topK 为可选的最大结果数
+// 已删除（在墓碑中）的向量不参与查询
+import { createHandler, requireField } from './_lib/handler.js';
+import { TOSApiError, getDistanceFunction, getTombstones, requireIndex } from './_lib/store.js';
+import { matchesFilter, validateFilter } from '../public/engine/filter.js';
+import { validateRadiusQuery } from '../public/engine/metrics.js';
+import { IVF_DEFAULTS } from '../public/engine/ivf.js';
+import { QUANTIZATION_DEFAULTS, searchIndex } from '../public/engine/quantization.js';
+
+export default createHandler(async body => {
+    const index = await requireIndex(requireField(body, 'vectorBucketName'), requireField(body, 'indexName'));
+    const queryVector = requireField(body, 'queryVector').float32;
+    const radius = body.radius ?? null;
+    const topK = radius === null ? body.topK || 5 : body.topK ?? null;
+
+    if (!Array.isArray(queryVector) || queryVector.length !== index.dimension) {
+        throw new TOSApiError(400, 'ValidationException',
+            `查询向量维度不匹配，期望 ${index.dimension} 维，实际 ${Array.isArray(queryVector) ? queryVector.length : 0} 维`);
+    }
+
+    if (body.filter) {
+        try {
+            validateFilter(body.filter);
+        } catch (e) {
+            throw new TOSApiError(400, 'ValidationException', e.message);
+        }
+    }
+
+    const nprobe = body.nprobe ?? IVF_DEFAULTS.nprobe;
+    const rerankFactor = body.rerankFactor ?? QUANTIZATION_DEFAULTS.rerankFactor;
+    if (!Number.isInteger(nprobe) || nprobe < 1) {
+        throw new TOSApiError(400, 'ValidationException', `无效的 nprobe: ${nprobe}`);
+    }
+    if (!Number.isInteger(rerankFactor) || rerankFactor < 1) {
+        throw new TOSApiError(400, 'ValidationException', `无效的 rerankFactor: ${rerankFactor}`);
+    }
+    if (radius !== null) {
+        try {
+            validateRadiusQuery(radius, topK);
+        } catch (e) {
+            throw new TOSApiError(400, 'ValidationException', e.message);
+        }
+    } else if (!Number.isInteger(topK) || topK < 1) {
+        throw new TOSApiError(400, 'ValidationException', `无效的 topK: ${topK}`);
+    }
+
+    const tombstones = getTombstones(index);
+    const { hits, distanceComputations } = searchIndex(queryVector, {
+        count: index.vectors.length,
+        getData: p => index.vectors[p].data.float32,
+        ivf: body.exact ? null : index.ivf,
+        quantizer: body.exact ? null : index.quantizer,
+        metric: index.distanceMetric,
+        distance: getDistanceFunction(index.distanceMetric)
+    }, {
+        k: topK,
+        radius,
+        nprobe,
+        rerankFactor,
+        accept: p => !tombstones.has(index.vectors[p].key) && matchesFilter(index.vectors[p].metadata, body.filter)
+    });
+
+    const vectors = hits
+        .map(({ position, distance }) => ({
+            key: index.vectors[position].key,
+            ...(body.returnDistance !== false ? { distance } : {}),
+            ...(body.returnData ? { data: index.vectors[position].data } : {}),
+            ...(body.returnMetadata ? { metadata: index.vectors[position].metadata } : {})
+        }));
+
+    return { vectors, distanceMetric: index.distanceMetric, distanceComputations };
+});
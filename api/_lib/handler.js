@@ -0,0 +1,63 @@
+// API 路由的公共包装：只接受 POST JSON 请求，统一错误格式 { error: { code, message } }
+
+import { TOSApiError } from './store.js';
+
+async function readBody(req) {
+    if (req.body && typeof req.body === 'object') return req.body;
+    if (typeof req.body === 'string') return req.body ? JSON.parse(req.body) : {};
+
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    return raw ? JSON.parse(raw) : {};
+}
+
+export function requireField(body, field) {
+    if (body[field] === undefined || body[field] === null) {
+        throw new TOSApiError(400, 'ValidationException', `缺少参数: ${field}`);
+    }
+    return body[field];
+}
+
+// GetVectors / DeleteVectors 的 keys 参数：非空字符串组成的数组
+export function requireKeys(body) {
+    const keys = requireField(body, 'keys');
+    if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string' || key === '')) {
+        throw new TOSApiError(400, 'ValidationException', 'keys 必须是非空字符串数组');
+    }
+    return keys;
+}
+
+export function createHandler(action) {
+    return async function handler(req, res) {
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method !== 'POST') {
+            res.statusCode = 405;
+            res.end(JSON.stringify({ error: { code: 'MethodNotAllowed', message: '只支持 POST 请求' } }));
+            return;
+        }
+
+        try {
+            let body;
+            try {
+                body = await readBody(req);
+            } catch (e) {
+                throw new TOSApiError(400, 'ValidationException', '请求体不是合法的 JSON');
+            }
+            const result = await action(body);
+            res.statusCode = 200;
+            res.end(JSON.stringify(result || {}));
+        } catch (e) {
+            const status = e instanceof TOSApiError ? e.status : 500;
+            const code = e instanceof TOSApiError ? e.code : 'InternalServerError';
+            if (status === 500) {
+                console.error(e);
+            }
+            res.statusCode = status;
+            res.end(JSON.stringify({ error: { code, message: e.message } }));
+        }
+    };
+}
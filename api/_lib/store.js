@@ -0,0 +1,203 @@
+// TOS Vectors 本地替身的文件存储
+// 目录结构: <dataDir>/<bucket>/_bucket.json 记录 bucket 信息，<dataDir>/<bucket>/<index>.json 保存索引及其向量
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getMetric } from '../../public/engine/metrics.js';
+import {
+    QUANTIZATION_TYPES,
+    describeQuantization,
+    serializeQuantizer,
+    deserializeQuantizer
+} from '../../public/engine/quantization.js';
+
+// Vercel 线上环境只有临时目录可写，本地开发写到项目下的 .tos-data
+const DATA_DIR = process.env.TOS_DATA_DIR ||
+    (process.env.VERCEL && !process.env.VERCEL_DEV
+        ? path.join(os.tmpdir(), 'tos-data')
+        : path.join(process.cwd(), '.tos-data'));
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,62}$/;
+const BUCKET_META_FILE = '_bucket.json';
+
+export class TOSApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 距离度量与前端共用 public/engine/metrics.js，distance 统一为"越小越近"
+export function getDistanceFunction(metric) {
+    try {
+        return getMetric(metric).distance;
+    } catch (e) {
+        throw new TOSApiError(400, 'ValidationException', e.message);
+    }
+}
+
+function validateName(name, kind) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new TOSApiError(400, 'ValidationException', `无效的 ${kind} 名称: ${name}`);
+    }
+}
+
+function bucketDir(bucketName) {
+    validateName(bucketName, 'vectorBucketName');
+    return path.join(DATA_DIR, bucketName);
+}
+
+function indexFile(bucketName, indexName) {
+    validateName(indexName, 'indexName');
+    return path.join(bucketDir(bucketName), `${indexName}.json`);
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+// 先写临时文件再重命名，避免并发读到写了一半的索引
+async function writeJson(file, data) {
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+}
+
+async function requireBucket(bucketName) {
+    const meta = await readJson(path.join(bucketDir(bucketName), BUCKET_META_FILE));
+    if (!meta) {
+        throw new TOSApiError(404, 'NotFoundException', `Vector bucket 不存在: ${bucketName}`);
+    }
+    return meta;
+}
+
+export async function requireIndex(bucketName, indexName) {
+    await requireBucket(bucketName);
+    const index = await readJson(indexFile(bucketName, indexName));
+    if (!index) {
+        throw new TOSApiError(404, 'NotFoundException', `Index 不存在: ${bucketName}/${indexName}`);
+    }
+    return { ...index, quantizer: deserializeQuantizer(index.quantizer) };
+}
+
+// 量化编码在文件中保存为 base64
+export async function saveIndex(bucketName, index) {
+    await writeJson(indexFile(bucketName, index.indexName), { ...index, quantizer: serializeQuantizer(index.quantizer) });
+}
+
+export async function createBucket(bucketName) {
+    const dir = bucketDir(bucketName);
+    if (await readJson(path.join(dir, BUCKET_META_FILE))) {
+        throw new TOSApiError(409, 'ConflictException', `Vector bucket 已存在: ${bucketName}`);
+    }
+    await fs.mkdir(dir, { recursive: true });
+    const meta = { vectorBucketName: bucketName, creationTime: Date.now() };
+    await writeJson(path.join(dir, BUCKET_META_FILE), meta);
+    return meta;
+}
+
+export async function listBuckets() {
+    let entries = [];
+    try {
+        entries = await fs.readdir(DATA_DIR, { withFileTypes: true });
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    const buckets = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const meta = await readJson(path.join(DATA_DIR, entry.name, BUCKET_META_FILE));
+        if (meta) buckets.push(meta);
+    }
+    return buckets.sort((a, b) => a.creationTime - b.creationTime);
+}
+
+// 与 TOS 一致，只能删除空 bucket
+export async function deleteBucket(bucketName) {
+    await requireBucket(bucketName);
+    if ((await listIndexes(bucketName)).length > 0) {
+        throw new TOSApiError(409, 'ConflictException', `Vector bucket 不为空: ${bucketName}`);
+    }
+    await fs.rm(bucketDir(bucketName), { recursive: true, force: true });
+}
+
+export async function createIndex(bucketName, { indexName, dimension, distanceMetric, windowStart, windowSize, level, quantization, seed, compactedFrom, compactedAt }) {
+    await requireBucket(bucketName);
+    if (!Number.isInteger(dimension) || dimension <= 0) {
+        throw new TOSApiError(400, 'ValidationException', `无效的向量维度: ${dimension}`);
+    }
+    getDistanceFunction(distanceMetric);
+    if (quantization !== undefined && !QUANTIZATION_TYPES[quantization]) {
+        throw new TOSApiError(400, 'ValidationException', `不支持的量化方式: ${quantization}`);
+    }
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+        throw new TOSApiError(400, 'ValidationException', `无效的随机种子: ${seed}`);
+    }
+    if (await readJson(indexFile(bucketName, indexName))) {
+        throw new TOSApiError(409, 'ConflictException', `Index 已存在: ${bucketName}/${indexName}`);
+    }
+
+    const index = {
+        indexName,
+        dimension,
+        distanceMetric,
+        windowStart: windowStart ?? null,
+        windowSize: windowSize ?? null,
+        level: level ?? 0,
+        quantizationType: quantization ?? 'none',
+        seed: seed ?? 0, // IVF / PQ 训练的随机种子
+        compactedFrom: compactedFrom ?? null,
+        compactedAt: compactedAt ?? null,
+        creationTime: Date.now(),
+        vectors: [],
+        tombstones: [] // 已删除的 key，见 DeleteVectors
+    };
+    await saveIndex(bucketName, index);
+    return describeIndex(index);
+}
+
+// 索引信息（不含向量数据、IVF 结构和量化编码）；vectorCount 包含已删除的向量，tombstones 为它们的 key
+export function describeIndex(index) {
+    const { vectors, ivf, quantizer, tombstones, ...info } = index;
+    return {
+        ...info,
+        vectorCount: vectors.length,
+        tombstones: tombstones || [],
+        ann: describeANN(ivf),
+        quantization: describeQuantization(quantizer)
+    };
+}
+
+// 索引中已删除的 key：DeleteVectors 只记录墓碑，不移动向量，IVF 和量化编码中的位置保持不变
+export function getTombstones(index) {
+    return new Set(index.tombstones || []);
+}
+
+// IVF 的概要信息（不含簇中心和倒排列表）
+export function describeANN(ivf) {
+    return ivf ? { type: ivf.type, nlist: ivf.nlist } : null;
+}
+
+export async function listIndexes(bucketName) {
+    const dir = bucketDir(bucketName);
+    await requireBucket(bucketName);
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json') && f !== BUCKET_META_FILE);
+    const indexes = [];
+    for (const file of files) {
+        const index = await readJson(path.join(dir, file));
+        if (index) indexes.push(describeIndex(index));
+    }
+    return indexes.sort((a, b) => (a.windowStart ?? 0) - (b.windowStart ?? 0));
+}
+
+export async function deleteIndex(bucketName, indexName) {
+    await requireIndex(bucketName, indexName);
+    await fs.rm(indexFile(bucketName, indexName), { force: true });
+}
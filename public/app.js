@@ -1,331 +1,673 @@
 // HNSW & TOS Vectors 分层向量存储演示
-// 数据结构和全局变量
-
-class Vector {
-    constructor(id, data, timestamp, level = 0) {
-        this.id = id;
-        this.data = data; // 4维向量
-        this.timestamp = timestamp;
-        this.level = level; // 节点所在的最高层级
-        this.neighbors = {}; // 每层的邻居节点 { layer: [neighbors] }
-
-        // 初始化每一层的邻居数组
-        for (let i = 0; i <= level; i++) {
-            this.neighbors[i] = [];
-        }
+// 页面交互和可视化；存储/索引引擎位于 engine/ 下的 ES 模块中，在 Web Worker 里运行（见 engine/engine-host.js），
+// 页面只保存 HNSW 图的渲染镜像和 TOS Bucket 的概要
+
+import { getMetric, validateDimension, validateRadiusQuery } from './engine/metrics.js';
+import { validateMetadata, validateFilter } from './engine/filter.js';
+import { Vector } from './engine/vector.js';
+import { HNSWIndex, resolveHNSWParams } from './engine/hnsw.js';
+import { QUANTIZATION_TYPES } from './engine/quantization.js';
+import { detectImportFormat } from './engine/importer.js';
+import { exportHNSW, exportQueryResults, EXPORT_FORMATS } from './engine/exporter.js';
+import { EventLog, createRunRandom, getEventVectors } from './engine/event-log.js';
+import { validateSeed, randomSeed } from './engine/random.js';
+import { EngineClient, createLocalPort } from './engine/engine-client.js';
+import { applyGraphDiff } from './engine/graph-diff.js';
+import {
+    VirtualClock,
+    validateIngestSettings,
+    getNextInsertDelay,
+    DEFAULT_INGEST
+} from './engine/simulation.js';
+import {
+    getTimeWindow,
+    formatTimeWindow,
+    formatDuration,
+    validateWindowSize,
+    DEFAULT_WINDOW_SIZE,
+    WINDOW_SIZES
+} from './engine/windows.js';
+import {
+    collectExpiredWindows,
+    getNextFlushTime,
+    getRetentionUsage,
+    validateRetentionPolicy,
+    DEFAULT_RETENTION,
+    RETENTION_POLICIES
+} from './engine/tiered-store.js';
+import {
+    getCompactionTier,
+    validateCompactionPolicy,
+    DEFAULT_COMPACTION
+} from './engine/compaction.js';
+
+// 读取上次选择的 TOS 后端
+function getSavedTOSBackend() {
+    try {
+        return localStorage.getItem('tosBackend') || 'indexeddb';
+    } catch (e) {
+        return 'indexeddb';
     }
+}
 
-    // 计算与另一个向量的欧氏距离
-    distance(other) {
-        let sum = 0;
-        for (let i = 0; i < this.data.length; i++) {
-            sum += Math.pow(this.data[i] - other.data[i], 2);
-        }
-        return Math.sqrt(sum);
+// 恢复上次的虚拟时钟（速度和相对真实时间的偏移），避免刷新页面后虚拟时间倒退
+function getSavedClock() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('virtualClock'));
+        if (saved) return VirtualClock.fromState(saved);
+    } catch (e) {
+        console.warn('虚拟时钟状态无效，使用真实时间:', e);
     }
+    return new VirtualClock();
 }
 
-class HNSWIndex {
-    constructor() {
-        this.vectors = [];
-        this.maxConnections = 2; // 每个节点最多连接数 (M) - 更稀疏
-        this.maxConnectionsLayer0 = 4; // 第0层的最大连接数 (M0) - 更稀疏
-        this.levelMultiplier = 1 / Math.log(2); // 层级分配参数 (mL)
-        this.entryPoint = null; // 入口点（最高层的节点）
-        this.maxLevel = 0; // 当前最高层级
+function saveClock() {
+    try {
+        localStorage.setItem('virtualClock', JSON.stringify(app.clock.getState()));
+    } catch (e) {
+        // 存储不可用时下次从真实时间开始
     }
+}
 
-    // 随机分配层级（指数衰减分布）
-    randomLevel() {
-        let level = 0;
-        while (Math.random() < 0.5 && level < 2) { // 最多2层（0,1,2 共3层）
-            level++;
+// 在 module worker 中运行引擎；不支持时退回到在页面线程运行，消息协议相同
+function createEnginePort() {
+    if (typeof Worker !== 'undefined') {
+        try {
+            return new Worker(new URL('./engine/engine-worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            console.warn('无法创建引擎 worker，在页面线程运行引擎:', e);
         }
-        return level;
-    }
-
-    // 获取指定层级的最大连接数
-    getMaxConnections(layer) {
-        return layer === 0 ? this.maxConnectionsLayer0 : this.maxConnections;
     }
+    return createLocalPort();
+}
 
-    // 插入向量到 HNSW 索引
-    insert(vector) {
-        // 第一个节点，直接设为入口点
-        if (this.vectors.length === 0) {
-            this.entryPoint = vector;
-            this.maxLevel = vector.level;
-            this.vectors.push(vector);
-            return;
-        }
-
-        // 从顶层开始搜索最近邻
-        let currentNearest = [{ vector: this.entryPoint, distance: vector.distance(this.entryPoint) }];
-
-        // 从最高层向下搜索到新节点的层级+1
-        for (let lc = this.maxLevel; lc > vector.level; lc--) {
-            currentNearest = this.searchLayer(vector, currentNearest, 1, lc);
-        }
-
-        // 在新节点所在的每一层建立连接
-        for (let lc = vector.level; lc >= 0; lc--) {
-            const candidates = this.searchLayer(vector, currentNearest, this.getMaxConnections(lc), lc);
-            const M = this.getMaxConnections(lc);
-
-            // 选择最好的 M 个邻居
-            const neighbors = this.selectNeighbors(vector, candidates, M);
+// 全局应用状态
+const app = {
+    engine: null, // 引擎客户端，HNSW 索引、TOS Bucket 和事件日志都在引擎中
+    hnswIndex: new HNSWIndex(), // HNSW 图的镜像，只用于渲染和统计，由引擎发来的图差异更新
+    tos: null, // TOS Bucket 的概要 { backend, dimension, metric, quantization, nprobe, exactSearch, rerankFactor, indexes, compactionHistory }
+    vectorIdCounter: 0,
+    clock: getSavedClock(), // 虚拟时钟：窗口、flush、存活时长和合并都按它计算
+    seed: randomSeed(), // 运行种子：随机向量、HNSW 层级、插入间隔和 TOS 索引训练都由它派生
+    rng: null, // 由种子派生的随机序列 { data, levels, timing, benchmark }，页面使用 data、timing 和 benchmark
+    eventLog: null, // 引擎中事件日志的概要 { eventCount, baseline }
+    replaying: false, // 是否正在重放事件日志
+    windowSize: DEFAULT_WINDOW_SIZE, // 时间窗口粒度（毫秒）
+    retention: { ...DEFAULT_RETENTION }, // 当前生效的保留策略
+    flushing: false, // 是否有 flush 正在写入 TOS
+    flushTimer: null, // 下一次定时 flush
+    nextFlushTime: null, // 下一次定时 flush 的时刻，为空表示由插入超限触发
+    compaction: { ...DEFAULT_COMPACTION }, // TOS 索引的合并策略
+    compacting: false, // 是否有合并正在进行
+    importing: false, // 是否有批量导入正在进行
+    lastQuery: null, // 最近一次查询的参数和结果，用于导出
+    svg: null,
+    simulation: null,
+    selectedNode: null,
+    autoInsertTimer: null,
+    nextInsertTime: null, // 下一次自动插入的虚拟时刻
+    ingest: { ...DEFAULT_INGEST }, // 自动插入的速率和每次插入的向量数
+    ingestPaused: false, // 是否暂停自动插入
+    ingestHolds: 0, // 正在进行的、期间跳过自动插入的引擎操作数，见 holdIngest
+    flushPaused: false, // 是否暂停自动 flush（手动 flush 不受影响）
+    compactionTimer: null, // 下一次定时合并检查
+    currentLayerView: 0, // 当前显示的层级（层号或 'all'）
+    searchTrace: null, // 最近一次 HNSW 查询的搜索过程 { steps, current, timer }
+    traceLayer: null // 搜索路径连线所在的 SVG 分组
+};
 
-            // 建立双向连接
-            neighbors.forEach(neighbor => {
-                this.addConnection(vector, neighbor.vector, lc);
-                this.addConnection(neighbor.vector, vector, lc);
+// 工具函数
+function generateRandomVector(dimension = app.hnswIndex.dimension, random = app.rng.data) {
+    return Array.from({ length: dimension }, () => random());
+}
 
-                // 如果邻居连接数超过限制，修剪连接
-                const neighborConnections = neighbor.vector.neighbors[lc];
-                if (neighborConnections.length > M) {
-                    this.pruneConnections(neighbor.vector, M, lc);
-                }
-            });
+// 使用新的运行种子：重新派生页面使用的随机序列（HNSW 层级和 TOS 索引的训练由引擎按同一种子派生）
+function applySeed(seed) {
+    app.seed = seed;
+    app.rng = createRunRandom(seed);
+}
 
-            currentNearest = candidates;
+// 引擎的每个回复都带有图差异和状态概要：先更新镜像，调用方 await 之后即可渲染
+function applyEngineUpdate({ graph, state }) {
+    if (graph) {
+        const index = applyGraphDiff(app.hnswIndex, graph);
+        if (index !== app.hnswIndex) {
+            app.hnswIndex = index;
+            // 旧图上的搜索路径已不再对应新图
+            clearSearchTrace();
         }
-
-        this.vectors.push(vector);
-
-        // 更新入口点
-        if (vector.level > this.maxLevel) {
-            this.maxLevel = vector.level;
-            this.entryPoint = vector;
+    }
+    if (state) {
+        app.tos = state.tos;
+        app.eventLog = state.eventLog;
+        if (state.seed !== app.seed) {
+            applySeed(state.seed);
         }
+        updateEventLogStatus();
     }
+}
 
-    // 在指定层搜索最近邻
-    searchLayer(query, entryPoints, ef, layer) {
-        const visited = new Set();
-        const candidates = [...entryPoints];
-        const results = [...entryPoints];
+function updateEventLogStatus() {
+    document.getElementById('currentSeed').textContent = app.seed;
+    const baseline = app.eventLog.baseline;
+    document.getElementById('eventLogStatus').textContent = `已记录 ${app.eventLog.eventCount} 个事件` +
+        (baseline ? `（开始时已有 ${baseline.hnswVectors + baseline.tosVectors} 个向量，不在日志中）` : '');
+}
 
-        // 初始化访问集合
-        entryPoints.forEach(ep => visited.add(ep.vector.id));
+// 格式化向量数据显示，高维向量只显示前几个分量
+function formatVectorData(data, maxItems = 8) {
+    const shown = data.slice(0, maxItems).map(v => v.toFixed(3)).join(', ');
+    return data.length > maxItems ? `[${shown}, …] (共 ${data.length} 维)` : `[${shown}]`;
+}
 
-        while (candidates.length > 0) {
-            // 获取候选集中最近的点
-            candidates.sort((a, b) => a.distance - b.distance);
-            const current = candidates.shift();
+// 为时间窗口生成颜色
+function getColorForWindow(window, allWindows) {
+    // 使用色相环生成不同的颜色，降低饱和度和亮度
+    const sortedWindows = Array.from(allWindows).sort((a, b) => a - b);
+    const index = sortedWindows.indexOf(window);
+    const hue = (index * 137.5) % 360; // 使用黄金角度分布
+    return `hsl(${hue}, 45%, 60%)`; // 降低饱和度到45%，提高亮度到60%
+}
 
-            // 如果当前点比结果集中最远的点还远，停止搜索
-            results.sort((a, b) => a.distance - b.distance);
-            if (current.distance > results[results.length - 1].distance) {
-                break;
+// 按新参数在引擎中重建 HNSW 图（镜像保留节点坐标），取消时保留原来的图
+// 度量变化时后续 flush 的 TOS 索引也使用新度量
+async function rebuildHNSWIndex(options) {
+    const progress = document.getElementById('rebuildProgress');
+    try {
+        await holdIngest(() => runCancellableTask('rebuild', { options, now: app.clock.now() }, {
+            cancelButton: 'cancelRebuild',
+            onProgress: ({ done, total }) => {
+                progress.textContent = `重建中: ${done} / ${total}`;
             }
+        }));
+    } finally {
+        progress.textContent = '';
+    }
+}
 
-            // 检查当前点在该层的所有邻居
-            const neighbors = current.vector.neighbors[layer] || [];
-            neighbors.forEach(neighbor => {
-                if (!visited.has(neighbor.id)) {
-                    visited.add(neighbor.id);
-                    const dist = query.distance(neighbor);
-
-                    // 如果找到更近的点，或结果集未满
-                    if (results.length < ef || dist < results[results.length - 1].distance) {
-                        candidates.push({ vector: neighbor, distance: dist });
-                        results.push({ vector: neighbor, distance: dist });
-
-                        // 保持结果集大小
-                        results.sort((a, b) => a.distance - b.distance);
-                        if (results.length > ef) {
-                            results.pop();
-                        }
-                    }
-                }
-            });
-        }
+// 切换距离度量：按新度量重建 HNSW 图
+function changeMetric(metricName) {
+    getMetric(metricName);
+    return rebuildHNSWIndex({ metric: metricName });
+}
 
-        return results;
+// 在 task 期间跳过自动插入：导入、重放、重建、切换维度和加载快照会替换 HNSW 索引或按开始时的 vectorIdCounter 分配 ID，
+// 期间生成的向量可能维度不符或 ID 重复
+async function holdIngest(task) {
+    app.ingestHolds++;
+    updateAutoInsertStatus();
+    try {
+        return await task();
+    } finally {
+        app.ingestHolds--;
+        updateAutoInsertStatus();
     }
+}
 
-    // 选择最佳邻居（启发式选择）
-    selectNeighbors(query, candidates, M) {
-        candidates.sort((a, b) => a.distance - b.distance);
-        return candidates.slice(0, M);
+// 执行可取消的引擎操作：期间显示 cancelButton，点击后引擎在下一个进度点以 code 为 'Cancelled' 的错误结束
+async function runCancellableTask(method, params, { cancelButton, onProgress }) {
+    const controller = new AbortController();
+    const button = document.getElementById(cancelButton);
+    const cancel = () => controller.abort();
+    button.addEventListener('click', cancel);
+    button.style.display = '';
+    try {
+        return await app.engine.call(method, params, { onProgress, signal: controller.signal });
+    } finally {
+        button.removeEventListener('click', cancel);
+        button.style.display = 'none';
     }
+}
 
-    // 添加连接
-    addConnection(from, to, layer) {
-        if (!from.neighbors[layer]) {
-            from.neighbors[layer] = [];
-        }
-        if (!from.neighbors[layer].find(n => n.id === to.id)) {
-            from.neighbors[layer].push(to);
-        }
-    }
+// 从参数面板读取 HNSW 参数
+function readHNSWSettings() {
+    const readInt = id => parseInt(document.getElementById(id).value);
+    return resolveHNSWParams({
+        M: readInt('paramM'),
+        M0: readInt('paramM0'),
+        efConstruction: readInt('paramEfConstruction'),
+        efSearch: readInt('paramEfSearch'),
+        mL: parseFloat(document.getElementById('paramML').value),
+        maxLayer: readInt('paramMaxLayer')
+    });
+}
 
-    // 修剪连接（保留最近的 M 个）
-    pruneConnections(vector, M, layer) {
-        const neighbors = vector.neighbors[layer];
-        if (neighbors.length <= M) return;
+// 将当前索引的参数同步到参数面板
+function updateHNSWSettingsPanel() {
+    const index = app.hnswIndex;
+    document.getElementById('paramM').value = index.maxConnections;
+    document.getElementById('paramM0').value = index.maxConnectionsLayer0;
+    document.getElementById('paramEfConstruction').value = index.efConstruction;
+    document.getElementById('paramEfSearch').value = index.efSearch;
+    document.getElementById('paramML').value = Number(index.levelMultiplier.toFixed(4));
+    document.getElementById('paramMaxLayer').value = index.maxLayer;
+}
 
-        const distances = neighbors.map(n => ({
-            neighbor: n,
-            distance: vector.distance(n)
-        }));
+// 按索引的实际层数生成层级切换按钮
+function updateLayerViewOptions() {
+    const container = document.getElementById('layerViewOptions');
+    if (!container) return;
 
-        distances.sort((a, b) => a.distance - b.distance);
-        vector.neighbors[layer] = distances.slice(0, M).map(d => d.neighbor);
+    const layerCount = app.hnswIndex.maxLevel + 1;
+    if (app.currentLayerView !== 'all' && app.currentLayerView >= layerCount) {
+        app.currentLayerView = 0;
     }
 
-    // 查找 k 个最近邻（简化版，用于兼容）
-    findKNearest(query, k) {
-        if (this.vectors.length === 0) return [];
-
-        const distances = this.vectors.map(v => ({
-            vector: v,
-            distance: query.distance(v)
-        }));
-
-        distances.sort((a, b) => a.distance - b.distance);
-        return distances.slice(0, Math.min(k, distances.length)).map(d => d.vector);
+    const existing = container.querySelectorAll('input[name="layerView"]').length;
+    if (existing === layerCount + 1) {
+        return;
     }
 
-    // 搜索最近的向量，返回带距离的结果（使用分层搜索）
-    search(query, k = 5, ef = 50) {
-        if (this.vectors.length === 0) return [];
-        if (!this.entryPoint) return [];
+    const values = [...Array.from({ length: layerCount }, (_, i) => i), 'all'];
+    container.innerHTML = '';
+    values.forEach(value => {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer;';
+        label.innerHTML = `
+            <input type="radio" name="layerView" value="${value}" style="cursor: pointer;"
+                ${value === app.currentLayerView ? 'checked' : ''}>
+            <span style="font-size: 12px; color: #856404;">${value === 'all' ? '所有层' : `层 ${value}`}</span>
+        `;
+        label.querySelector('input').addEventListener('change', (e) => {
+            app.currentLayerView = e.target.value === 'all' ? 'all' : parseInt(e.target.value);
+            updateHNSWGraph();
+        });
+        container.appendChild(label);
+    });
+}
 
-        // 从入口点开始
-        let currentNearest = [{ vector: this.entryPoint, distance: query.distance(this.entryPoint) }];
+// 切换向量维度：维度在创建时固定，因此引擎重新创建 HNSW 索引和 TOS Bucket（同时清空持久化存储）
+async function changeDimension(dimension) {
+    await holdIngest(() => app.engine.call('setDimension', { dimension, now: app.clock.now() }));
+}
 
-        // 从最高层向下搜索到第1层
-        for (let lc = this.maxLevel; lc > 0; lc--) {
-            currentNearest = this.searchLayer(query, currentNearest, 1, lc);
-        }
+// 以文件形式下载文本内容，文件名为 prefix-时间.extension
+function downloadFile(content, prefix, extension, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
 
-        // 在第0层进行详细搜索
-        const results = this.searchLayer(query, currentNearest, Math.max(ef, k), 0);
+// 下载 HNSW 索引快照
+function downloadSnapshot() {
+    const snapshot = app.hnswIndex.toSnapshot();
+    downloadFile(JSON.stringify(snapshot), 'hnsw-snapshot', 'json', 'application/json');
+    showNotification(`已导出快照: ${snapshot.nodes.length} 个向量`);
+}
 
-        // 返回前 k 个结果
-        results.sort((a, b) => a.distance - b.distance);
-        return results.slice(0, k);
+// 导出 HNSW 索引内容、单个 TOS 索引（indexName）或最近一次查询的结果，exportedAt 为虚拟时钟的当前时间
+async function exportData(target, format, indexName) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const now = app.clock.now();
+    try {
+        let content;
+        let prefix;
+        let count;
+        if (target === 'hnsw') {
+            content = exportHNSW(app.hnswIndex, format, { now });
+            prefix = 'hnsw-index';
+            count = app.hnswIndex.vectors.length;
+        } else if (target === 'tos') {
+            // 归档索引的向量只在引擎中（或远端），由引擎读取并生成导出内容
+            ({ content, count } = await app.engine.call('exportIndex', { name: indexName, format, now }));
+            prefix = `tos-${indexName}`;
+        } else {
+            if (!app.lastQuery) {
+                throw new Error('还没有查询结果');
+            }
+            content = exportQueryResults(app.lastQuery, format, { indexes: app.tos.indexes, now });
+            prefix = 'query-results';
+            count = app.lastQuery.results.length;
+        }
+        downloadFile(content, prefix, extension, mimeType);
+        showNotification(`已导出 ${count} 个向量 (${EXPORT_FORMATS[format].label})`);
+    } catch (e) {
+        console.error('✗ 导出失败:', e);
+        showNotification(`导出失败: ${e.message}`, 'error');
     }
+}
 
-    // 移除指定时间窗口及之前的向量（基于时间窗口）
-    removeByTimeWindow(windowThreshold) {
-        const removed = this.vectors.filter(v => {
-            const vectorWindow = getTimeWindow(v.timestamp);
-            return vectorWindow <= windowThreshold;
-        });
+// 从快照文件恢复 HNSW 索引
+async function loadSnapshot(file) {
+    try {
+        const snapshot = JSON.parse(await file.text());
+        // 快照维度与 TOS Bucket 不一致时引擎会重建并清空 Bucket，否则后续 flush 会失败
+        const dimension = snapshot.params ? snapshot.params.dimension : undefined;
+        if (dimension !== undefined && dimension !== app.tos.dimension && app.tos.indexes.length > 0 &&
+            !confirm(`快照为 ${dimension} 维，与当前 TOS Bucket (${app.tos.dimension} 维) 不一致，加载将清空 TOS Bucket，是否继续？`)) {
+            return;
+        }
 
-        this.vectors = this.vectors.filter(v => {
-            const vectorWindow = getTimeWindow(v.timestamp);
-            return vectorWindow > windowThreshold;
-        });
+        const { nextId } = await holdIngest(() => app.engine.call('loadSnapshot', { snapshot, now: app.clock.now() }));
+        app.vectorIdCounter = Math.max(app.vectorIdCounter, nextId);
 
-        // 清理邻居引用（所有层）
-        const remainingIds = new Set(this.vectors.map(v => v.id));
-        this.vectors.forEach(v => {
-            for (let layer in v.neighbors) {
-                v.neighbors[layer] = v.neighbors[layer].filter(n => remainingIds.has(n.id));
-            }
-        });
+        document.getElementById('metric').value = app.hnswIndex.metric;
+        updateHNSWSettingsPanel();
+        document.getElementById('dimension').value = app.hnswIndex.dimension;
+        document.getElementById('queryDimensionLabel').textContent = app.hnswIndex.dimension;
 
-        // 如果入口点被移除，重新选择入口点
-        if (this.entryPoint && !remainingIds.has(this.entryPoint.id)) {
-            this.entryPoint = null;
-            this.maxLevel = 0;
+        updateHNSWGraph();
+        updateTOSBucket();
+        updateStats();
+        showNotification(`已加载快照: ${app.hnswIndex.vectors.length} 个向量`);
+    } catch (e) {
+        console.error('✗ 快照加载失败:', e);
+        showNotification(`快照加载失败: ${e.message}`, 'error');
+    }
+}
 
-            // 找到层级最高的节点作为新入口点
-            this.vectors.forEach(v => {
-                if (v.level > this.maxLevel) {
-                    this.maxLevel = v.level;
-                    this.entryPoint = v;
-                }
-            });
-        }
+// 以新的种子重新开始：清空 HNSW 索引和 TOS Bucket，随机序列和事件日志从头开始
+async function restartWithSeed(seed) {
+    validateSeed(seed);
+    if (app.flushing || app.compacting || app.importing || app.replaying) {
+        throw new Error('Flush、合并、导入或重放正在进行，请稍后再试');
+    }
+    await app.engine.call('restart', { seed, now: app.clock.now() });
+    applySeed(seed);
+    app.vectorIdCounter = 0;
+    app.lastQuery = null;
+    clearSearchTrace();
+    // 插入间隔也来自新的随机序列
+    scheduleNextInsert();
+    console.log(`✓ 以种子 ${seed} 重新开始`);
+}
 
-        return removed;
+// 下载当前运行的事件日志
+async function downloadEventLog() {
+    try {
+        const log = await app.engine.call('exportEventLog');
+        downloadFile(JSON.stringify(log), `event-log-${app.seed}`, 'json', 'application/json');
+        showNotification(`已导出事件日志: ${log.events.length} 个事件`);
+    } catch (e) {
+        console.error('✗ 事件日志导出失败:', e);
+        showNotification(`事件日志导出失败: ${e.message}`, 'error');
     }
 }
 
-class TOSVectorBucket {
-    constructor() {
-        this.indexes = []; // 存储多个时间戳索引
+// 重放事件日志：引擎在当前后端的空 Bucket 上依次执行日志中的事件，完成后替换 HNSW 和 TOS，并在该日志上继续记录
+// 取消或失败时保留重放到中途的状态，事件日志从那里重新开始
+async function replayEventLogFile(file) {
+    if (app.flushing || app.compacting || app.importing || app.replaying) {
+        showNotification('Flush、合并、导入或重放正在进行，请稍后再试', 'error');
+        return;
+    }
+    let log;
+    try {
+        log = EventLog.fromJSON(JSON.parse(await file.text()));
+    } catch (e) {
+        console.error('✗ 事件日志解析失败:', e);
+        showNotification(`事件日志无效: ${e.message}`, 'error');
+        return;
+    }
+    if (!confirm(`重放将清空当前的 HNSW 索引和 TOS Bucket，并依次执行 ${log.events.length} 个事件，是否继续？`)) {
+        return;
     }
 
-    // 创建新的索引并写入向量（putVectors）- 基于时间窗口
-    putVectors(vectors, windowStart) {
-        const indexName = `index_${formatTimeWindow(windowStart).replace(/:/g, '-')}`;
-        const index = {
-            name: indexName,
-            windowStart: windowStart,
-            vectors: vectors,
-            vectorCount: vectors.length
-        };
-        this.indexes.push(index);
-        return index;
+    const status = document.getElementById('eventLogStatus');
+    app.replaying = true;
+    let outcome;
+    let failure = null;
+    try {
+        console.log(`→ 重放事件日志: ${log.events.length} 个事件 (种子 ${log.seed})`);
+        outcome = await holdIngest(() => runCancellableTask('replay', { log: log.toJSON(), now: app.clock.now() }, {
+            cancelButton: 'cancelReplay',
+            onProgress: ({ done, total }) => {
+                status.textContent = `重放中: ${done} / ${total}`;
+            }
+        }));
+    } catch (e) {
+        failure = e;
+    } finally {
+        app.replaying = false;
     }
 
-    // 查询向量（queryVectors）- 基于时间窗口
-    queryVectors(query, targetWindow, k = 5) {
-        // 找到对应时间窗口的索引
-        const targetIndex = this.indexes.find(idx => idx.windowStart === targetWindow);
+    app.lastQuery = null;
+    clearSearchTrace();
+    document.getElementById('metric').value = app.hnswIndex.metric;
+    document.getElementById('dimension').value = app.hnswIndex.dimension;
+    document.getElementById('queryDimensionLabel').textContent = app.hnswIndex.dimension;
+    updateHNSWSettingsPanel();
+    updateEventLogStatus();
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+    updateTimeWindowOptions();
+    scheduleNextFlush();
 
-        if (!targetIndex) {
-            console.log(`未找到时间窗口 ${formatTimeWindow(targetWindow)} 的索引`);
-            return [];
+    if (failure) {
+        // 重放到中途的状态可能包含日志中的任意向量，新向量的 ID 接在它们之后
+        log.events.forEach(event => getEventVectors(event).forEach(v => {
+            app.vectorIdCounter = Math.max(app.vectorIdCounter, v.id + 1);
+        }));
+        if (failure.code === 'Cancelled') {
+            console.log('✓ 已取消重放');
+            showNotification('已取消重放，保留已重放的部分', 'info');
+        } else {
+            console.error('✗ 事件日志重放失败:', failure);
+            showNotification(`事件日志重放失败: ${failure.message}`, 'error');
         }
+        return;
+    }
 
-        // 计算距离并返回最近的 k 个
-        const distances = targetIndex.vectors.map(v => ({
-            vector: v,
-            distance: query.distance(v)
+    // 新向量的 ID 接在日志中的向量之后；虚拟时钟落后于最后一个事件时前进到该时刻
+    app.vectorIdCounter = Math.max(app.vectorIdCounter, outcome.nextId);
+    if (outcome.lastTime > app.clock.now()) {
+        app.clock = new VirtualClock({ speed: app.clock.speed, start: outcome.lastTime });
+        saveClock();
+        scheduleNextFlush();
+    }
+
+    const summary = `${outcome.eventCount} 个事件，HNSW ${app.hnswIndex.vectors.length} 个向量，TOS ${app.tos.indexes.length} 个索引`;
+    const queries = outcome.queries > 0
+        ? `，${outcome.queries} 次查询中 ${outcome.mismatches} 次结果不一致`
+        : '';
+    const baseline = outcome.baseline ? `（日志开始时已有 ${outcome.baseline.hnswVectors + outcome.baseline.tosVectors} 个向量，未包含在重放结果中）` : '';
+    console.log(`✓ 重放完成: ${summary}${queries}`);
+    showNotification(`重放完成: ${summary}${queries}${baseline}`, outcome.mismatches > 0 ? 'error' : 'success');
+}
+
+// 批量导入：source 为选择 / 拖入的文件，或粘贴的文本
+// 已超出保留策略的记录直接写入对应的 TOS 窗口，其余记录保留原始时间戳插入 HNSW
+async function importData(source) {
+    if (app.importing) {
+        showNotification('上一次导入尚未完成', 'error');
+        return;
+    }
+    if (app.replaying) {
+        showNotification('正在重放事件日志，请稍后再导入', 'error');
+        return;
+    }
+    const progress = document.getElementById('importProgress');
+    const button = document.getElementById('importVectors');
+    const isFile = typeof source !== 'string';
+    const selected = document.getElementById('importFormat').value;
+    const format = selected === 'auto' ? detectImportFormat(isFile ? source.name : '', isFile ? '' : source) : selected;
+
+    app.importing = true;
+    button.disabled = true;
+    let outcome;
+    try {
+        const input = !isFile ? source : format === 'npy' ? await source.arrayBuffer() : await source.text();
+        progress.textContent = '解析中...';
+        console.log(`→ 导入 (${format})`);
+        // 解析、校验和写入都在引擎中进行，导入的 id 不能与已有的向量重复
+        outcome = await holdIngest(() => runCancellableTask('importRecords', {
+            input,
+            format,
+            now: app.clock.now(),
+            windowSize: app.windowSize,
+            retention: app.retention,
+            nextId: app.vectorIdCounter
+        }, {
+            cancelButton: 'cancelImport',
+            onProgress: ({ done, total, nextId }) => {
+                // 解析完成后立即预留导入记录占用的 ID，取消或中途失败时已写入的向量也不会与之后插入的向量重复
+                if (nextId !== undefined) {
+                    app.vectorIdCounter = Math.max(app.vectorIdCounter, nextId);
+                }
+                progress.textContent = done === 0 ? `解析完成: ${total} 个向量` : `导入中: ${done} / ${total}`;
+            }
         }));
+        app.vectorIdCounter = Math.max(app.vectorIdCounter, outcome.nextId);
+    } catch (e) {
+        // 取消或中途失败时已写入的部分保留在两层存储中
+        updateHNSWGraph();
+        updateTOSBucket();
+        updateStats();
+        if (e.code === 'Cancelled') {
+            console.log('✓ 已取消导入');
+            progress.textContent = '已取消，已导入的部分保留';
+            showNotification('已取消导入', 'info');
+        } else {
+            console.error('✗ 导入失败:', e);
+            progress.textContent = '';
+            showNotification(`导入失败: ${e.message}`, 'error');
+        }
+        return;
+    } finally {
+        app.importing = false;
+        button.disabled = false;
+    }
+
+    outcome.indexes.forEach(index => {
+        console.log(`创建索引 ${index.name}，包含 ${index.vectorCount} 个导入的向量`);
+    });
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+    updateTimeWindowOptions();
+    scheduleNextFlush();
+
+    const summary = `${outcome.hotCount} 个向量插入 HNSW，${outcome.coldCount} 个向量写入 ${outcome.indexes.length} 个 TOS 索引`;
+    progress.textContent = summary;
+    if (outcome.error) {
+        console.error('✗ 导入写入 TOS 失败:', outcome.error);
+        showNotification(`导入写入 TOS 失败: ${outcome.error.message}（已写入 ${outcome.coldCount} 个向量）`, 'error');
+        return;
+    }
+    console.log(`✓ 导入完成: ${summary}`);
+    showNotification(`导入完成: ${summary}`);
 
-        distances.sort((a, b) => a.distance - b.distance);
-        return distances.slice(0, k);
+    flushIfOverLimit();
+    // 导入的旧窗口通常已经结束，可以直接合并
+    if (outcome.coldCount > 0 && app.compaction.enabled) {
+        await compactTOS();
     }
 }
 
-// 全局应用状态
-const app = {
-    hnswIndex: new HNSWIndex(),
-    tosBucket: new TOSVectorBucket(),
-    vectorIdCounter: 0,
-    startTime: Date.now(),
-    flushInterval: 60000, // 每60秒检查一次（在整分钟时刻）
-    retainWindowCount: 2, // 保留最近2个时间窗口
-    svg: null,
-    simulation: null,
-    selectedNode: null,
-    autoInsertTimer: null,
-    nextInsertTime: null,
-    currentLayerView: 0 // 当前显示的层级（0, 1, 2, 或 'all'）
-};
-
-// 工具函数
-function generateRandomVector() {
-    return Array.from({ length: 4 }, () => Math.random());
+// 读取 "按 ID 更新 / 删除" 中的向量 ID，无效时提示并返回 null
+function readVectorIdInput() {
+    const input = document.getElementById('upsertId').value.trim();
+    const id = Number(input);
+    if (input === '' || !Number.isInteger(id) || id < 0) {
+        showNotification('请输入有效的向量 ID（非负整数）', 'error');
+        return null;
+    }
+    return id;
 }
 
-// 获取时间戳所属的时间窗口（分钟级别，左闭右开）
-function getTimeWindow(timestamp) {
-    const date = new Date(timestamp);
-    date.setSeconds(0, 0); // 设置秒和毫秒为0
-    return date.getTime();
+// 旧版本所在的位置 { hot, indexes }，不存在时为空字符串
+function describeVectorLocation({ hot, indexes }) {
+    const parts = [];
+    if (hot) parts.push('HNSW');
+    if (indexes.length > 0) parts.push(`TOS 索引 ${indexes.join(', ')}`);
+    return parts.join(' 和 ');
 }
 
-// 为时间窗口生成颜色
-function getColorForWindow(window, allWindows) {
-    // 使用色相环生成不同的颜色，降低饱和度和亮度
-    const sortedWindows = Array.from(allWindows).sort((a, b) => a - b);
-    const index = sortedWindows.indexOf(window);
-    const hue = (index * 137.5) % 360; // 使用黄金角度分布
-    return `hsl(${hue}, 45%, 60%)`; // 降低饱和度到45%，提高亮度到60%
+// 按 ID 写入向量：旧版本无论在 HNSW 还是 TOS 中都被替换（TOS 中记墓碑），新版本以当前时刻插入 HNSW
+async function upsertVectorById() {
+    if (app.replaying) {
+        showNotification('正在重放事件日志，请稍后再写入', 'error');
+        return;
+    }
+    const id = readVectorIdInput();
+    if (id === null) return;
+
+    const vectorInput = document.getElementById('upsertVector').value.trim();
+    const metadataInput = document.getElementById('upsertMetadata').value.trim();
+    let data;
+    let metadata;
+    try {
+        data = vectorInput === '' ? generateRandomVector() : vectorInput.split(',').map(v => parseFloat(v.trim()));
+        validateDimension(data, app.hnswIndex.dimension, '向量');
+        metadata = metadataInput === '' ? {} : JSON.parse(metadataInput);
+        validateMetadata(metadata, '元数据');
+    } catch (e) {
+        console.error('✗ Upsert 参数无效:', e);
+        showNotification(`Upsert 参数无效: ${e.message}`, 'error');
+        return;
+    }
+
+    const status = document.getElementById('upsertStatus');
+    let outcome;
+    try {
+        outcome = await app.engine.call('upsert', { id, data, metadata, time: app.clock.now() });
+    } catch (e) {
+        console.error('✗ Upsert 失败:', e);
+        showNotification(`Upsert 失败: ${e.message}`, 'error');
+        return;
+    }
+    app.vectorIdCounter = Math.max(app.vectorIdCounter, id + 1);
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+
+    if (outcome.error) {
+        // 部分 TOS 索引可能已经记了墓碑，新版本没有写入
+        console.error('✗ Upsert 写入 TOS 失败:', outcome.error);
+        status.textContent = '';
+        showNotification(`Upsert 失败: ${outcome.error.message}`, 'error');
+        return;
+    }
+    const replaced = describeVectorLocation(outcome.replaced);
+    const summary = replaced ? `替换了 ${replaced} 中的旧版本` : '新建向量';
+    console.log(`✓ 向量 ${id} 已写入 HNSW (层级: ${outcome.level})，${summary}`);
+    status.textContent = `向量 ${id}: ${summary}`;
+    showNotification(`向量 ${id} 已写入 HNSW，${summary}`);
+    flushIfOverLimit();
 }
 
-// 格式化时间窗口显示
-function formatTimeWindow(windowStart) {
-    const date = new Date(windowStart);
-    return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+// 按 ID 删除向量：HNSW 中直接删除并修复图结构，TOS 中在包含它的索引上记墓碑
+async function deleteVectorById() {
+    if (app.replaying) {
+        showNotification('正在重放事件日志，请稍后再删除', 'error');
+        return;
+    }
+    const id = readVectorIdInput();
+    if (id === null) return;
+
+    const status = document.getElementById('upsertStatus');
+    let outcome;
+    try {
+        outcome = await app.engine.call('delete', { id, time: app.clock.now() });
+    } catch (e) {
+        console.error('✗ 删除失败:', e);
+        showNotification(`删除失败: ${e.message}`, 'error');
+        return;
+    }
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+
+    if (outcome.error) {
+        console.error('✗ 删除 TOS 中的向量失败:', outcome.error);
+        status.textContent = '';
+        showNotification(`删除失败: ${outcome.error.message}`, 'error');
+        return;
+    }
+    const location = describeVectorLocation(outcome);
+    if (!location) {
+        status.textContent = '';
+        showNotification(`向量 ${id} 不存在`, 'error');
+        return;
+    }
+    console.log(`✓ 已从 ${location} 删除向量 ${id}`);
+    status.textContent = `向量 ${id}: 已从 ${location} 删除`;
+    showNotification(`已从 ${location} 删除向量 ${id}`);
 }
 
 function showNotification(message, type = 'success') {
@@ -340,15 +682,19 @@ function showNotification(message, type = 'success') {
 
 function updateStats() {
     document.getElementById('hnswCount').textContent = app.hnswIndex.vectors.length;
-    document.getElementById('tosIndexCount').textContent = app.tosBucket.indexes.length;
+    document.getElementById('tosIndexCount').textContent = app.tos.indexes.length;
 
+    // 墓碑中的向量已被删除，不计入总数
     const totalVectors = app.hnswIndex.vectors.length +
-        app.tosBucket.indexes.reduce((sum, idx) => sum + idx.vectorCount, 0);
+        app.tos.indexes.reduce((sum, idx) => sum + idx.vectorCount - idx.tombstones.length, 0);
     document.getElementById('totalCount').textContent = totalVectors;
 
-    // 更新按分钟统计
+    // 更新按时间窗口统计
     updateMinuteStats();
 
+    // 更新保留策略用量和 flush 倒计时
+    updateFlushStatus();
+
     // 更新时间窗口选择器
     updateTimeWindowOptions();
 
@@ -357,6 +703,9 @@ function updateStats() {
 
     // 更新层级统计
     updateLayerStats();
+
+    // 层级切换按钮跟随实际层数
+    updateLayerViewOptions();
 }
 
 // 按时间窗口统计 HNSW 中的向量
@@ -365,7 +714,7 @@ function updateMinuteStats() {
 
     // 按时间窗口分组
     app.hnswIndex.vectors.forEach(v => {
-        const window = getTimeWindow(v.timestamp);
+        const window = getTimeWindow(v.timestamp, app.windowSize);
         windowMap.set(window, (windowMap.get(window) || 0) + 1);
     });
 
@@ -379,7 +728,7 @@ function updateMinuteStats() {
     const sortedWindows = Array.from(windowMap.entries()).sort((a, b) => b[0] - a[0]);
     let html = '';
     sortedWindows.forEach(([window, count]) => {
-        const timeLabel = formatTimeWindow(window);
+        const timeLabel = formatTimeWindow(window, app.windowSize);
         html += `<div style="padding: 6px 8px; margin-bottom: 4px; background-color: white; border-radius: 3px; border-left: 3px solid #0073bb;">
             <span style="color: #0073bb; font-weight: 700;">${timeLabel}:</span>
             <span style="color: #16191f; font-weight: 700;">${count}</span> 个向量
@@ -433,7 +782,7 @@ function updateWindowLegend() {
     // 收集所有时间窗口
     const allWindows = new Set();
     app.hnswIndex.vectors.forEach(v => {
-        allWindows.add(getTimeWindow(v.timestamp));
+        allWindows.add(getTimeWindow(v.timestamp, app.windowSize));
     });
 
     // 保留标题
@@ -471,7 +820,7 @@ function updateWindowLegend() {
         const label = document.createElement('span');
         label.style.fontSize = '12px';
         label.style.color = '#16191f';
-        label.textContent = formatTimeWindow(window);
+        label.textContent = formatTimeWindow(window, app.windowSize);
 
         item.appendChild(colorBox);
         item.appendChild(label);
@@ -479,60 +828,73 @@ function updateWindowLegend() {
     });
 }
 
-// 更新时间窗口选择器选项
+// 更新时间窗口选择器选项（起始窗口 / 结束窗口）
 function updateTimeWindowOptions() {
-    const selector = document.getElementById('timeWindow');
-    const currentSelection = selector.value;
-
     // 收集所有可用的时间窗口
     const hnswWindows = new Set();
     app.hnswIndex.vectors.forEach(v => {
-        hnswWindows.add(getTimeWindow(v.timestamp));
+        hnswWindows.add(getTimeWindow(v.timestamp, app.windowSize));
     });
 
     const tosWindows = new Set();
-    app.tosBucket.indexes.forEach(idx => {
-        tosWindows.add(idx.windowStart);
+    app.tos.indexes.forEach(idx => {
+        tosWindows.add(getTimeWindow(idx.windowStart, app.windowSize));
     });
 
-    // 获取当前时间窗口
-    const currentWindow = getTimeWindow(Date.now());
-
-    // 清空并重建选项
-    selector.innerHTML = '';
-
-    // 添加当前窗口选项（总是显示）
-    const currentOption = document.createElement('option');
-    currentOption.value = currentWindow;
-    currentOption.textContent = `${formatTimeWindow(currentWindow)} (当前窗口 - HNSW)`;
-    selector.appendChild(currentOption);
+    // 获取当前时间窗口（总是显示）
+    const currentWindow = getTimeWindow(app.clock.now(), app.windowSize);
+    const allWindows = new Set([currentWindow, ...hnswWindows, ...tosWindows]);
+    const sortedWindows = Array.from(allWindows).sort((a, b) => b - a);
 
-    // 添加 HNSW 中的其他窗口
-    const sortedHnswWindows = Array.from(hnswWindows).sort((a, b) => b - a);
-    sortedHnswWindows.forEach(window => {
-        if (window !== currentWindow) {
+    const getLabel = window => {
+        const tiers = [];
+        if (hnswWindows.has(window) || window === currentWindow) tiers.push('HNSW');
+        if (tosWindows.has(window)) tiers.push('TOS');
+        const suffix = window === currentWindow ? '当前窗口 - ' : '';
+        return `${formatTimeWindow(window, app.windowSize)} (${suffix}${tiers.join(' + ')})`;
+    };
+
+    ['startWindow', 'endWindow'].forEach(selectorId => {
+        const selector = document.getElementById(selectorId);
+        const currentSelection = selector.value;
+
+        // 清空并重建选项
+        selector.innerHTML = '';
+        sortedWindows.forEach(window => {
             const option = document.createElement('option');
             option.value = window;
-            option.textContent = `${formatTimeWindow(window)} (HNSW)`;
+            option.textContent = getLabel(window);
             selector.appendChild(option);
+        });
+
+        // 尝试恢复之前的选择
+        if (currentSelection && selector.querySelector(`option[value="${currentSelection}"]`)) {
+            selector.value = currentSelection;
         }
     });
+}
 
-    // 添加 TOS 中的窗口
-    const sortedTosWindows = Array.from(tosWindows).sort((a, b) => b - a);
-    sortedTosWindows.forEach(window => {
-        const option = document.createElement('option');
-        option.value = window;
-        option.textContent = `${formatTimeWindow(window)} (TOS)`;
-        selector.appendChild(option);
-    });
+// 解析查询的时间范围，返回闭区间 [startWindow, endWindow]
+function getQueryTimeRange() {
+    const preset = document.getElementById('rangePreset').value;
 
-    // 尝试恢复之前的选择
-    if (currentSelection && selector.querySelector(`option[value="${currentSelection}"]`)) {
-        selector.value = currentSelection;
+    // 快捷范围：最近 N 分钟（包含当前窗口），起点按窗口粒度向下对齐
+    if (preset !== 'custom') {
+        const endWindow = getTimeWindow(app.clock.now(), app.windowSize);
+        const startWindow = getTimeWindow(endWindow + app.windowSize - parseInt(preset) * 60000, app.windowSize);
+        return { startWindow, endWindow: Math.max(startWindow, endWindow) };
     }
+
+    const start = parseInt(document.getElementById('startWindow').value);
+    const end = parseInt(document.getElementById('endWindow').value);
+
+    // 允许起止窗口选反
+    return { startWindow: Math.min(start, end), endWindow: Math.max(start, end) };
 }
 
+// 第3层及以上连线的颜色
+const HIGH_LAYER_COLORS = ['#845ef7', '#f59f00', '#12b886', '#e64980'];
+
 // D3.js 图形可视化
 function initHNSWVisualization() {
     const container = document.getElementById('hnswGraph');
@@ -544,6 +906,9 @@ function initHNSWVisualization() {
         .attr('width', width)
         .attr('height', height);
 
+    // 搜索路径连线单独放在一个分组中，位于普通连线之上
+    app.traceLayer = app.svg.append('g').attr('class', 'trace-layer');
+
     app.simulation = d3.forceSimulation()
         .force('link', d3.forceLink().id(d => d.id).distance(80))
         .force('charge', d3.forceManyBody().strength(-200))
@@ -557,11 +922,11 @@ function updateHNSWGraph() {
     // 收集所有时间窗口
     const allWindows = new Set();
     app.hnswIndex.vectors.forEach(v => {
-        allWindows.add(getTimeWindow(v.timestamp));
+        allWindows.add(getTimeWindow(v.timestamp, app.windowSize));
     });
 
     const nodes = app.hnswIndex.vectors.map(v => {
-        const window = getTimeWindow(v.timestamp);
+        const window = getTimeWindow(v.timestamp, app.windowSize);
         return {
             id: v.id,
             vector: v,
@@ -622,25 +987,24 @@ function updateHNSWGraph() {
             if (d.layer === 0) return '#aaa';
             if (d.layer === 1) return '#ff6b6b';
             if (d.layer === 2) return '#4dabf7';
-            return '#aaa';
+            return HIGH_LAYER_COLORS[(d.layer - 3) % HIGH_LAYER_COLORS.length];
         })
         .attr('stroke-width', d => {
             if (d.layer === 0) return 1;
             if (d.layer === 1) return 2;
             if (d.layer === 2) return 2.5;
-            return 1;
+            return 3;
         })
         .attr('stroke-dasharray', d => {
             if (d.layer === 0) return 'none';
             if (d.layer === 1) return '5,3';
             if (d.layer === 2) return '8,4';
-            return 'none';
+            return '10,4';
         })
         .attr('opacity', d => {
             if (d.layer === 0) return 0.6;
             if (d.layer === 1) return 0.8;
-            if (d.layer === 2) return 0.9;
-            return 0.6;
+            return 0.9;
         });
 
     // 更新节点
@@ -718,7 +1082,14 @@ function updateHNSWGraph() {
 
         app.svg.selectAll('.node')
             .attr('transform', d => `translate(${d.x},${d.y})`);
+
+        updateTraceEdgePositions();
     });
+
+    // 图更新后重新应用搜索路径的高亮
+    if (app.searchTrace) {
+        renderSearchTraceStep();
+    }
 }
 
 // D3.js 拖拽事件处理
@@ -758,7 +1129,7 @@ function showVectorDetail(vector) {
     const detailPanel = document.getElementById('vectorDetail');
     const vectorInfo = document.getElementById('vectorInfo');
 
-    const age = Math.floor((Date.now() - vector.timestamp) / 1000);
+    const age = Math.floor((app.clock.now() - vector.timestamp) / 1000);
     const ageText = age < 60 ? `${age}秒` : `${Math.floor(age / 60)}分钟`;
 
     // 计算第0层的邻居数（与可视化一致）
@@ -780,9 +1151,10 @@ function showVectorDetail(vector) {
     vectorInfo.innerHTML = `
         <div><strong>ID:</strong> ${vector.id}</div>
         <div><strong>层级:</strong> ${vector.level}</div>
-        <div><strong>向量:</strong> [${vector.data.map(v => v.toFixed(3)).join(', ')}]</div>
+        <div><strong>向量:</strong> ${formatVectorData(vector.data)}</div>
         <div><strong>时间戳:</strong> ${new Date(vector.timestamp).toLocaleTimeString()}</div>
         <div><strong>年龄:</strong> ${ageText}</div>
+        <div><strong>元数据:</strong> ${formatMetadata(vector.metadata)}</div>
         <div><strong>第0层邻居:</strong> ${layer0Neighbors} (图中显示的边)</div>
         <div><strong>所有层邻居:</strong> ${totalNeighbors}</div>
         ${neighborsByLayer || '<div style="margin-left: 10px;">无邻居</div>'}
@@ -791,63 +1163,355 @@ function showVectorDetail(vector) {
     detailPanel.classList.remove('hidden');
 }
 
-// TOS Bucket 可视化
-function updateTOSBucket() {
-    const container = document.getElementById('tosBucket');
-    container.innerHTML = '';
+// 搜索路径回放：将 searchWithTrace 的步骤逐步叠加到 HNSW 图上
+const TRACE_PLAY_INTERVAL = 700; // 自动播放每步的间隔（毫秒）
 
-    if (app.tosBucket.indexes.length === 0) {
-        container.innerHTML = '<div style="padding: 20px; text-align: center; color: #687078;">暂无归档索引</div>';
-        return;
-    }
+function startSearchTrace(trace) {
+    stopSearchTracePlayback();
+    app.searchTrace = { steps: trace, current: 0, timer: null };
 
-    app.tosBucket.indexes.forEach(index => {
-        const card = document.createElement('div');
-        card.className = 'index-card animating';
+    const slider = document.getElementById('traceSlider');
+    slider.max = trace.length - 1;
+    document.getElementById('searchTracePanel').classList.remove('hidden');
 
-        card.innerHTML = `
-            <div class="index-card-header">
-                <div class="index-icon">I</div>
-                <span>${index.name}</span>
-            </div>
-            <div class="index-card-body">
-                <div>向量数: ${index.vectorCount}</div>
-                <div>时间窗口: ${formatTimeWindow(index.windowStart)}</div>
-            </div>
-        `;
+    renderSearchTraceStep();
+    playSearchTrace();
+}
 
-        container.appendChild(card);
+function clearSearchTrace() {
+    stopSearchTracePlayback();
+    app.searchTrace = null;
+    document.getElementById('searchTracePanel').classList.add('hidden');
+    if (!app.svg) return;
 
-        // 移除动画类
-        setTimeout(() => card.classList.remove('animating'), 1000);
-    });
+    app.svg.classed('tracing', false);
+    app.svg.selectAll('.node')
+        .classed('trace-entry trace-visited trace-frontier trace-expanded trace-current trace-result', false);
+    app.traceLayer.selectAll('.trace-edge').remove();
 }
 
-// 向量插入功能
-function insertVector() {
-    const vectorData = generateRandomVector();
-    const level = app.hnswIndex.randomLevel(); // 随机分配层级
-    const vector = new Vector(app.vectorIdCounter++, vectorData, Date.now(), level);
+function playSearchTrace() {
+    const trace = app.searchTrace;
+    if (!trace) return;
 
-    app.hnswIndex.insert(vector);
+    // 已在末尾时从头播放
+    if (trace.current >= trace.steps.length - 1) {
+        trace.current = 0;
+    }
+    stopSearchTracePlayback();
+    trace.timer = setInterval(() => {
+        if (trace.current >= trace.steps.length - 1) {
+            stopSearchTracePlayback();
+            return;
+        }
+        trace.current++;
+        renderSearchTraceStep();
+    }, TRACE_PLAY_INTERVAL);
+    updateTracePlayButton();
+}
 
-    updateHNSWGraph();
-    updateStats();
+function stopSearchTracePlayback() {
+    const trace = app.searchTrace;
+    if (trace && trace.timer) {
+        clearInterval(trace.timer);
+        trace.timer = null;
+    }
+    updateTracePlayButton();
+}
 
-    // 不显示通知，避免频繁打扰
-    console.log(`向量 ${vector.id} 已插入 HNSW 索引 (层级: ${level})`);
+function seekSearchTrace(step) {
+    const trace = app.searchTrace;
+    if (!trace) return;
+    trace.current = Math.max(0, Math.min(step, trace.steps.length - 1));
+    renderSearchTraceStep();
 }
 
-// 完全自动的随机间隔插入
-function scheduleNextInsert() {
-    // 生成 5-10 秒之间的随机间隔
-    const randomInterval = (Math.random() * 5 + 5) * 1000; // 5000-10000ms
-    app.nextInsertTime = Date.now() + randomInterval;
+function updateTracePlayButton() {
+    const button = document.getElementById('tracePlay');
+    if (!button) return;
+    const playing = app.searchTrace && app.searchTrace.timer;
+    button.textContent = playing ? '⏸ 暂停' : '▶ 播放';
+}
+
+// 汇总前 current 步的状态：入口点、访问过的节点、已扩展的节点、当前层的候选前沿和路径连线
+function collectTraceState(steps, current) {
+    const state = {
+        entryId: null,
+        currentId: null,
+        layer: null,
+        visited: new Set(),
+        expanded: new Set(),
+        frontier: new Set(),
+        resultIds: new Set(),
+        edges: []
+    };
+
+    for (let i = 0; i <= current; i++) {
+        const step = steps[i];
+        if (step.type === 'entry') {
+            state.entryId = step.id;
+            state.currentId = step.id;
+            state.layer = step.layer;
+            state.visited.add(step.id);
+        } else if (step.type === 'layer') {
+            // 进入新的一层：候选前沿从该层的入口开始
+            state.layer = step.layer;
+            state.frontier = new Set(step.entryIds);
+            step.entryIds.forEach(id => state.visited.add(id));
+        } else if (step.type === 'expand') {
+            state.currentId = step.id;
+            state.expanded.add(step.id);
+            state.frontier.delete(step.id);
+            step.visited.forEach(v => {
+                state.visited.add(v.id);
+                if (v.accepted) state.frontier.add(v.id);
+                state.edges.push({ source: step.id, target: v.id, layer: step.layer, accepted: v.accepted });
+            });
+        } else if (step.type === 'layerDone') {
+            // 贪心下降：该层最近的点作为下一层的入口
+            state.currentId = step.ids[0];
+        } else if (step.type === 'result') {
+            state.frontier = new Set();
+            state.currentId = null;
+            state.resultIds = new Set(step.ids);
+        }
+    }
+
+    return state;
+}
+
+// 步骤的文字说明
+function describeTraceStep(step) {
+    switch (step.type) {
+    case 'entry':
+        return `从入口点 ${step.id} 开始（最高层 ${step.layer}）`;
+    case 'layer':
+        return step.layer > 0
+            ? `进入层 ${step.layer}：从 ${step.entryIds.join(', ')} 出发贪心搜索 (ef=${step.ef})`
+            : `进入层 0：从 ${step.entryIds.join(', ')} 出发扩展候选集 (ef=${step.ef})`;
+    case 'expand': {
+        const accepted = step.visited.filter(v => v.accepted).map(v => v.id);
+        const rejected = step.visited.filter(v => !v.accepted).map(v => v.id);
+        let text = `层 ${step.layer}：扩展节点 ${step.id}，访问 ${step.visited.length} 个新邻居`;
+        if (accepted.length > 0) text += `，加入候选: ${accepted.join(', ')}`;
+        if (rejected.length > 0) text += `，丢弃: ${rejected.join(', ')}`;
+        return text;
+    }
+    case 'layerDone':
+        return step.layer > 0
+            ? `层 ${step.layer} 结束：最近的节点 ${step.ids[0]} 作为下一层的入口`
+            : `层 0 结束：候选集中共有 ${step.ids.length} 个节点`;
+    case 'result':
+        return `最终 Top-${step.ids.length}: ${step.ids.join(', ') || '无'}`;
+    default:
+        return '';
+    }
+}
+
+function renderSearchTraceStep() {
+    const trace = app.searchTrace;
+    if (!trace || !app.svg) return;
+
+    const step = trace.steps[trace.current];
+    const state = collectTraceState(trace.steps, trace.current);
+
+    document.getElementById('traceSlider').value = trace.current;
+    document.getElementById('traceStepLabel').textContent = `步骤 ${trace.current + 1} / ${trace.steps.length}`;
+    document.getElementById('traceStepDescription').textContent = describeTraceStep(step);
+
+    app.svg.classed('tracing', true);
+    app.svg.selectAll('.node')
+        .classed('trace-entry', d => d.id === state.entryId)
+        .classed('trace-visited', d => state.visited.has(d.id))
+        .classed('trace-expanded', d => state.expanded.has(d.id))
+        .classed('trace-frontier', d => state.frontier.has(d.id))
+        .classed('trace-current', d => d.id === state.currentId)
+        .classed('trace-result', d => state.resultIds.has(d.id));
+
+    const edges = app.traceLayer.selectAll('.trace-edge')
+        .data(state.edges, d => `${d.layer}-${d.source}-${d.target}`);
+    edges.exit().remove();
+    edges.enter()
+        .append('line')
+        .merge(edges)
+        .attr('class', d => `trace-edge ${d.accepted ? 'accepted' : 'rejected'}`)
+        .attr('stroke', d => d.accepted ? getTraceLayerColor(d.layer) : '#d5dbdb');
 
-    app.autoInsertTimer = setTimeout(() => {
-        insertVector();
-        scheduleNextInsert(); // 递归调度下一次插入
-    }, randomInterval);
+    updateTraceEdgePositions();
+}
+
+// 搜索路径连线的颜色与该层普通连线一致（第0层用橙色以便和灰色连线区分）
+function getTraceLayerColor(layer) {
+    if (layer === 0) return '#ec7211';
+    if (layer === 1) return '#ff6b6b';
+    if (layer === 2) return '#4dabf7';
+    return HIGH_LAYER_COLORS[(layer - 3) % HIGH_LAYER_COLORS.length];
+}
+
+function updateTraceEdgePositions() {
+    if (!app.traceLayer) return;
+
+    const positions = new Map();
+    app.simulation.nodes().forEach(n => positions.set(n.id, n));
+
+    // 节点已被 flush 或删除时隐藏对应连线
+    app.traceLayer.selectAll('.trace-edge')
+        .attr('visibility', d => positions.has(d.source) && positions.has(d.target) ? 'visible' : 'hidden')
+        .attr('x1', d => positions.has(d.source) ? positions.get(d.source).x : 0)
+        .attr('y1', d => positions.has(d.source) ? positions.get(d.source).y : 0)
+        .attr('x2', d => positions.has(d.target) ? positions.get(d.target).x : 0)
+        .attr('y2', d => positions.has(d.target) ? positions.get(d.target).y : 0);
+}
+
+// TOS Bucket 可视化
+function updateTOSBucket() {
+    const container = document.getElementById('tosBucket');
+    container.innerHTML = '';
+    updateCompactionHistory();
+
+    if (app.tos.indexes.length === 0) {
+        container.innerHTML = '<div style="padding: 20px; text-align: center; color: #687078;">暂无归档索引</div>';
+        return;
+    }
+
+    app.tos.indexes.forEach(index => {
+        const card = document.createElement('div');
+        const level = index.level || 0;
+        card.className = `index-card level-${level} animating`;
+
+        // 合并后的索引显示实际覆盖的时间范围和来源
+        const timeInfo = level > 0
+            ? `<div>时间范围: ${formatIndexTimeRange(index)}</div>
+                <div title="${index.compactedFrom.map(src => src.name).join('\n')}">合并自: ${index.compactedFrom.length} 个索引</div>`
+            : `<div>时间窗口: ${formatTimeWindow(index.windowStart, index.windowSize)} (${formatDuration(index.windowSize)})</div>`;
+
+        card.innerHTML = `
+            <div class="index-card-header">
+                <div class="index-icon">${level > 0 ? `L${level}` : 'I'}</div>
+                <span>${index.name}</span>
+            </div>
+            <div class="index-card-body">
+                <div>向量数: ${index.vectorCount - index.tombstones.length}${index.tombstones.length > 0 ? `（已删除 ${index.tombstones.length} 个）` : ''}</div>
+                <div>层级: ${describeIndexLevel(level)}</div>
+                ${timeInfo}
+                <div>度量: ${getMetric(index.metric).label}</div>
+                <div>检索: ${index.ann ? `IVF (${index.ann.nlist} 个簇)` : '精确扫描'}</div>
+                <div>量化: ${describeIndexQuantization(index.quantization)}</div>
+                <div class="export-actions" style="margin-top: 8px;">
+                    <button class="aws-button secondary" data-export="tos" data-format="json" data-index="${index.name}">导出 JSON</button>
+                    <button class="aws-button secondary" data-export="tos" data-format="csv" data-index="${index.name}">导出 CSV</button>
+                </div>
+            </div>
+        `;
+
+        container.appendChild(card);
+
+        // 移除动画类
+        setTimeout(() => card.classList.remove('animating'), 1000);
+    });
+}
+
+function describeIndexLevel(level) {
+    const tier = getCompactionTier(level);
+    return tier ? `${tier.label}合并 (L${level})` : 'Flush 原始索引 (L0)';
+}
+
+// 索引实际覆盖的时间范围，如 "10:05 – 11:00 (55 分钟)"
+function formatIndexTimeRange(index) {
+    const end = index.windowStart + index.windowSize;
+    const format = ts => new Date(ts).toLocaleString('zh-CN', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    return `${format(index.windowStart)} – ${format(end)} (${formatDuration(index.windowSize)})`;
+}
+
+// Bucket 视图下方的合并历史
+function updateCompactionHistory() {
+    const container = document.getElementById('compactionHistory');
+    const history = app.tos.compactionHistory;
+    if (history.length === 0) {
+        container.innerHTML = '<div class="compaction-empty">暂无合并记录</div>';
+        return;
+    }
+
+    container.innerHTML = history.map(entry => `
+        <div class="compaction-entry">
+            <span class="compaction-time">${new Date(entry.time).toLocaleTimeString('zh-CN')}</span>
+            <span class="compaction-level level-${entry.level}">${describeIndexLevel(entry.level)}</span>
+            <span>${entry.sources.length} 个索引 → <strong>${entry.indexName}</strong></span>
+            <span class="compaction-detail">${entry.vectorCount} 个向量，${formatIndexTimeRange(entry)}</span>
+        </div>
+    `).join('');
+}
+
+// 演示用的随机元数据
+const DEMO_TENANTS = ['tenant-a', 'tenant-b', 'tenant-c'];
+const DEMO_SOURCES = ['web', 'app', 'api'];
+const DEMO_TAGS = ['news', 'sports', 'tech', 'finance'];
+
+function generateRandomMetadata(random = app.rng.data) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    return {
+        tenant: pick(DEMO_TENANTS),
+        source: pick(DEMO_SOURCES),
+        priority: Math.floor(random() * 5) + 1,
+        tags: DEMO_TAGS.filter(() => random() < 0.4)
+    };
+}
+
+// 格式化元数据显示
+function formatMetadata(metadata) {
+    const entries = Object.entries(metadata || {});
+    if (entries.length === 0) return '无';
+    return entries
+        .map(([key, value]) => `${key}=${Array.isArray(value) ? `[${value.join(', ')}]` : value}`)
+        .join(', ');
+}
+
+// 向量插入功能：一次插入 count 个随机向量（突发模式下大于 1），插入完成后统一刷新视图
+// 向量和元数据在页面生成，层级由引擎分配
+// 失败时暂停自动插入并提示，点击"恢复插入"后继续
+async function insertVector(count = 1) {
+    // 导入、重放、重建等操作进行中时跳过本次插入（见 holdIngest）
+    if (app.ingestHolds > 0) return;
+
+    const now = app.clock.now();
+    try {
+        const vectors = [];
+        for (let i = 0; i < count; i++) {
+            const metadata = generateRandomMetadata();
+            validateMetadata(metadata, '插入向量');
+            vectors.push({ id: app.vectorIdCounter++, data: generateRandomVector(), timestamp: now, metadata });
+        }
+        const { levels } = await app.engine.call('insert', { vectors, time: now });
+        vectors.forEach((v, i) => {
+            // 不显示通知，避免频繁打扰
+            console.log(`向量 ${v.id} 已插入 HNSW 索引 (层级: ${levels[i]})`);
+        });
+    } catch (e) {
+        console.error('✗ 自动插入失败:', e);
+        setIngestPaused(true);
+        showNotification(`自动插入失败，已暂停插入: ${e.message}`, 'error');
+    }
+
+    // 失败时批次中已插入的部分同样随图差异同步到镜像
+    updateHNSWGraph();
+    updateStats();
+    flushIfOverLimit();
+}
+
+// 按插入速率随机间隔自动插入；间隔按虚拟时间计算，暂停时不安排下一次插入
+function scheduleNextInsert() {
+    clearTimeout(app.autoInsertTimer);
+    app.autoInsertTimer = null;
+    app.nextInsertTime = null;
+
+    if (!app.ingestPaused) {
+        const delay = getNextInsertDelay(app.ingest, app.rng.timing);
+        app.nextInsertTime = app.clock.now() + delay;
+        app.autoInsertTimer = setTimeout(() => {
+            insertVector(app.ingest.burstSize);
+            scheduleNextInsert(); // 递归调度下一次插入
+        }, app.clock.toRealDelay(delay));
+    }
 
     // 更新状态显示
     updateAutoInsertStatus();
@@ -855,9 +1519,15 @@ function scheduleNextInsert() {
 
 function updateAutoInsertStatus() {
     const statusElement = document.getElementById('autoInsertStatus');
-    if (statusElement && app.nextInsertTime) {
-        const remaining = Math.ceil((app.nextInsertTime - Date.now()) / 1000);
-        statusElement.textContent = `运行中 (下次插入: ${remaining}秒后)`;
+    if (!statusElement) return;
+    if (app.ingestPaused) {
+        statusElement.textContent = '已暂停';
+    } else if (app.ingestHolds > 0) {
+        statusElement.textContent = '等待当前操作完成（期间跳过自动插入）';
+    } else if (app.nextInsertTime) {
+        const remaining = Math.max(0, Math.ceil((app.nextInsertTime - app.clock.now()) / 1000));
+        const burst = app.ingest.burstSize > 1 ? `，每次 ${app.ingest.burstSize} 个` : '';
+        statusElement.textContent = `运行中 (下次插入: ${remaining}秒后${burst}，约 ${app.ingest.rate} 个/分钟)`;
     }
 }
 
@@ -866,143 +1536,435 @@ function startAutoInsert() {
     scheduleNextInsert();
 
     // 每秒更新状态显示
-    setInterval(updateAutoInsertStatus, 1000);
+    setInterval(() => {
+        updateAutoInsertStatus();
+        updateClockStatus();
+    }, 1000);
+}
+
+// 虚拟时钟的当前时间和速度
+function updateClockStatus() {
+    const speed = app.clock.speed;
+    document.getElementById('virtualClock').textContent =
+        `${new Date(app.clock.now()).toLocaleString()}${speed > 1 ? ` (${speed}× 加速)` : ''}`;
+}
+
+// 切换虚拟时钟速度：按新速度重新安排插入、flush 和合并检查的定时器
+function changeClockSpeed(speed) {
+    app.clock.setSpeed(speed);
+    saveClock();
+    scheduleNextInsert();
+    scheduleNextFlush();
+    scheduleCompactionCheck();
+    updateClockStatus();
+    updateStats();
+}
+
+function setIngestPaused(paused) {
+    app.ingestPaused = paused;
+    scheduleNextInsert();
+    document.getElementById('toggleIngest').textContent = paused ? '恢复插入' : '暂停插入';
+}
+
+// 暂停时取消定时 flush，插入超限也不触发 flush；恢复时重新安排
+function setFlushPaused(paused) {
+    app.flushPaused = paused;
+    scheduleNextFlush();
+    updateFlushStatusText();
+    updateFlushStatus();
+    document.getElementById('toggleFlush').textContent = paused ? '恢复 Flush' : '暂停 Flush';
+}
+
+// 从设置面板读取插入速率和每次插入的向量数
+function readIngestSettings() {
+    const ingest = {
+        rate: parseFloat(document.getElementById('ingestRate').value),
+        burstSize: parseInt(document.getElementById('ingestBurstSize').value)
+    };
+    validateIngestSettings(ingest);
+    return ingest;
+}
+
+function updateIngestSettingsPanel() {
+    document.getElementById('ingestRate').value = app.ingest.rate;
+    document.getElementById('ingestBurstSize').value = app.ingest.burstSize;
+    document.getElementById('clockSpeed').value = app.clock.speed;
 }
 
 // Flush 机制 - 基于时间窗口将向量写入 TOS
-function flushToTOS() {
-    const now = Date.now();
-    const currentWindow = getTimeWindow(now);
+async function flushToTOS() {
+    // 上一次 flush 还在写入时跳过，避免同一批向量被重复归档
+    if (app.flushing) {
+        console.log('上一次 flush 尚未完成，跳过');
+        return;
+    }
+    if (app.replaying) {
+        console.log('正在重放事件日志，跳过本次 flush');
+        return;
+    }
+
+    const now = app.clock.now();
+    const policy = { now, windowSize: app.windowSize, retention: app.retention };
 
     console.log(`当前时间: ${new Date(now).toLocaleTimeString()}`);
-    console.log(`当前时间窗口: ${formatTimeWindow(currentWindow)}`);
+    console.log(`当前时间窗口: ${formatTimeWindow(getTimeWindow(now, app.windowSize), app.windowSize)}`);
+    console.log(`保留策略: ${describeRetention(app.retention)}`);
 
-    // 计算需要保留的最旧窗口的时间戳
-    // retainWindowCount = 2 表示保留当前窗口和前1个窗口
-    // 所以阈值窗口 = 当前窗口 - (retainWindowCount - 1) * 60000
-    const retainThresholdWindow = currentWindow - (app.retainWindowCount - 1) * 60000;
-    console.log(`保留阈值窗口: ${formatTimeWindow(retainThresholdWindow)} (保留此窗口及更新的)`);
+    const expiredWindows = collectExpiredWindows(app.hnswIndex, app.retention, policy);
+    if (expiredWindows.size === 0) {
+        console.log(`无需 flush，所有向量都在保留策略内`);
+        return;
+    }
+    console.log(`需要 flush 的时间窗口:`, Array.from(expiredWindows.keys()).map(w => formatTimeWindow(w, app.windowSize)));
 
-    // 收集所有时间窗口用于日志
-    const allWindows = new Set();
-    app.hnswIndex.vectors.forEach(v => {
-        allWindows.add(getTimeWindow(v.timestamp));
-    });
-    const sortedWindows = Array.from(allWindows).sort((a, b) => b - a);
-    console.log(`HNSW 中的时间窗口:`, sortedWindows.map(w => formatTimeWindow(w)));
+    app.flushing = true;
+    let outcome;
+    try {
+        outcome = await app.engine.call('flush', policy);
+    } catch (e) {
+        console.error('✗ Flush 失败:', e);
+        showNotification(`Flush 失败: ${e.message}`, 'error');
+        return;
+    } finally {
+        app.flushing = false;
+    }
 
-    // 移除早于保留阈值的窗口（< retainThresholdWindow）
-    const oldVectors = app.hnswIndex.vectors.filter(v => {
-        const vectorWindow = getTimeWindow(v.timestamp);
-        return vectorWindow < retainThresholdWindow;
+    outcome.indexes.forEach(index => {
+        console.log(`创建索引 ${index.name}，包含 ${index.vectorCount} 个向量`);
     });
+    if (outcome.error) {
+        // 部分写入的状态无法由事件日志重现，引擎已从当前状态重新记录
+        console.error('✗ Flush 写入 TOS 失败:', outcome.error);
+        showNotification(`Flush 写入 TOS 失败: ${outcome.error.message}`, 'error');
+    }
 
-    if (oldVectors.length > 0) {
-        console.log(`需要 flush ${oldVectors.length} 个向量`);
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+    updateTimeWindowOptions();
 
-        // 从 HNSW 中移除这些向量
-        app.hnswIndex.vectors = app.hnswIndex.vectors.filter(v => {
-            const vectorWindow = getTimeWindow(v.timestamp);
-            return vectorWindow >= retainThresholdWindow;
-        });
+    if (outcome.flushedCount > 0) {
+        showNotification(`Flush 完成: ${outcome.flushedCount} 个向量写入 ${outcome.indexes.length} 个索引`, 'info');
+        // 新的小索引可能使窗口内的索引数达到合并阈值
+        if (app.compaction.enabled) {
+            await compactTOS();
+        }
+    }
+}
 
-        // 清理邻居引用（所有层）
-        const remainingIds = new Set(app.hnswIndex.vectors.map(v => v.id));
-        app.hnswIndex.vectors.forEach(v => {
-            for (let layer in v.neighbors) {
-                v.neighbors[layer] = v.neighbors[layer].filter(n => remainingIds.has(n.id));
-            }
-        });
+// 合并 TOS 中的小索引：结束的小时/天窗口内的索引，以及数量达到阈值的未结束窗口
+async function compactTOS() {
+    if (app.compacting || app.flushing || app.importing || app.replaying) {
+        console.log('Flush、合并、导入或重放正在进行，跳过本次合并');
+        return;
+    }
 
-        // 如果入口点被移除，重新选择入口点
-        if (app.hnswIndex.entryPoint && !remainingIds.has(app.hnswIndex.entryPoint.id)) {
-            app.hnswIndex.entryPoint = null;
-            app.hnswIndex.maxLevel = 0;
+    app.compacting = true;
+    const now = app.clock.now();
+    let outcome;
+    try {
+        outcome = await app.engine.call('compact', { now, minIndexes: app.compaction.minIndexes });
+    } catch (e) {
+        // 引擎调用失败（如 worker 出错）时不向调用方抛出，自动合并的定时检查得以继续
+        console.error('✗ TOS 索引合并失败:', e);
+        showNotification(`TOS 索引合并失败: ${e.message}`, 'error');
+        return { compactions: [], error: e };
+    } finally {
+        app.compacting = false;
+    }
 
-            // 找到层级最高的节点作为新入口点
-            app.hnswIndex.vectors.forEach(v => {
-                if (v.level > app.hnswIndex.maxLevel) {
-                    app.hnswIndex.maxLevel = v.level;
-                    app.hnswIndex.entryPoint = v;
-                }
-            });
-        }
+    outcome.compactions.forEach(index => {
+        console.log(`✓ 合并 ${index.compactedFrom.length} 个索引为 ${index.name}（L${index.level}，${index.vectorCount} 个向量）`);
+    });
+    if (outcome.error) {
+        console.error('✗ TOS 索引合并失败:', outcome.error);
+        showNotification(`TOS 索引合并失败: ${outcome.error.message}`, 'error');
+    }
+    if (outcome.compactions.length === 0) return outcome;
 
-        // 按时间窗口分组
-        const windowGroups = new Map();
-        oldVectors.forEach(v => {
-            const window = getTimeWindow(v.timestamp);
-            if (!windowGroups.has(window)) {
-                windowGroups.set(window, []);
-            }
-            windowGroups.get(window).push(v);
-        });
+    updateTOSBucket();
+    updateStats();
+    const merged = outcome.compactions.reduce((sum, index) => sum + index.compactedFrom.length, 0);
+    showNotification(`合并完成: ${merged} 个索引合并为 ${outcome.compactions.length} 个`, 'info');
+    return outcome;
+}
 
-        // 为每个时间窗口创建索引
-        windowGroups.forEach((vectors, window) => {
-            const index = app.tosBucket.putVectors(vectors, window);
-            console.log(`创建索引 ${index.name}，包含 ${vectors.length} 个向量`);
-        });
+// 定时检查是否有需要合并的窗口（按虚拟时间每分钟一次）
+const COMPACTION_CHECK_INTERVAL = 60000;
 
-        updateHNSWGraph();
-        updateTOSBucket();
-        updateStats();
-        updateTimeWindowOptions();
+function scheduleCompactionCheck() {
+    clearTimeout(app.compactionTimer);
+    app.compactionTimer = setTimeout(async () => {
+        if (app.compaction.enabled) {
+            await compactTOS();
+        }
+        scheduleCompactionCheck();
+    }, app.clock.toRealDelay(COMPACTION_CHECK_INTERVAL));
+}
 
-        showNotification(`Flush 完成: ${oldVectors.length} 个向量写入 ${windowGroups.size} 个索引`, 'info');
-    } else {
-        console.log(`无需 flush，所有向量都在保留窗口内`);
+function startAutoCompaction() {
+    scheduleCompactionCheck();
+}
+
+// 从设置面板读取 TOS 查询方式
+function readTOSSearchSettings() {
+    const exactSearch = document.getElementById('tosSearchMode').value === 'exact';
+    const nprobe = parseInt(document.getElementById('tosNprobe').value);
+    if (!Number.isInteger(nprobe) || nprobe < 1) {
+        throw new Error(`nprobe 必须是正整数: ${document.getElementById('tosNprobe').value}`);
+    }
+    const rerankFactor = parseInt(document.getElementById('tosRerankFactor').value);
+    if (!Number.isInteger(rerankFactor) || rerankFactor < 1) {
+        throw new Error(`重排倍数必须是正整数: ${document.getElementById('tosRerankFactor').value}`);
     }
+    const quantization = document.getElementById('tosQuantization').value;
+    return { exactSearch, nprobe, rerankFactor, quantization };
 }
 
-// 手动 Flush
-function manualFlush() {
-    flushToTOS();
+function updateTOSSearchSettingsPanel() {
+    document.getElementById('tosSearchMode').value = app.tos.exactSearch ? 'exact' : 'ivf';
+    document.getElementById('tosNprobe').value = app.tos.nprobe;
+    document.getElementById('tosNprobe').disabled = app.tos.exactSearch;
+    document.getElementById('tosQuantization').value = app.tos.quantization;
+    document.getElementById('tosRerankFactor').value = app.tos.rerankFactor;
 }
 
-// 自动 Flush 定时器 - 对齐到整分钟 + 0.1秒
-function startAutoFlush() {
-    // 计算到下一个整分钟 + 0.1秒的延迟
-    function getDelayToNextMinutePlus100ms() {
-        const now = new Date();
-        const seconds = now.getSeconds();
-        const milliseconds = now.getMilliseconds();
-        // 计算到下一个整分钟的延迟，然后加上100ms
-        return (60 - seconds) * 1000 - milliseconds + 100;
+// 卡片上的量化信息：压缩比，以及只用编码 / 编码 + 重排的 recall@K
+function describeIndexQuantization(quantization) {
+    if (!quantization) return '无';
+    const { k, approx, reranked } = quantization.recall;
+    return `${QUANTIZATION_TYPES[quantization.type].label}，压缩 ${quantization.compressionRatio.toFixed(1)}×<br>
+        recall@${k}: ${approx.toFixed(2)} → ${reranked.toFixed(2)} (重排)`;
+}
+
+// 从设置面板读取合并策略
+function readCompactionSettings() {
+    const compaction = {
+        enabled: document.getElementById('compactionEnabled').checked,
+        minIndexes: parseInt(document.getElementById('compactionThreshold').value)
+    };
+    validateCompactionPolicy(compaction);
+    return compaction;
+}
+
+function updateCompactionSettingsPanel() {
+    document.getElementById('compactionEnabled').checked = app.compaction.enabled;
+    document.getElementById('compactionThreshold').value = app.compaction.minIndexes;
+}
+
+// 手动 Flush：按当前保留策略立即检查一次，暂停自动 flush 时也可以使用
+async function manualFlush() {
+    const policy = { now: app.clock.now(), windowSize: app.windowSize };
+    if (collectExpiredWindows(app.hnswIndex, app.retention, policy).size === 0) {
+        showNotification('没有超出保留策略的向量，无需 Flush', 'info');
+        return;
     }
+    await flushToTOS();
+    scheduleNextFlush();
+}
 
-    // 首次flush在下一个整分钟 + 0.1秒执行
-    const initialDelay = getDelayToNextMinutePlus100ms();
+// 保留策略的文字说明
+function describeRetention(retention) {
+    switch (retention.type) {
+    case 'windows':
+        return `保留最近 ${retention.windowCount} 个时间窗口`;
+    case 'count':
+        return `HNSW 最多 ${retention.maxVectors} 个向量`;
+    case 'memory':
+        return `HNSW 内存不超过 ${formatBytes(retention.maxBytes)}`;
+    case 'age':
+        return `向量在 HNSW 中最多停留 ${formatDuration(retention.maxAge)}`;
+    default:
+        return retention.type;
+    }
+}
 
-    setTimeout(() => {
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${Math.round(bytes)} B`;
+}
+
+// 按保留策略安排下一次 flush：windows 策略对齐到下一个窗口边界 + 0.1秒，age 策略在最旧的向量到期时；
+// count / memory 策略没有定时 flush，由插入超限时触发。时刻按虚拟时钟计算，暂停时不安排
+function scheduleNextFlush() {
+    clearTimeout(app.flushTimer);
+    app.flushTimer = null;
+    app.nextFlushTime = null;
+    if (app.flushPaused) return;
+
+    const now = app.clock.now();
+    const next = getNextFlushTime(app.hnswIndex, app.retention, { now, windowSize: app.windowSize });
+    app.nextFlushTime = next;
+    if (next === null) return;
+
+    app.flushTimer = setTimeout(async () => {
+        await flushToTOS();
+        scheduleNextFlush();
+    }, app.clock.toRealDelay(next - now) + 100);
+}
+
+// count / memory 策略：插入后超出上限时立即 flush
+function flushIfOverLimit() {
+    if (app.flushPaused) return;
+    if (app.retention.type !== 'count' && app.retention.type !== 'memory') return;
+    const { used, limit } = getRetentionUsage(app.hnswIndex, app.retention);
+    if (used > limit) {
         flushToTOS();
-        // 之后每60秒执行一次（在整分钟 + 0.1秒时刻）
-        setInterval(() => {
-            flushToTOS();
-        }, 60000);
-    }, initialDelay);
+    }
+}
+
+// 更新 flush 倒计时和保留策略的使用情况
+function updateFlushStatus() {
+    const nextFlush = document.getElementById('nextFlush');
+    if (app.flushPaused) {
+        nextFlush.textContent = '已暂停';
+    } else if (app.nextFlushTime === null) {
+        nextFlush.textContent = '超限时';
+    } else {
+        const remaining = Math.max(0, Math.ceil((app.nextFlushTime - app.clock.now()) / 1000));
+        nextFlush.textContent = remaining >= 3600
+            ? `${Math.floor(remaining / 3600)}h${Math.floor((remaining % 3600) / 60)}m`
+            : remaining >= 60 ? `${Math.floor(remaining / 60)}m${remaining % 60}s` : `${remaining}s`;
+    }
+
+    const { used, limit } = getRetentionUsage(app.hnswIndex, app.retention, { now: app.clock.now(), windowSize: app.windowSize });
+    const format = {
+        windows: value => `${value} 个窗口`,
+        count: value => `${value} 个向量`,
+        memory: formatBytes,
+        age: value => formatDuration(Math.floor(value / 1000) * 1000)
+    }[app.retention.type];
+    document.getElementById('retentionUsage').textContent = `${format(used)} / ${format(limit)}`;
+    document.getElementById('hnswMemory').textContent = formatBytes(app.hnswIndex.memoryEstimate);
+}
+
+// 自动 Flush 定时器
+function startAutoFlush() {
+    scheduleNextFlush();
+    updateFlushStatusText();
+    updateFlushStatus();
 
     // 更新倒计时显示
-    setInterval(() => {
-        const nextFlush = document.getElementById('nextFlush');
-        const now = new Date();
-        const seconds = now.getSeconds();
-        const remaining = 60 - seconds;
-        nextFlush.textContent = `${remaining}s`;
-    }, 1000);
+    setInterval(updateFlushStatus, 1000);
 }
 
-// 查询路由 - 根据时间窗口决定查询 HNSW 还是 TOS
-function executeQuery() {
+// 系统状态中的自动 Flush 说明
+function updateFlushStatusText() {
+    const schedule = app.retention.type === 'windows'
+        ? `每个 ${formatDuration(app.windowSize)}窗口结束时检查`
+        : app.retention.type === 'age' ? '最旧的向量到期时检查' : '插入后超出上限时检查';
+    document.getElementById('autoFlushStatus').textContent = app.flushPaused
+        ? `已暂停，${describeRetention(app.retention)}`
+        : `${schedule}，${describeRetention(app.retention)}`;
+}
+
+// 从设置面板读取窗口粒度和保留策略
+function readRetentionSettings() {
+    const windowSize = parseInt(document.getElementById('windowSize').value);
+    validateWindowSize(windowSize);
+
+    const type = document.getElementById('retentionType').value;
+    const value = parseFloat(document.getElementById('retentionValue').value);
+    const retention = { type };
+    if (type === 'memory') {
+        retention.maxBytes = value * 1024 * 1024;
+    } else if (type === 'age') {
+        retention.maxAge = Math.round(value * 60000);
+    } else {
+        retention[RETENTION_POLICIES[type].param] = value;
+    }
+    validateRetentionPolicy(retention);
+    return { windowSize, retention };
+}
+
+// 保留策略在设置面板中的单位：memory 以 MB、age 以分钟显示
+const RETENTION_UNITS = {
+    windows: { label: '个窗口', toInput: r => r.windowCount, defaultValue: 2 },
+    count: { label: '个向量', toInput: r => r.maxVectors, defaultValue: 50 },
+    memory: { label: 'MB', toInput: r => r.maxBytes / 1024 / 1024, defaultValue: 1 },
+    age: { label: '分钟', toInput: r => r.maxAge / 60000, defaultValue: 5 }
+};
+
+function updateRetentionSettingsPanel() {
+    const windowSelect = document.getElementById('windowSize');
+    if (windowSelect.options.length === 0) {
+        WINDOW_SIZES.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            windowSelect.appendChild(option);
+        });
+    }
+    windowSelect.value = app.windowSize;
+    document.getElementById('retentionType').value = app.retention.type;
+    document.getElementById('retentionValue').value = RETENTION_UNITS[app.retention.type].toInput(app.retention);
+    document.getElementById('retentionUnit').textContent = RETENTION_UNITS[app.retention.type].label;
+}
+
+// 应用新的窗口粒度和保留策略，并按新策略重新安排 flush
+function applyRetentionSettings({ windowSize, retention }) {
+    app.windowSize = windowSize;
+    app.retention = retention;
+
+    scheduleNextFlush();
+    updateFlushStatusText();
+    updateHNSWGraph();
+    updateTOSBucket();
+    updateStats();
+
+    // 新策略下已经超出的部分立即 flush
+    flushToTOS();
+}
+
+// 读取半径查询参数；非半径模式返回 null，参数无效时抛出错误
+function getRadiusQuery() {
+    if (document.getElementById('queryMode').value !== 'radius') {
+        return null;
+    }
+    const radiusInput = document.getElementById('queryRadius').value.trim();
+    const maxResultsInput = document.getElementById('queryMaxResults').value.trim();
+    const radius = radiusInput === '' ? NaN : Number(radiusInput);
+    const maxResults = maxResultsInput === '' ? null : Number(maxResultsInput);
+    validateRadiusQuery(radius, maxResults);
+    return { radius, maxResults };
+}
+
+// 查询路由 - 按时间范围扇出到 HNSW 和范围内的所有 TOS 索引，合并为全局 top-K
+// 半径模式下返回各层中距离不超过半径的全部向量（按最大结果数截断）
+async function executeQuery() {
     console.log('=== 开始执行查询 ===');
 
     const queryInput = document.getElementById('queryVector').value.trim();
-    const selectedWindow = parseInt(document.getElementById('timeWindow').value);
+    const { startWindow, endWindow } = getQueryTimeRange();
     const topK = parseInt(document.getElementById('topK').value) || 1;
 
-    console.log('查询参数:', { queryInput, selectedWindow, topK });
+    let radiusQuery;
+    try {
+        radiusQuery = getRadiusQuery();
+    } catch (e) {
+        console.error('✗ 半径查询参数无效:', e);
+        showNotification(e.message, 'error');
+        return;
+    }
+
+    console.log('查询参数:', { queryInput, startWindow, endWindow, topK, radiusQuery });
     console.log('当前 HNSW 向量数:', app.hnswIndex.vectors.length);
 
+    // 解析元数据过滤条件（JSON，留空表示不过滤）
+    const filterInput = document.getElementById('metadataFilter').value.trim();
+    let filter = null;
+    try {
+        if (filterInput !== '') {
+            filter = JSON.parse(filterInput);
+            validateFilter(filter);
+        }
+    } catch (e) {
+        console.error('✗ 过滤条件解析失败:', e);
+        showNotification(`过滤条件无效: ${e.message}`, 'error');
+        return;
+    }
+
     // 解析或生成查询向量
     let queryData;
     let isRandomGenerated = false;
@@ -1014,82 +1976,134 @@ function executeQuery() {
             console.log('✓ 生成随机查询向量:', queryData);
         } else {
             queryData = queryInput.split(',').map(v => parseFloat(v.trim()));
-            if (queryData.length !== 4 || queryData.some(isNaN)) {
-                throw new Error('向量必须是4维');
-            }
+            validateDimension(queryData, app.hnswIndex.dimension, '查询向量');
             console.log('✓ 使用输入的查询向量:', queryData);
         }
     } catch (e) {
         console.error('✗ 查询向量解析失败:', e);
-        showNotification('请输入有效的4维向量，例如: 0.5, 0.3, 0.8, 0.2', 'error');
+        showNotification(`请输入有效的 ${app.hnswIndex.dimension} 维向量 (${e.message})`, 'error');
         return;
     }
 
-    const queryVector = new Vector(-1, queryData, Date.now());
-
-    // 使用选中的时间窗口
-    const targetWindow = selectedWindow;
-
-    // 收集HNSW中的所有时间窗口
-    const hnswWindows = new Set();
-    app.hnswIndex.vectors.forEach(v => {
-        hnswWindows.add(getTimeWindow(v.timestamp));
-    });
-
-    console.log(`目标时间窗口: ${formatTimeWindow(targetWindow)}`);
-    console.log(`HNSW 中的窗口:`, Array.from(hnswWindows).map(w => formatTimeWindow(w)));
-
-    let results;
-    let queryPath;
-
-    // 路由决策：如果目标窗口在 HNSW 中，走 HNSW；否则走 TOS
-    if (hnswWindows.has(targetWindow)) {
-        queryPath = 'HNSW 索引 (内存层)';
-        console.log('→ 查询路径: HNSW');
-
-        // 先搜索所有结果
-        const allResults = app.hnswIndex.search(queryVector, topK * 10); // 搜索更多结果以便过滤
+    const queryVector = new Vector(-1, queryData, app.clock.now());
+    console.log(`目标时间范围: ${formatTimeWindow(startWindow, app.windowSize)} - ${formatTimeWindow(endWindow, app.windowSize)}`);
 
-        // 过滤出目标时间窗口的结果
-        results = allResults
-            .filter(r => getTimeWindow(r.vector.timestamp) === targetWindow)
-            .slice(0, topK);
+    let outcome;
+    try {
+        // 引擎执行查询并记录查询事件
+        outcome = await app.engine.call('query', {
+            vector: queryData,
+            time: queryVector.timestamp,
+            startWindow,
+            endWindow,
+            topK,
+            radius: radiusQuery ? radiusQuery.radius : null,
+            maxResults: radiusQuery ? radiusQuery.maxResults : null,
+            filter,
+            // 半径查询在第 0 层做有界扩展，不记录逐层的搜索轨迹
+            trace: !radiusQuery,
+            windowSize: app.windowSize
+        });
+    } catch (e) {
+        console.error('✗ 查询失败:', e);
+        showNotification(`查询失败: ${e.message}`, 'error');
+        return;
+    }
 
-        console.log('✓ HNSW 查询结果数量:', results.length);
-    } else {
-        queryPath = 'TOS Vector Bucket (持久化层)';
-        console.log('→ 查询路径: TOS');
-        results = app.tosBucket.queryVectors(queryVector, targetWindow, topK);
-        console.log('✓ TOS 查询结果数量:', results.length);
+    const { queryPaths, searchStats, tosStats, searchTrace, metrics } = outcome;
+    const results = outcome.results.map(r => ({
+        ...r,
+        vector: new Vector(r.vector.id, r.vector.data, r.vector.timestamp, r.vector.level, r.vector.metadata)
+    }));
+    console.log('→ 查询路径:', queryPaths);
+    if (searchStats) {
+        console.log('✓ HNSW 距离计算次数:', searchStats.distanceComputations);
+    }
+    if (tosStats) {
+        console.log('✓ TOS 距离计算次数:', tosStats.distanceComputations);
+    }
+    if (metrics.length > 1) {
+        console.warn('范围内索引使用了不同的距离度量:', metrics);
     }
 
     console.log('=== 查询完成，准备显示结果 ===');
-    displayQueryResults(results, queryPath, queryVector, topK, isRandomGenerated, targetWindow);
+    app.lastQuery = {
+        queryVector,
+        topK: radiusQuery ? null : topK,
+        radius: radiusQuery ? radiusQuery.radius : null,
+        maxResults: radiusQuery ? radiusQuery.maxResults : null,
+        startWindow,
+        endWindow,
+        filter,
+        metrics,
+        results
+    };
+    displayQueryResults(results, queryPaths, queryVector, topK, isRandomGenerated, startWindow, endWindow, metrics, searchStats, tosStats, radiusQuery);
+
+    // 回放 HNSW 的搜索过程
+    if (searchTrace) {
+        startSearchTrace(searchTrace);
+    } else {
+        clearSearchTrace();
+    }
 }
 
-function displayQueryResults(results, queryPath, queryVector, topK, isRandomGenerated, targetWindow) {
+// radiusQuery 为 { radius, maxResults }，top-K 查询时为 null
+function displayQueryResults(results, queryPaths, queryVector, topK, isRandomGenerated, startWindow, endWindow, metrics, searchStats, tosStats, radiusQuery = null) {
     const resultSection = document.getElementById('queryResultSection');
     const resultContainer = document.getElementById('queryResult');
 
     resultSection.style.display = 'block';
 
-    let html = `<div class="query-path">查询路径: ${queryPath}</div>`;
+    let html = '';
+    if (queryPaths.length === 0) {
+        html += `<div class="query-path">查询路径: 范围内无数据</div>`;
+    } else {
+        queryPaths.forEach(path => {
+            html += `<div class="query-path">查询路径: ${path}</div> `;
+        });
+    }
+
+    const rangeLabel = startWindow === endWindow
+        ? formatTimeWindow(startWindow, app.windowSize)
+        : `${formatTimeWindow(startWindow, app.windowSize)} - ${formatTimeWindow(endWindow, app.windowSize)}`;
     html += `<div style="margin-bottom: 12px; padding: 8px; background-color: #e8f4f8; border-radius: 4px; color: #0073bb;">
-        <strong>查询时间窗口:</strong> ${formatTimeWindow(targetWindow)}
+        <strong>查询时间范围:</strong> ${rangeLabel}
     </div>`;
 
+    html += `<div style="margin-bottom: 12px; color: #545b64;">距离度量: ${metrics.map(m => getMetric(m).label).join(', ')}</div>`;
+    if (searchStats) {
+        html += `<div style="margin-bottom: 12px; color: #545b64;">HNSW 距离计算: ${searchStats.distanceComputations} 次 / ${searchStats.vectorCount} 个向量</div>`;
+    }
+    if (tosStats) {
+        const mode = app.tos.exactSearch
+            ? '精确扫描'
+            : `IVF nprobe=${app.tos.nprobe}，${tosStats.annIndexCount}/${tosStats.indexCount} 个索引使用 IVF，` +
+                `${tosStats.quantizedIndexCount} 个索引在量化编码上取候选后重排`;
+        html += `<div style="margin-bottom: 12px; color: #545b64;">TOS 距离计算: ${tosStats.distanceComputations} 次 / ${tosStats.vectorCount} 个向量（${mode}）</div>`;
+    }
+    if (metrics.length > 1) {
+        html += `<div style="margin-bottom: 12px; padding: 8px; background-color: #fdecea; border-radius: 4px; color: #d13212;">
+            范围内索引使用了不同的距离度量，合并排序结果仅供参考
+        </div>`;
+    }
+
     if (isRandomGenerated) {
         html += `<div style="margin-bottom: 12px; padding: 8px; background-color: #fff3cd; border-radius: 4px; color: #856404;">
-            <strong>随机生成的查询向量:</strong> [${queryVector.data.map(v => v.toFixed(3)).join(', ')}]
+            <strong>随机生成的查询向量:</strong> ${formatVectorData(queryVector.data)}
         </div>`;
     } else {
-        html += `<div style="margin-bottom: 12px; color: #545b64;">查询向量: [${queryVector.data.map(v => v.toFixed(3)).join(', ')}]</div>`;
+        html += `<div style="margin-bottom: 12px; color: #545b64;">查询向量: ${formatVectorData(queryVector.data)}</div>`;
     }
 
     if (results.length === 0) {
         html += '<div style="padding: 20px; text-align: center; color: #687078;">未找到匹配的向量</div>';
     } else {
-        html += `<h4 style="margin-bottom: 12px;">Top ${topK} 最近邻:</h4>`;
+        const heading = radiusQuery
+            ? `半径 ${radiusQuery.radius} 内的 ${results.length} 个向量` +
+                (radiusQuery.maxResults !== null && results.length === radiusQuery.maxResults ? `（已达到最大结果数 ${radiusQuery.maxResults}）` : '')
+            : `Top ${topK} 最近邻`;
+        html += `<h4 style="margin-bottom: 12px;">${heading}:</h4>`;
         results.forEach((result, index) => {
             // 调试：打印结果对象
             console.log(`结果 #${index + 1}:`, result);
@@ -1098,31 +2112,39 @@ function displayQueryResults(results, queryPath, queryVector, topK, isRandomGene
             console.log(`  向量对象:`, vector);
             console.log(`  向量数据:`, vector.data);
 
-            let distance;
-
-            // 确保 distance 是数字类型
-            if (result.distance !== undefined && result.distance !== null) {
-                distance = Number(result.distance);
-                console.log(`  使用已有距离: ${distance}`);
+            // 结果所在索引的度量（TOS 结果按归档索引，HNSW 结果按内存索引）
+            const metricName = result.source === 'TOS'
+                ? (app.tos.indexes.find(idx => idx.name === result.indexName) || {}).metric || 'l2'
+                : app.hnswIndex.metric;
+            const metric = getMetric(metricName);
+            let score;
+
+            // 确保 score 是数字类型
+            if (result.score !== undefined && result.score !== null) {
+                score = Number(result.score);
+                console.log(`  使用已有分数: ${score}`);
             } else if (vector && vector.data && queryVector && queryVector.data) {
-                // 手动计算距离
-                let sum = 0;
-                for (let i = 0; i < vector.data.length; i++) {
-                    sum += Math.pow(vector.data[i] - queryVector.data[i], 2);
-                }
-                distance = Math.sqrt(sum);
-                console.log(`  计算距离: ${distance}`);
+                // 手动计算距离并换算为分数
+                score = metric.toScore(queryVector.distance(vector, metricName));
+                console.log(`  计算分数: ${score}`);
             } else {
-                distance = 0;
+                score = 0;
                 console.error(`  无法计算距离，向量数据不完整`);
             }
+            const scoreHint = metric.higherIsBetter ? '越大越近' : '越小越近';
+
+            const sourceLabel = result.source === 'TOS'
+                ? `TOS (${result.indexName})`
+                : 'HNSW (内存层)';
 
             html += `
                 <div class="result-item">
                     <div><strong>#${index + 1}</strong> - 向量 ID: ${vector.id}</div>
-                    <div>向量: [${vector.data.map(v => v.toFixed(3)).join(', ')}]</div>
-                    <div>距离: ${distance.toFixed(4)}</div>
+                    <div>来源: <span class="source-tag ${result.source === 'TOS' ? 'tos' : 'hnsw'}">${sourceLabel}</span></div>
+                    <div>向量: ${formatVectorData(vector.data)}</div>
+                    <div>${metric.scoreLabel}: ${score.toFixed(4)} <span style="color: #687078;">(${scoreHint})</span></div>
                     <div>时间: ${new Date(vector.timestamp).toLocaleString()}</div>
+                    <div>元数据: ${formatMetadata(vector.metadata)}</div>
                 </div>
             `;
         });
@@ -1132,17 +2154,514 @@ function displayQueryResults(results, queryPath, queryVector, topK, isRandomGene
     showNotification(`查询完成，找到 ${results.length} 个结果`);
 }
 
+// 基准测试 - 对比 HNSWIndex.search 与精确扫描（findKNearest），扫描 M 和 ef 参数
+// 生成基准数据集：uniform 为均匀分布，clustered 为若干高斯簇
+function generateBenchmarkDataset(type, count, dimension) {
+    if (type === 'clustered') {
+        const clusterCount = 10;
+        const centers = Array.from({ length: clusterCount }, () => generateRandomVector(dimension, app.rng.benchmark));
+        return Array.from({ length: count }, () => {
+            const center = centers[Math.floor(app.rng.benchmark() * clusterCount)];
+            return center.map(c => c + gaussianRandom() * 0.05);
+        });
+    }
+    return Array.from({ length: count }, () => generateRandomVector(dimension, app.rng.benchmark));
+}
+
+// 标准正态分布随机数（Box-Muller）
+function gaussianRandom(random = app.rng.benchmark) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// 读取基准测试数据集文件：JSON 数组，每个元素为一个向量（数字数组）
+async function loadBenchmarkDataset(file) {
+    const data = JSON.parse(await file.text());
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('数据集必须是非空的向量数组');
+    }
+    const dimension = data[0].length;
+    data.forEach((d, i) => validateDimension(d, dimension, `数据集第 ${i + 1} 个向量`));
+    return data;
+}
+
+// 解析逗号分隔的正整数列表，如 "4, 8, 16"
+function parseIntegerList(input, name) {
+    const values = input.split(',').map(v => parseInt(v.trim())).filter(v => !isNaN(v));
+    if (values.length === 0 || values.some(v => v <= 0)) {
+        throw new Error(`${name} 必须是逗号分隔的正整数`);
+    }
+    return values;
+}
+
+// 从面板读取配置并运行基准测试
+async function executeBenchmark() {
+    const button = document.getElementById('runBenchmark');
+    const progress = document.getElementById('benchmarkProgress');
+
+    let config;
+    try {
+        const source = document.getElementById('benchmarkDataset').value;
+        const count = parseInt(document.getElementById('benchmarkSize').value);
+        const queryCount = parseInt(document.getElementById('benchmarkQueries').value);
+        const k = parseInt(document.getElementById('benchmarkK').value);
+        const mValues = parseIntegerList(document.getElementById('benchmarkM').value, 'M');
+        const efValues = parseIntegerList(document.getElementById('benchmarkEf').value, 'ef');
+        const dimension = app.hnswIndex.dimension;
+
+        let data;
+        if (source === 'hnsw') {
+            data = app.hnswIndex.vectors.map(v => v.data);
+        } else if (source === 'file') {
+            const file = document.getElementById('benchmarkFile').files[0];
+            if (!file) throw new Error('请选择数据集文件');
+            data = await loadBenchmarkDataset(file);
+        } else {
+            data = generateBenchmarkDataset(source, count, dimension);
+        }
+        if (data.length <= k) {
+            throw new Error(`数据集向量数 (${data.length}) 必须大于 k (${k})`);
+        }
+
+        // 查询从数据分布中抽样并加入少量扰动
+        const queries = Array.from({ length: queryCount }, () => {
+            const base = data[Math.floor(app.rng.benchmark() * data.length)];
+            return base.map(x => x + gaussianRandom() * 0.01);
+        });
+
+        config = { data, queries, k, mValues, efValues, metric: app.hnswIndex.metric };
+    } catch (e) {
+        showNotification(`基准测试配置无效: ${e.message}`, 'error');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        // 在引擎中构建和查询，页面只接收每个阶段的描述和最终结果
+        const rows = await runCancellableTask('benchmark', { config }, {
+            cancelButton: 'cancelBenchmark',
+            onProgress: message => {
+                progress.textContent = message;
+            }
+        });
+        renderBenchmarkTable(rows, config.k);
+        renderBenchmarkChart(rows);
+        showNotification(`基准测试完成: ${rows.length} 组参数`);
+    } catch (e) {
+        if (e.code === 'Cancelled') {
+            progress.textContent = '已取消';
+            showNotification('已取消基准测试', 'info');
+        } else {
+            console.error('✗ 基准测试失败:', e);
+            showNotification(`基准测试失败: ${e.message}`, 'error');
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderBenchmarkTable(rows, k) {
+    const container = document.getElementById('benchmarkTable');
+    let html = `<table class="benchmark-table">
+        <thead><tr>
+            <th>M</th><th>ef</th><th>Recall@${k}</th><th>p50 (ms)</th><th>p99 (ms)</th>
+            <th>平均距离计算</th><th>构建耗时 (ms)</th>
+        </tr></thead><tbody>`;
+    rows.forEach(row => {
+        html += `<tr>
+            <td>${row.M}</td>
+            <td>${row.ef}</td>
+            <td>${row.recall.toFixed(4)}</td>
+            <td>${row.p50.toFixed(3)}</td>
+            <td>${row.p99.toFixed(3)}</td>
+            <td>${row.avgDistanceComputations.toFixed(1)}</td>
+            <td>${row.buildTime.toFixed(0)}</td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+// 召回率 - p50 延迟曲线，每个 M 一条线，点按 ef 递增
+function renderBenchmarkChart(rows) {
+    const container = document.getElementById('benchmarkChart');
+    container.innerHTML = '';
+
+    const width = container.clientWidth || 600;
+    const height = 300;
+    const margin = { top: 20, right: 100, bottom: 40, left: 60 };
+
+    const svg = d3.select(container).append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(rows, d => d.p50) * 1.1 || 1])
+        .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+        .domain([Math.min(0.9, d3.min(rows, d => d.recall)), 1])
+        .range([height - margin.bottom, margin.top]);
+    const color = d3.scaleOrdinal(d3.schemeTableau10);
+
+    svg.append('g')
+        .attr('transform', `translate(0,${height - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(6));
+    svg.append('g')
+        .attr('transform', `translate(${margin.left},0)`)
+        .call(d3.axisLeft(y).ticks(6));
+    svg.append('text')
+        .attr('x', (width - margin.right + margin.left) / 2)
+        .attr('y', height - 6)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '12px')
+        .text('p50 延迟 (ms)');
+    svg.append('text')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -(height / 2))
+        .attr('y', 16)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '12px')
+        .text('Recall');
+
+    const groups = d3.group(rows, d => d.M);
+    const line = d3.line().x(d => x(d.p50)).y(d => y(d.recall));
+    Array.from(groups.entries()).forEach(([M, series], i) => {
+        const sorted = [...series].sort((a, b) => a.ef - b.ef);
+        svg.append('path')
+            .datum(sorted)
+            .attr('fill', 'none')
+            .attr('stroke', color(M))
+            .attr('stroke-width', 2)
+            .attr('d', line);
+        svg.selectAll(null)
+            .data(sorted)
+            .enter()
+            .append('circle')
+            .attr('cx', d => x(d.p50))
+            .attr('cy', d => y(d.recall))
+            .attr('r', 4)
+            .attr('fill', color(M))
+            .append('title')
+            .text(d => `M=${d.M}, ef=${d.ef}\nrecall=${d.recall.toFixed(4)}\np50=${d.p50.toFixed(3)}ms`);
+        svg.append('text')
+            .attr('x', width - margin.right + 10)
+            .attr('y', margin.top + i * 18)
+            .attr('font-size', '12px')
+            .attr('fill', color(M))
+            .text(`M=${M}`);
+    });
+}
+
 // 事件监听器
 function setupEventListeners() {
     document.getElementById('executeQuery').addEventListener('click', executeQuery);
+    document.getElementById('queryMode').addEventListener('change', (e) => {
+        const radius = e.target.value === 'radius';
+        document.getElementById('topKOptions').style.display = radius ? 'none' : 'block';
+        document.getElementById('radiusOptions').style.display = radius ? 'block' : 'none';
+    });
 
-    // 层级切换监听器
-    document.querySelectorAll('input[name="layerView"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const value = e.target.value;
-            app.currentLayerView = value === 'all' ? 'all' : parseInt(value);
-            updateHNSWGraph();
-        });
+    // 搜索路径回放
+    document.getElementById('tracePlay').addEventListener('click', () => {
+        if (app.searchTrace && app.searchTrace.timer) {
+            stopSearchTracePlayback();
+        } else {
+            playSearchTrace();
+        }
+    });
+    document.getElementById('traceFirst').addEventListener('click', () => {
+        stopSearchTracePlayback();
+        seekSearchTrace(0);
+    });
+    document.getElementById('tracePrev').addEventListener('click', () => {
+        stopSearchTracePlayback();
+        seekSearchTrace(app.searchTrace.current - 1);
+    });
+    document.getElementById('traceNext').addEventListener('click', () => {
+        stopSearchTracePlayback();
+        seekSearchTrace(app.searchTrace.current + 1);
+    });
+    document.getElementById('traceLast').addEventListener('click', () => {
+        stopSearchTracePlayback();
+        seekSearchTrace(app.searchTrace.steps.length - 1);
+    });
+    document.getElementById('traceSlider').addEventListener('input', (e) => {
+        stopSearchTracePlayback();
+        seekSearchTrace(parseInt(e.target.value));
+    });
+    document.getElementById('traceClose').addEventListener('click', clearSearchTrace);
+
+    // 距离度量切换
+    document.getElementById('metric').addEventListener('change', async (e) => {
+        try {
+            await changeMetric(e.target.value);
+        } catch (err) {
+            e.target.value = app.hnswIndex.metric;
+            showNotification(err.code === 'Cancelled' ? '已取消重建，保留原来的度量' : `切换度量失败: ${err.message}`,
+                err.code === 'Cancelled' ? 'info' : 'error');
+            return;
+        }
+        updateHNSWGraph();
+        updateStats();
+        showNotification(`已切换为 ${getMetric(e.target.value).label}，HNSW 已重建`, 'info');
+    });
+
+    // 向量维度切换（会重建两层存储）
+    document.getElementById('dimension').addEventListener('change', async (e) => {
+        const dimension = parseInt(e.target.value);
+        if (!confirm(`切换到 ${dimension} 维将清空 HNSW 索引和 TOS Bucket，是否继续？`)) {
+            e.target.value = app.hnswIndex.dimension;
+            return;
+        }
+        try {
+            await changeDimension(dimension);
+        } catch (err) {
+            e.target.value = app.hnswIndex.dimension;
+            showNotification(`切换维度失败: ${err.message}`, 'error');
+            return;
+        }
+        document.getElementById('queryDimensionLabel').textContent = dimension;
+        updateHNSWGraph();
+        updateTOSBucket();
+        updateStats();
+        showNotification(`已切换为 ${dimension} 维向量`, 'info');
+    });
+
+    // TOS 后端切换
+    const backendSelector = document.getElementById('tosBackend');
+    backendSelector.value = app.tos.backend;
+    backendSelector.addEventListener('change', async (e) => {
+        if (await changeTOSBackend(e.target.value)) {
+            updateTOSBucket();
+            updateStats();
+            showNotification(`TOS 后端已切换为 ${e.target.value === 'http' ? 'HTTP (TOS Vectors API)' : '浏览器 IndexedDB'}`, 'info');
+        } else {
+            e.target.value = app.tos.backend;
+        }
+    });
+
+    // 基准测试
+    document.getElementById('runBenchmark').addEventListener('click', executeBenchmark);
+    document.getElementById('benchmarkDataset').addEventListener('change', (e) => {
+        document.getElementById('benchmarkFile').style.display = e.target.value === 'file' ? 'block' : 'none';
+    });
+
+    // 快照下载 / 加载
+    document.getElementById('downloadSnapshot').addEventListener('click', downloadSnapshot);
+    document.getElementById('loadSnapshot').addEventListener('click', () => {
+        document.getElementById('snapshotFile').click();
+    });
+    document.getElementById('snapshotFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            loadSnapshot(file);
+        }
+        e.target.value = '';
+    });
+
+    // 可复现运行：种子、事件日志导出和重放
+    document.getElementById('seedInput').value = app.seed;
+    document.getElementById('restartWithSeed').addEventListener('click', async () => {
+        const seed = Number(document.getElementById('seedInput').value);
+        try {
+            validateSeed(seed);
+        } catch (e) {
+            showNotification(e.message, 'error');
+            return;
+        }
+        if (!confirm(`以种子 ${seed} 重新开始将清空 HNSW 索引和 TOS Bucket，是否继续？`)) {
+            return;
+        }
+        try {
+            await restartWithSeed(seed);
+        } catch (e) {
+            showNotification(e.message, 'error');
+            return;
+        }
+        updateHNSWGraph();
+        updateTOSBucket();
+        updateStats();
+        updateTimeWindowOptions();
+        showNotification(`已以种子 ${seed} 重新开始`, 'info');
+    });
+    document.getElementById('downloadEventLog').addEventListener('click', downloadEventLog);
+    document.getElementById('replayEventLog').addEventListener('click', () => {
+        document.getElementById('eventLogFile').click();
+    });
+    document.getElementById('eventLogFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            replayEventLogFile(file);
+        }
+        e.target.value = '';
+    });
+
+    // 模拟控制
+    updateIngestSettingsPanel();
+    updateClockStatus();
+    document.getElementById('toggleIngest').addEventListener('click', () => {
+        setIngestPaused(!app.ingestPaused);
+    });
+    document.getElementById('toggleFlush').addEventListener('click', () => {
+        setFlushPaused(!app.flushPaused);
+    });
+    document.getElementById('flushNow').addEventListener('click', manualFlush);
+    document.getElementById('applyIngest').addEventListener('click', () => {
+        try {
+            app.ingest = readIngestSettings();
+        } catch (e) {
+            showNotification(e.message, 'error');
+            return;
+        }
+        scheduleNextInsert();
+        showNotification(`插入速率已更新: 约 ${app.ingest.rate} 个/分钟${app.ingest.burstSize > 1 ? `，每次 ${app.ingest.burstSize} 个` : ''}`, 'info');
+    });
+    document.getElementById('clockSpeed').addEventListener('change', (e) => {
+        changeClockSpeed(Number(e.target.value));
+        showNotification(`虚拟时钟速度: ${app.clock.speed}×`, 'info');
+    });
+    window.addEventListener('beforeunload', saveClock);
+
+    // 导出按钮（HNSW 区块标题、查询结果标题和每个 TOS 索引卡片）
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export]');
+        if (button) {
+            exportData(button.dataset.export, button.dataset.format, button.dataset.index);
+        }
+    });
+
+    // 按 ID 更新 / 删除
+    document.getElementById('upsertVectorById').addEventListener('click', upsertVectorById);
+    document.getElementById('deleteVectorById').addEventListener('click', deleteVectorById);
+
+    // 批量导入：粘贴文本、选择文件或把文件拖到文本框
+    const importText = document.getElementById('importText');
+    document.getElementById('importVectors').addEventListener('click', () => {
+        if (importText.value.trim() === '') {
+            showNotification('请先粘贴要导入的数据或选择文件', 'error');
+            return;
+        }
+        importData(importText.value);
+    });
+    document.getElementById('importFromFile').addEventListener('click', () => {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importData(file);
+        }
+        e.target.value = '';
+    });
+    importText.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        importText.classList.add('drag-over');
+    });
+    importText.addEventListener('dragleave', () => importText.classList.remove('drag-over'));
+    importText.addEventListener('drop', (e) => {
+        e.preventDefault();
+        importText.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            importData(file);
+        }
+    });
+
+    // 选择快捷范围时禁用自定义起止窗口
+    document.getElementById('rangePreset').addEventListener('change', (e) => {
+        const isCustom = e.target.value === 'custom';
+        document.getElementById('startWindow').disabled = !isCustom;
+        document.getElementById('endWindow').disabled = !isCustom;
+    });
+
+    // 窗口粒度和保留策略
+    updateRetentionSettingsPanel();
+    document.getElementById('retentionType').addEventListener('change', (e) => {
+        const unit = RETENTION_UNITS[e.target.value];
+        document.getElementById('retentionUnit').textContent = unit.label;
+        document.getElementById('retentionValue').value = e.target.value === app.retention.type
+            ? unit.toInput(app.retention)
+            : unit.defaultValue;
+    });
+    document.getElementById('applyRetention').addEventListener('click', () => {
+        let settings;
+        try {
+            settings = readRetentionSettings();
+        } catch (e) {
+            showNotification(`设置无效: ${e.message}`, 'error');
+            return;
+        }
+        applyRetentionSettings(settings);
+        showNotification(`窗口粒度 ${formatDuration(settings.windowSize)}，${describeRetention(settings.retention)}`, 'info');
+    });
+
+    // TOS 查询方式
+    updateTOSSearchSettingsPanel();
+    document.getElementById('tosSearchMode').addEventListener('change', (e) => {
+        document.getElementById('tosNprobe').disabled = e.target.value === 'exact';
+    });
+    document.getElementById('applyTOSSearch').addEventListener('click', async () => {
+        let settings;
+        try {
+            settings = readTOSSearchSettings();
+        } catch (e) {
+            showNotification(`设置无效: ${e.message}`, 'error');
+            return;
+        }
+        try {
+            await app.engine.call('setTOSOptions', settings);
+        } catch (e) {
+            // 面板恢复为引擎当前的设置
+            updateTOSSearchSettingsPanel();
+            console.error('✗ TOS 查询设置失败:', e);
+            showNotification(`TOS 查询设置失败: ${e.message}`, 'error');
+            return;
+        }
+        const mode = settings.exactSearch ? 'TOS 查询改为精确扫描' : `TOS 查询使用 IVF，nprobe=${settings.nprobe}`;
+        showNotification(`${mode}；新索引: ${QUANTIZATION_TYPES[settings.quantization].label}`, 'info');
+    });
+
+    // TOS 索引合并
+    updateCompactionSettingsPanel();
+    document.getElementById('applyCompaction').addEventListener('click', () => {
+        try {
+            app.compaction = readCompactionSettings();
+        } catch (e) {
+            showNotification(`设置无效: ${e.message}`, 'error');
+            return;
+        }
+        showNotification(app.compaction.enabled
+            ? `自动合并已开启，阈值 ${app.compaction.minIndexes} 个索引`
+            : '自动合并已关闭', 'info');
+        if (app.compaction.enabled) {
+            compactTOS();
+        }
+    });
+    document.getElementById('compactNow').addEventListener('click', async () => {
+        const outcome = await compactTOS();
+        if (outcome && outcome.compactions.length === 0 && !outcome.error) {
+            showNotification('没有需要合并的索引', 'info');
+        }
+    });
+
+    // HNSW 参数设置
+    updateHNSWSettingsPanel();
+    document.getElementById('applyHNSWSettings').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        try {
+            await rebuildHNSWIndex(readHNSWSettings());
+        } catch (err) {
+            updateHNSWSettingsPanel();
+            showNotification(err.code === 'Cancelled' ? '已取消重建，保留原来的索引' : `参数无效: ${err.message}`,
+                err.code === 'Cancelled' ? 'info' : 'error');
+            return;
+        } finally {
+            e.target.disabled = false;
+        }
+        updateHNSWGraph();
+        updateStats();
+        showNotification(`HNSW 已按新参数重建: ${app.hnswIndex.vectors.length} 个向量`, 'info');
     });
 
     // 点击空白处取消选中
@@ -1154,13 +2673,54 @@ function setupEventListeners() {
     });
 }
 
+// 引擎恢复 TOS Bucket 后，HNSW 的维度可能跟随已归档的数据变化，新向量的 ID 接在已有的向量之后
+function applyRestoredBucket({ nextId, restored }) {
+    app.vectorIdCounter = Math.max(app.vectorIdCounter, nextId);
+    document.getElementById('dimension').value = app.hnswIndex.dimension;
+    document.getElementById('queryDimensionLabel').textContent = app.hnswIndex.dimension;
+    if (restored > 0) {
+        console.log(`从存储恢复 ${restored} 个 TOS 索引`);
+    }
+}
+
+// 切换 TOS 后端（IndexedDB / HTTP），失败时引擎保留原来的 Bucket
+async function changeTOSBackend(backend) {
+    try {
+        applyRestoredBucket(await app.engine.call('changeBackend', { backend, now: app.clock.now() }));
+    } catch (e) {
+        console.error('✗ TOS Bucket 恢复失败:', e);
+        showNotification(`TOS Bucket 恢复失败: ${e.message}`, 'error');
+        return false;
+    }
+
+    try {
+        localStorage.setItem('tosBackend', backend);
+    } catch (e) {
+        console.warn('无法保存 TOS 后端设置:', e);
+    }
+    return true;
+}
+
 // 应用初始化
-function init() {
+async function init() {
+    applySeed(app.seed);
     initHNSWVisualization();
+    app.engine = new EngineClient(createEnginePort(), { onUpdate: applyEngineUpdate });
+    const restored = await app.engine.call('init', {
+        backend: getSavedTOSBackend(),
+        seed: app.seed,
+        now: app.clock.now()
+    });
+    if (restored.error) {
+        console.error('✗ TOS Bucket 恢复失败:', restored.error);
+        showNotification(`TOS Bucket 恢复失败: ${restored.error.message}`, 'error');
+    }
+    applyRestoredBucket(restored);
     updateTOSBucket();
     updateStats();
     setupEventListeners();
     startAutoFlush();
+    startAutoCompaction();
     startAutoInsert(); // 启动自动插入
 
     showNotification('系统初始化完成，自动插入已启动', 'info');
@@ -0,0 +1,67 @@
+// 基准测试 - 对比 HNSWIndex.search 与精确扫描（findKNearest），扫描 M 和 ef 参数
+
+import { HNSWIndex } from './hnsw.js';
+import { Vector } from './vector.js';
+
+// 已排序数组的百分位数
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// 运行基准测试：每个 M 构建一次索引，在同一索引上扫描所有 ef
+// config 为 { data, queries, k, mValues, efValues, metric }；hnswOptions 为其余的构建参数，random 用于分配层级
+// onProgress(message) 在每个阶段开始前调用，可以返回 Promise 让出线程（或抛出错误取消）
+// 返回 [{ M, ef, recall, p50, p99, avgDistanceComputations, buildTime }]
+export async function runBenchmark(config, { hnswOptions = {}, random = Math.random, onProgress = () => {} } = {}) {
+    const { data, queries, k, mValues, efValues, metric } = config;
+    const dimension = data[0].length;
+    const vectors = data.map((d, i) => new Vector(i, d, 0));
+    const queryVectors = queries.map(d => new Vector(-1, d, 0));
+
+    // 精确扫描得到 ground truth
+    await onProgress('计算 ground truth (精确扫描)...');
+    const exactIndex = new HNSWIndex({ metric, dimension });
+    exactIndex.vectors = vectors;
+    const groundTruth = queryVectors.map(q => new Set(exactIndex.findKNearest(q, k).map(v => v.id)));
+
+    const rows = [];
+    for (const M of mValues) {
+        await onProgress(`构建索引 M=${M} (${data.length} 个向量)...`);
+
+        const index = new HNSWIndex({ ...hnswOptions, metric, dimension, M, M0: M * 2, random });
+        const buildStart = performance.now();
+        data.forEach((d, i) => index.insert(new Vector(i, d, 0, index.randomLevel())));
+        const buildTime = performance.now() - buildStart;
+
+        for (const ef of efValues) {
+            await onProgress(`测试 M=${M}, ef=${ef}...`);
+
+            const latencies = [];
+            let hits = 0;
+            let distanceComputations = 0;
+            queryVectors.forEach((q, i) => {
+                const start = performance.now();
+                const results = index.search(q, k, ef);
+                latencies.push(performance.now() - start);
+                distanceComputations += index.lastSearchStats.distanceComputations;
+                hits += results.filter(r => groundTruth[i].has(r.vector.id)).length;
+            });
+
+            latencies.sort((a, b) => a - b);
+            rows.push({
+                M,
+                ef,
+                recall: hits / (queryVectors.length * k),
+                p50: percentile(latencies, 50),
+                p99: percentile(latencies, 99),
+                avgDistanceComputations: distanceComputations / queryVectors.length,
+                buildTime
+            });
+        }
+    }
+
+    await onProgress('完成');
+    return rows;
+}
@@ -0,0 +1,54 @@
+// TOS Bucket 的 IndexedDB 存储后端，每个索引存为一条记录（以索引名为主键）
+export class IndexedDBBucketStorage {
+    constructor(dbName = 'tos-vector-bucket') {
+        this.dbName = dbName;
+        this.storeName = 'indexes';
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'name' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 在一个事务中执行操作，事务完成后返回请求结果
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    loadIndexes() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    saveIndex(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    deleteIndex(name) {
+        return this.run('readwrite', store => store.delete(name));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
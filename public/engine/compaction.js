@@ -0,0 +1,76 @@
+// TOS 索引的分层合并（LSM 风格）：flush 产生的小索引先合并为小时索引，再合并为天索引
+// 合并后的索引保留源索引的实际时间范围，查询仍按区间重叠路由
+
+import { getTimeWindow, HOUR, DAY } from './windows.js';
+
+// 合并层级：level 0 为 flush 直接产生的索引，level N 的索引覆盖不超过一个 windowSize 窗口
+export const COMPACTION_TIERS = [
+    { level: 1, windowSize: HOUR, label: '小时' },
+    { level: 2, windowSize: DAY, label: '天' }
+];
+
+// enabled - 是否定时合并；minIndexes - 未结束的窗口内小索引达到该数量时提前合并
+export const DEFAULT_COMPACTION = { enabled: true, minIndexes: 12 };
+
+export function validateCompactionPolicy(policy) {
+    if (!policy || typeof policy.enabled !== 'boolean') {
+        throw new Error('合并策略缺少 enabled');
+    }
+    if (!Number.isInteger(policy.minIndexes) || policy.minIndexes < 2) {
+        throw new Error(`合并阈值 minIndexes 无效: ${policy.minIndexes}（至少为 2）`);
+    }
+}
+
+export function getCompactionTier(level) {
+    return COMPACTION_TIERS.find(tier => tier.level === level) || null;
+}
+
+// 规划某一合并层级要执行的合并，返回 [{ tier, windowStart, sources }]
+// 同一个目标窗口、同一度量、level 不超过目标层级的索引为一组；组内至少有一个更低层级的索引
+// 且至少两个索引时才合并。目标窗口结束后合并，未结束时低层索引数达到 minIndexes 也提前合并
+export function planCompactions(indexes, tier, { now = Date.now(), minIndexes = DEFAULT_COMPACTION.minIndexes } = {}) {
+    const groups = new Map();
+    indexes.forEach(idx => {
+        const level = idx.level || 0;
+        if (level > tier.level) return;
+        // 跨越目标窗口边界的索引（如按天 flush 的索引之于小时层）不参与这一层的合并
+        const windowStart = getTimeWindow(idx.windowStart, tier.windowSize);
+        if (getTimeWindow(idx.windowStart + idx.windowSize - 1, tier.windowSize) !== windowStart) return;
+
+        const key = `${windowStart}:${idx.metric}`;
+        if (!groups.has(key)) {
+            groups.set(key, { tier, windowStart, sources: [] });
+        }
+        groups.get(key).sources.push(idx);
+    });
+
+    return Array.from(groups.values())
+        .filter(({ windowStart, sources }) => {
+            const pending = sources.filter(idx => (idx.level || 0) < tier.level).length;
+            if (pending === 0 || sources.length < 2) return false;
+            return windowStart + tier.windowSize <= now || pending >= minIndexes;
+        })
+        .map(plan => ({ ...plan, sources: plan.sources.sort((a, b) => a.windowStart - b.windowStart) }))
+        .sort((a, b) => a.windowStart - b.windowStart);
+}
+
+// 按层级依次合并 Bucket 中的索引：先合并小时层，再用合并结果规划天层
+// 返回 { compactions, error }，compactions 为本次新建的合并索引；某次合并失败时停止并通过 error 返回，
+// 已完成的合并保留
+export async function compactBucket(tosBucket, options = {}) {
+    const { now = Date.now(), minIndexes = DEFAULT_COMPACTION.minIndexes } = options;
+    const outcome = { compactions: [], error: null };
+
+    try {
+        for (const tier of COMPACTION_TIERS) {
+            const plans = planCompactions(tosBucket.listIndexes(), tier, { now, minIndexes });
+            for (const plan of plans) {
+                const index = await tosBucket.compactIndexes(plan.sources, { level: tier.level, now });
+                outcome.compactions.push(index);
+            }
+        }
+    } catch (e) {
+        outcome.error = e;
+    }
+    return outcome;
+}
@@ -0,0 +1,79 @@
+// 页面端的引擎客户端：把对引擎宿主（worker 中的 engine-host.js）的请求包装为 Promise
+// 每个回复附带的图差异和状态先交给 onUpdate，再完成对应的 Promise，调用方 await 之后看到的镜像已经更新
+
+import { EngineHost } from './engine-host.js';
+
+export class EngineClient {
+    // port 为 Worker 或 createLocalPort() 的结果；onUpdate({ graph, state }) 在每个回复到达时调用
+    constructor(port, { onUpdate = () => {} } = {}) {
+        this.port = port;
+        this.onUpdate = onUpdate;
+        this.nextId = 1;
+        this.pending = new Map(); // 请求 id -> { resolve, reject, onProgress }
+        port.addEventListener('message', event => this.receive(event.data));
+        port.addEventListener('error', event => this.failAll(new Error(`引擎 worker 出错: ${event.message || '加载失败'}`)));
+    }
+
+    // 调用引擎方法；onProgress(progress) 接收进度，signal（AbortSignal）触发后宿主在下一个进度点取消
+    // 失败时以 Error 拒绝，取消的请求 error.code 为 'Cancelled'
+    call(method, params = {}, { onProgress = null, signal = null } = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.port.postMessage({ id, method, params });
+            if (signal) {
+                const cancel = () => this.port.postMessage({ type: 'cancel', id });
+                if (signal.aborted) {
+                    cancel();
+                } else {
+                    signal.addEventListener('abort', cancel, { once: true });
+                }
+            }
+        });
+    }
+
+    receive(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message.progress);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.graph || message.state) {
+            this.onUpdate({ graph: message.graph, state: message.state });
+        }
+        if (message.type === 'error') {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    failAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+}
+
+// 在当前线程运行宿主，用于不支持 module worker 的环境和 Node 测试；
+// 消息同样经过结构化克隆并异步投递，行为与 worker 一致
+export function createLocalPort() {
+    const listeners = [];
+    const host = new EngineHost(message => {
+        const data = structuredClone(message);
+        setTimeout(() => listeners.forEach(listener => listener({ data })), 0);
+    });
+    return {
+        postMessage(message) {
+            const data = structuredClone(message);
+            setTimeout(() => host.receive(data), 0);
+        },
+        addEventListener(type, listener) {
+            if (type === 'message') listeners.push(listener);
+        }
+    };
+}
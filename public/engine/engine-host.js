@@ -0,0 +1,534 @@
+// 引擎宿主：在 Web Worker 中持有 HNSW 索引、TOS Bucket 和事件日志，按页面发来的消息执行操作
+// 请求为 { id, method, params }，按到达顺序逐个执行，完成后回复
+// { id, type: 'result' | 'error', result | error, graph, state }：graph 为 HNSW 图的差异（见 graph-diff.js，
+// 没有变化时为 null），state 为 TOS Bucket 和事件日志的概要。失败或取消的请求同样带有 graph 和 state，
+// 页面据此同步已经完成的部分修改
+// 导入、重建、重放和基准测试执行中发送 { id, type: 'progress', progress }，
+// 收到 { type: 'cancel', id } 后在下一个进度点以 code 为 'Cancelled' 的错误结束
+
+import { HNSWIndex } from './hnsw.js';
+import { Vector } from './vector.js';
+import { TOSVectorBucket, createTOSBucket } from './tos-bucket.js';
+import { flushExpiredWindows, importVectors, queryTiers, upsertVector, deleteVector } from './tiered-store.js';
+import { compactBucket } from './compaction.js';
+import { parseImport, validateImportRecords } from './importer.js';
+import { exportTOSIndex } from './exporter.js';
+import { describeQuantization } from './quantization.js';
+import { EventLog, createRunRandom, getEventVectors, replayEventLog } from './event-log.js';
+import { createRandom, deriveSeed, validateSeed } from './random.js';
+import { runBenchmark } from './benchmark.js';
+import { GraphTracker } from './graph-diff.js';
+
+export const ENGINE_METHODS = [
+    'init',
+    'insert',
+    'flush',
+    'compact',
+    'importRecords',
+    'upsert',
+    'delete',
+    'query',
+    'rebuild',
+    'setDimension',
+    'setTOSOptions',
+    'changeBackend',
+    'loadSnapshot',
+    'restart',
+    'exportIndex',
+    'exportEventLog',
+    'replay',
+    'benchmark'
+];
+
+// 不修改 HNSW 图的方法，回复中不计算图差异
+const READ_ONLY_METHODS = ['query', 'exportIndex', 'exportEventLog', 'benchmark'];
+
+// 重建 HNSW 时每插入这么多个向量报告一次进度
+const REBUILD_PROGRESS_INTERVAL = 500;
+
+function createCancelledError() {
+    const error = new Error('操作已取消');
+    error.code = 'Cancelled';
+    return error;
+}
+
+// 错误只能以普通对象跨线程传递
+function describeError(error) {
+    return error ? { message: error.message, code: error.code || null } : null;
+}
+
+function describeVector(v) {
+    return { id: v.id, data: v.data, timestamp: v.timestamp, level: v.level, metadata: v.metadata };
+}
+
+// TOS 索引的概要：不含向量（及 HTTP 模式下的向量 id 列表）、IVF 的簇和量化编码
+export function summarizeIndex(index) {
+    const summary = { ...index };
+    delete summary.vectors;
+    delete summary.ids;
+    return {
+        ...summary,
+        ann: index.ann ? { type: index.ann.type, nlist: index.ann.nlist } : null,
+        quantization: describeQuantization(index.quantization)
+    };
+}
+
+export class EngineHost {
+    // post(message) 把消息发回页面（worker 中为 self.postMessage）
+    constructor(post) {
+        this.post = post;
+        this.hnswIndex = null;
+        this.tosBucket = null;
+        this.eventLog = null;
+        this.seed = 0;
+        this.levels = Math.random; // 由种子派生的 HNSW 层级序列
+        this.tracker = new GraphTracker();
+        this.queue = Promise.resolve();
+        this.pending = new Set(); // 已排队、尚未回复的请求 id
+        this.cancelled = new Set();
+    }
+
+    // 接收页面的消息：取消立即生效，其余请求排队按顺序执行
+    // 只记录排队中或正在执行的请求的取消，已经结束或未知的 id 直接忽略
+    receive(message) {
+        if (message.type === 'cancel') {
+            if (this.pending.has(message.id)) this.cancelled.add(message.id);
+            return;
+        }
+        this.pending.add(message.id);
+        this.queue = this.queue.then(() => this.execute(message));
+    }
+
+    async execute({ id, method, params = {} }) {
+        let reply;
+        try {
+            if (!ENGINE_METHODS.includes(method)) {
+                throw new Error(`未知的引擎方法: ${method}`);
+            }
+            if (method !== 'init' && !this.hnswIndex) {
+                throw new Error('引擎尚未初始化');
+            }
+            if (this.cancelled.has(id)) {
+                throw createCancelledError();
+            }
+            const result = await this[method](params, { progress: progress => this.reportProgress(id, progress) });
+            reply = { id, type: 'result', result: result ?? null };
+        } catch (e) {
+            reply = { id, type: 'error', error: describeError(e) };
+        }
+        this.pending.delete(id);
+        this.cancelled.delete(id);
+        this.post({ ...reply, ...this.getUpdate(READ_ONLY_METHODS.includes(method)) });
+    }
+
+    // 发送进度并让出线程，使排在后面的取消消息得以送达
+    async reportProgress(id, progress) {
+        this.post({ id, type: 'progress', progress });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.cancelled.has(id)) {
+            throw createCancelledError();
+        }
+    }
+
+    // 回复附带的图差异和状态；只读方法不改变 HNSW 图，跳过 diff（查询仍会记录事件，状态照常发送）
+    getUpdate(readOnly = false) {
+        if (!this.hnswIndex) return { graph: null, state: null };
+        return { graph: readOnly ? null : this.tracker.diff(this.hnswIndex), state: this.getState() };
+    }
+
+    getState() {
+        const bucket = this.tosBucket;
+        return {
+            seed: this.seed,
+            tos: {
+                backend: bucket.client ? 'http' : 'indexeddb',
+                dimension: bucket.dimension,
+                metric: bucket.metric,
+                quantization: bucket.quantization,
+                nprobe: bucket.nprobe,
+                exactSearch: bucket.exactSearch,
+                rerankFactor: bucket.rerankFactor,
+                indexes: bucket.listIndexes().map(summarizeIndex),
+                compactionHistory: bucket.getCompactionHistory()
+            },
+            eventLog: { eventCount: this.eventLog.events.length, baseline: this.eventLog.baseline }
+        };
+    }
+
+    // 替换 HNSW 索引，下一次回复发送完整的图
+    replaceIndex(index) {
+        index.random = this.levels;
+        this.hnswIndex = index;
+        this.tracker.reset();
+    }
+
+    // 以相同的后端和索引参数创建新的 Bucket
+    createBucket(options) {
+        return new TOSVectorBucket({
+            ...this.tosBucket.getBackendOptions(),
+            ...this.tosBucket.getIndexOptions(),
+            ...options
+        });
+    }
+
+    // 使用新的运行种子：HNSW 层级和之后创建的 TOS 索引都由它派生
+    applySeed(seed) {
+        validateSeed(seed);
+        this.seed = seed;
+        this.levels = createRunRandom(seed).levels;
+        this.hnswIndex.random = this.levels;
+        this.tosBucket.seed = seed;
+    }
+
+    // 从当前状态开始新的事件日志；HNSW / TOS 不为空时记录基线，重放结果不包含这些数据
+    startEventLog(now) {
+        const hnswVectors = this.hnswIndex.vectors.length;
+        const tosIndexes = this.tosBucket.indexes.length;
+        const tosVectors = this.tosBucket.indexes.reduce((sum, idx) => sum + idx.vectorCount - idx.tombstones.length, 0);
+        this.eventLog = new EventLog({
+            seed: this.seed,
+            config: {
+                hnsw: this.hnswIndex.getOptions(),
+                tos: { dimension: this.hnswIndex.dimension, metric: this.hnswIndex.metric }
+            },
+            baseline: hnswVectors + tosIndexes > 0 ? { hnswVectors, tosIndexes, tosVectors } : null,
+            startedAt: now
+        });
+    }
+
+    // 下一个可用的向量 ID：大于 HNSW 和本地 TOS 索引中的所有 ID
+    getNextId() {
+        let next = 0;
+        this.hnswIndex.vectors.forEach(v => {
+            next = Math.max(next, v.id + 1);
+        });
+        this.tosBucket.indexes.forEach(idx => (idx.vectors || []).forEach(v => {
+            next = Math.max(next, v.id + 1);
+        }));
+        return next;
+    }
+
+    // 从持久化存储恢复 Bucket；HNSW 为空时跟随 Bucket 的维度，否则维度必须一致
+    async loadBucket(bucket) {
+        await bucket.load();
+        if (bucket.dimension !== this.hnswIndex.dimension) {
+            if (this.hnswIndex.vectors.length > 0) {
+                throw new Error(`TOS Bucket 为 ${bucket.dimension} 维，与 HNSW (${this.hnswIndex.dimension} 维) 不一致`);
+            }
+            this.replaceIndex(new HNSWIndex({ ...this.hnswIndex.getOptions(), dimension: bucket.dimension }));
+        }
+        this.tosBucket = bucket;
+    }
+
+    // 创建引擎并恢复所选后端的 TOS Bucket；恢复失败时以空的 Bucket 继续，错误通过 error 返回
+    // 返回 { nextId, restored, error }
+    async init({ backend, seed, now }) {
+        this.hnswIndex = new HNSWIndex();
+        this.tosBucket = createTOSBucket(backend);
+        this.applySeed(seed);
+        let error = null;
+        try {
+            await this.loadBucket(this.tosBucket);
+        } catch (e) {
+            error = e;
+        }
+        this.startEventLog(now);
+        return { nextId: this.getNextId(), restored: this.tosBucket.indexes.length, error: describeError(error) };
+    }
+
+    // 插入页面生成的向量 [{ id, data, timestamp, metadata }]，层级由种子派生的序列分配
+    // 先校验整批再插入：参数无效时不插入任何向量，避免索引中留下事件日志没有记录的部分批次
+    insert({ vectors, time }) {
+        const inserted = vectors.map(v => new Vector(v.id, v.data, v.timestamp, this.hnswIndex.randomLevel(), v.metadata));
+        this.hnswIndex.validateInsertBatch(inserted);
+        inserted.forEach(vector => this.hnswIndex.insert(vector));
+        this.eventLog.recordInsert(inserted, time);
+        return { levels: inserted.map(v => v.level) };
+    }
+
+    // 返回 { flushedCount, indexes, error }
+    async flush({ now, windowSize, retention }) {
+        const outcome = await flushExpiredWindows(this.hnswIndex, this.tosBucket, { now, windowSize, retention });
+        if (outcome.error) {
+            // 部分写入的状态无法由事件日志重现
+            this.startEventLog(now);
+        } else if (outcome.flushedCount > 0) {
+            this.eventLog.recordFlush({ time: now, windowSize, retention, quantization: this.tosBucket.quantization });
+        }
+        return {
+            flushedCount: outcome.flushedCount,
+            indexes: outcome.indexes.map(summarizeIndex),
+            error: describeError(outcome.error)
+        };
+    }
+
+    // 返回 { compactions, error }
+    async compact({ now, minIndexes }) {
+        const outcome = await compactBucket(this.tosBucket, { now, minIndexes });
+        if (outcome.error) {
+            this.startEventLog(now);
+        } else if (outcome.compactions.length > 0) {
+            this.eventLog.recordCompaction({ time: now, minIndexes, quantization: this.tosBucket.quantization });
+        }
+        return { compactions: outcome.compactions.map(summarizeIndex), error: describeError(outcome.error) };
+    }
+
+    // 解析、校验并导入 input（文本或 .npy 的 ArrayBuffer），进度为 { done, total }；
+    // 解析完成时的第一个进度还带有 nextId（导入记录之后的下一个 ID），页面据此在写入前预留这段 ID
+    // 返回 { count, nextId, hotCount, coldCount, indexes, error }
+    async importRecords({ input, format, now, windowSize, retention, nextId }, { progress }) {
+        // 导入的 id 不能与 HNSW 和本地 TOS 索引中的向量重复（HTTP 后端的索引不在本地保存向量，无法检查）
+        const existingIds = new Set(this.hnswIndex.vectors.map(v => v.id));
+        this.tosBucket.indexes.forEach(idx => this.tosBucket.getLiveVectors(idx).forEach(v => existingIds.add(v.id)));
+        const records = validateImportRecords(parseImport(input, format), {
+            dimension: this.hnswIndex.dimension,
+            now,
+            existingIds,
+            nextId
+        });
+        const nextRecordId = records.reduce((max, r) => Math.max(max, r.id + 1), nextId);
+        await progress({ done: 0, total: records.length, nextId: nextRecordId });
+
+        let outcome;
+        try {
+            outcome = await importVectors(this.hnswIndex, this.tosBucket, records, {
+                now,
+                windowSize,
+                retention,
+                onProgress: (done, total) => progress({ done, total })
+            });
+            if (outcome.error && outcome.error.code === 'Cancelled') {
+                throw outcome.error;
+            }
+        } catch (e) {
+            // 取消或中途失败时已写入的部分保留，事件日志从当前状态重新开始
+            this.startEventLog(now);
+            throw e;
+        }
+
+        if (outcome.error) {
+            this.startEventLog(now);
+        } else {
+            // 记录写入 HNSW 时实际分配的层级，重放时按相同的层级插入
+            const levels = new Map(outcome.inserted.map(v => [v.id, v.level]));
+            this.eventLog.recordImport(records.map(r => levels.has(r.id) ? { ...r, level: levels.get(r.id) } : r), {
+                time: now,
+                windowSize,
+                retention,
+                quantization: this.tosBucket.quantization
+            });
+        }
+        return {
+            count: records.length,
+            nextId: nextRecordId,
+            hotCount: outcome.hotCount,
+            coldCount: outcome.coldCount,
+            indexes: outcome.indexes.map(summarizeIndex),
+            error: describeError(outcome.error)
+        };
+    }
+
+    // 按 id 写入向量：已存在的旧版本无论在哪一层都被替换，新版本以 time 为时间戳插入 HNSW
+    // 返回 { level, replaced: { hot, indexes }, error }；写入 TOS 失败时不插入新版本，事件日志从当前状态重新开始
+    async upsert({ id, data, metadata, time }) {
+        const outcome = await upsertVector(this.hnswIndex, this.tosBucket, { id, data, metadata, timestamp: time });
+        if (outcome.error) {
+            this.startEventLog(time);
+        } else {
+            this.eventLog.recordUpsert(outcome.vector, time);
+        }
+        return { level: outcome.vector.level, replaced: outcome.replaced, error: describeError(outcome.error) };
+    }
+
+    // 按 id 删除向量（HNSW 中直接删除，TOS 中记墓碑）；返回 { hot, indexes, error }，两者都为空表示向量不存在
+    async delete({ id, time }) {
+        const outcome = await deleteVector(this.hnswIndex, this.tosBucket, id);
+        if (outcome.error) {
+            this.startEventLog(time);
+        } else if (outcome.hot || outcome.indexes.length > 0) {
+            this.eventLog.recordDelete(id, time);
+        }
+        return { ...outcome, error: describeError(outcome.error) };
+    }
+
+    // 按时间范围查询两层存储并记录查询事件，结果中的向量不带邻居；radius 不为空时为半径查询
+    async query({ vector, time, startWindow, endWindow, topK, radius = null, maxResults = null, filter, windowSize, trace }) {
+        const outcome = await queryTiers(this.hnswIndex, this.tosBucket, new Vector(-1, vector, time), {
+            startWindow,
+            endWindow,
+            topK,
+            radius,
+            maxResults,
+            filter,
+            trace,
+            windowSize
+        });
+        const { nprobe, exactSearch, rerankFactor } = this.tosBucket;
+        this.eventLog.recordQuery({
+            time,
+            vector,
+            startWindow,
+            endWindow,
+            topK,
+            radius,
+            maxResults,
+            filter,
+            windowSize,
+            search: { nprobe, exactSearch, rerankFactor },
+            resultIds: outcome.results.map(r => r.vector.id)
+        });
+        return { ...outcome, results: outcome.results.map(r => ({ ...r, vector: describeVector(r.vector) })) };
+    }
+
+    // 按新参数重建 HNSW 图，层级分配参数变化时重新抽取层级；度量变化时之后 flush 的 TOS 索引也使用新度量
+    // 进度为 { done, total }，取消时保留原来的图
+    async rebuild({ options, now }, { progress }) {
+        const oldIndex = this.hnswIndex;
+        const newIndex = new HNSWIndex({ ...oldIndex.getOptions(), ...options, random: this.levels });
+        const redrawLevels = newIndex.levelMultiplier !== oldIndex.levelMultiplier ||
+            newIndex.maxLayer !== oldIndex.maxLayer;
+
+        for (let i = 0; i < oldIndex.vectors.length; i++) {
+            const v = oldIndex.vectors[i];
+            const level = redrawLevels ? newIndex.randomLevel() : v.level;
+            newIndex.insert(new Vector(v.id, v.data, v.timestamp, level, v.metadata));
+            if ((i + 1) % REBUILD_PROGRESS_INTERVAL === 0) {
+                await progress({ done: i + 1, total: oldIndex.vectors.length });
+            }
+        }
+
+        this.replaceIndex(newIndex);
+        this.tosBucket.metric = newIndex.metric;
+        // 重建的图无法由之前的事件重现，从当前状态重新记录
+        this.startEventLog(now);
+    }
+
+    // 维度在创建时固定，因此重新创建 HNSW 索引和 TOS Bucket（同时清空持久化存储）
+    async setDimension({ dimension, now }) {
+        if (!Number.isInteger(dimension) || dimension <= 0) {
+            throw new Error(`无效的向量维度: ${dimension}`);
+        }
+        this.replaceIndex(new HNSWIndex({ ...this.hnswIndex.getOptions(), dimension }));
+        this.tosBucket = this.createBucket({ metric: this.hnswIndex.metric, dimension });
+        await this.tosBucket.clear();
+        this.startEventLog(now);
+    }
+
+    // TOS 的查询和量化设置 { nprobe, exactSearch, rerankFactor, quantization }
+    setTOSOptions(settings) {
+        Object.assign(this.tosBucket, settings);
+    }
+
+    // 切换 TOS 后端（IndexedDB / HTTP），失败时保留原来的 Bucket；返回 { nextId, restored }
+    async changeBackend({ backend, now }) {
+        await this.loadBucket(createTOSBucket(backend, {
+            ...this.tosBucket.getIndexOptions(),
+            metric: this.hnswIndex.metric,
+            dimension: this.hnswIndex.dimension
+        }));
+        this.startEventLog(now);
+        return { nextId: this.getNextId(), restored: this.tosBucket.indexes.length };
+    }
+
+    // 从快照恢复 HNSW 索引；维度与 TOS Bucket 不一致时重建并清空 Bucket（由页面事先确认）
+    async loadSnapshot({ snapshot, now }) {
+        const index = HNSWIndex.fromSnapshot(snapshot);
+        if (index.dimension !== this.tosBucket.dimension) {
+            this.tosBucket = this.createBucket({ metric: index.metric, dimension: index.dimension });
+            await this.tosBucket.clear();
+        }
+        this.replaceIndex(index);
+        this.tosBucket.metric = index.metric;
+        this.startEventLog(now);
+        return { nextId: this.getNextId() };
+    }
+
+    // 以新的种子重新开始：清空 HNSW 索引和 TOS Bucket，事件日志从头开始
+    async restart({ seed, now }) {
+        validateSeed(seed);
+        this.replaceIndex(new HNSWIndex(this.hnswIndex.getOptions()));
+        await this.tosBucket.clear();
+        this.applySeed(seed);
+        this.startEventLog(now);
+    }
+
+    // 导出单个 TOS 索引，now 为导出内容中的 exportedAt；返回 { content, count }
+    async exportIndex({ name, format, now }) {
+        const index = this.tosBucket.listIndexes().find(idx => idx.name === name);
+        if (!index) {
+            throw new Error(`索引不存在: ${name}`);
+        }
+        const vectors = await this.tosBucket.getIndexVectors(index);
+        return { content: exportTOSIndex(index, vectors, format, { now }), count: vectors.length };
+    }
+
+    exportEventLog() {
+        return this.eventLog.toJSON();
+    }
+
+    // 重放事件日志：在当前后端的空 Bucket 上依次执行日志中的事件，完成后替换 HNSW 和 TOS，并在该日志上继续记录
+    // 进度为 { done, total }；返回 { eventCount, queries, mismatches, baseline, nextId, lastTime }
+    async replay({ log, now }, { progress }) {
+        const eventLog = EventLog.fromJSON(log);
+        const previous = this.tosBucket;
+        // 重放会按事件修改查询和量化设置，完成后恢复当前的设置
+        const { nprobe, exactSearch, rerankFactor, quantization } = previous;
+        const tosBucket = this.createBucket({
+            metric: eventLog.config.tos.metric,
+            dimension: eventLog.config.tos.dimension,
+            seed: eventLog.seed
+        });
+        await tosBucket.clear();
+
+        let outcome;
+        try {
+            outcome = await replayEventLog(eventLog, {
+                tosBucket,
+                onProgress: (done, total) => progress({ done, total })
+            });
+        } catch (e) {
+            // 持久化存储已被清空，保留重放到中途的状态，事件日志从这里重新开始
+            if (e.replayed) {
+                this.replaceIndex(e.replayed.hnswIndex);
+                this.tosBucket = e.replayed.tosBucket;
+                Object.assign(this.tosBucket, { nprobe, exactSearch, rerankFactor, quantization });
+                this.applySeed(eventLog.seed);
+                this.startEventLog(now);
+            }
+            throw e;
+        }
+
+        this.replaceIndex(outcome.hnswIndex);
+        this.tosBucket = outcome.tosBucket;
+        Object.assign(this.tosBucket, { nprobe, exactSearch, rerankFactor, quantization });
+        this.applySeed(eventLog.seed);
+        this.eventLog = eventLog;
+
+        // HTTP 后端的索引不在本地保存向量，新向量的 ID 还要接在日志中的向量之后
+        let nextId = this.getNextId();
+        let lastTime = eventLog.startedAt;
+        eventLog.events.forEach(event => {
+            getEventVectors(event).forEach(v => {
+                nextId = Math.max(nextId, v.id + 1);
+            });
+            lastTime = Math.max(lastTime, event.time);
+        });
+        return {
+            eventCount: eventLog.events.length,
+            queries: outcome.queries.length,
+            mismatches: outcome.mismatches,
+            baseline: eventLog.baseline,
+            nextId,
+            lastTime
+        };
+    }
+
+    // 基准测试使用当前索引的其余构建参数，层级由种子派生，进度为阶段描述
+    benchmark({ config }, { progress }) {
+        return runBenchmark(config, {
+            hnswOptions: this.hnswIndex.getOptions(),
+            random: createRandom(deriveSeed(this.seed, 'benchmark')),
+            onProgress: message => progress(message)
+        });
+    }
+}
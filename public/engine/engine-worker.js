@@ -0,0 +1,6 @@
+// 引擎 worker 入口：页面以 new Worker(url, { type: 'module' }) 加载，消息协议见 engine-host.js
+
+import { EngineHost } from './engine-host.js';
+
+const host = new EngineHost(message => self.postMessage(message));
+self.addEventListener('message', event => host.receive(event.data));
@@ -0,0 +1,215 @@
+// 事件日志：记录插入、导入、upsert、删除、flush、合并和查询，导出后可以重放出完全相同的 HNSW 图和 TOS Bucket
+// 插入事件保存向量的数据、时间戳和层级，flush / 合并事件保存当时的虚拟时间和策略；
+// TOS 索引的 IVF / PQ 由 Bucket 的种子和索引名决定，因此按相同顺序重放得到相同的索引
+
+import { HNSWIndex } from './hnsw.js';
+import { Vector } from './vector.js';
+import { flushExpiredWindows, importVectors, queryTiers, upsertVector, deleteVector } from './tiered-store.js';
+import { compactBucket } from './compaction.js';
+import { createRandom, deriveSeed, validateSeed } from './random.js';
+
+export const EVENT_LOG_FORMAT = 'hnsw-tos-event-log';
+export const EVENT_LOG_VERSION = 1;
+
+const EVENT_TYPES = ['insert', 'import', 'upsert', 'delete', 'flush', 'compact', 'query'];
+
+// 运行种子派生出的各个随机序列：data - 随机向量和元数据，levels - HNSW 层级，
+// timing - 自动插入间隔，benchmark - 基准测试数据集
+export function createRunRandom(seed) {
+    validateSeed(seed);
+    return {
+        data: createRandom(deriveSeed(seed, 'data')),
+        levels: createRandom(deriveSeed(seed, 'levels')),
+        timing: createRandom(deriveSeed(seed, 'timing')),
+        benchmark: createRandom(deriveSeed(seed, 'benchmark'))
+    };
+}
+
+function describeVector(v) {
+    return { id: v.id, data: v.data, timestamp: v.timestamp, level: v.level, metadata: v.metadata };
+}
+
+// 事件中写入的向量（插入、导入的记录和 upsert 的向量），用于确定之后新向量的 ID
+export function getEventVectors(event) {
+    return event.vectors || event.records || (event.vector ? [event.vector] : []);
+}
+
+export class EventLog {
+    // config 为 { hnsw: HNSWIndex.getOptions(), tos: { dimension, metric } }；
+    // baseline 记录开始时 HNSW / TOS 中已有的数据量，不为空时重放结果不包含这些数据
+    constructor({ seed, config, baseline = null, startedAt = Date.now(), events = [] }) {
+        validateSeed(seed);
+        this.seed = seed;
+        this.config = config;
+        this.baseline = baseline;
+        this.startedAt = startedAt;
+        this.events = events;
+    }
+
+    record(type, payload) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`未知的事件类型: ${type}`);
+        }
+        this.events.push({ type, ...payload });
+    }
+
+    // 插入到 HNSW 的向量（含层级），time 为插入时的虚拟时间
+    recordInsert(vectors, time) {
+        this.record('insert', { time, vectors: vectors.map(describeVector) });
+    }
+
+    // 批量导入：records 中写入 HNSW 的记录带有实际分配的层级
+    recordImport(records, { time, windowSize, retention, quantization }) {
+        this.record('import', { time, windowSize, retention, quantization, records });
+    }
+
+    // 按 id 写入的向量（含层级），旧版本在重放时同样先被删除
+    recordUpsert(vector, time) {
+        this.record('upsert', { time, vector: describeVector(vector) });
+    }
+
+    recordDelete(id, time) {
+        this.record('delete', { time, id });
+    }
+
+    recordFlush({ time, windowSize, retention, quantization }) {
+        this.record('flush', { time, windowSize, retention, quantization });
+    }
+
+    recordCompaction({ time, minIndexes, quantization }) {
+        this.record('compact', { time, minIndexes, quantization });
+    }
+
+    // search 为 TOS 的查询参数 { nprobe, exactSearch, rerankFactor }，resultIds 用于重放时比对
+    // radius 不为空时为半径查询（maxResults 为最大结果数），否则为 top-K 查询
+    recordQuery({ time, vector, startWindow, endWindow, topK, radius = null, maxResults = null, filter, windowSize, search, resultIds }) {
+        this.record('query', { time, vector, startWindow, endWindow, topK, radius, maxResults, filter, windowSize, search, resultIds });
+    }
+
+    toJSON() {
+        return {
+            format: EVENT_LOG_FORMAT,
+            version: EVENT_LOG_VERSION,
+            seed: this.seed,
+            startedAt: this.startedAt,
+            config: this.config,
+            baseline: this.baseline,
+            events: this.events
+        };
+    }
+
+    static fromJSON(json) {
+        if (!json || json.format !== EVENT_LOG_FORMAT) {
+            throw new Error('无效的事件日志文件');
+        }
+        if (json.version !== EVENT_LOG_VERSION) {
+            throw new Error(`不支持的事件日志版本: ${json.version}（当前版本 ${EVENT_LOG_VERSION}）`);
+        }
+        if (!json.config || !json.config.hnsw || !json.config.tos || !Array.isArray(json.events)) {
+            throw new Error('事件日志缺少 config 或 events');
+        }
+        json.events.forEach((event, i) => {
+            if (!EVENT_TYPES.includes(event.type)) {
+                throw new Error(`第 ${i + 1} 个事件的类型未知: ${event.type}`);
+            }
+        });
+        return new EventLog({ ...json, events: json.events.slice() });
+    }
+}
+
+// 在 HNSW 索引和 TOS Bucket 上执行一个事件，查询事件的比对结果追加到 queries
+async function replayEvent(event, hnswIndex, tosBucket, queries) {
+    switch (event.type) {
+    case 'insert':
+        event.vectors.forEach(v => hnswIndex.insert(new Vector(v.id, v.data, v.timestamp, v.level, v.metadata)));
+        break;
+    case 'import': {
+        tosBucket.quantization = event.quantization;
+        const outcome = await importVectors(hnswIndex, tosBucket, event.records, {
+            now: event.time,
+            windowSize: event.windowSize,
+            retention: event.retention
+        });
+        if (outcome.error) throw outcome.error;
+        break;
+    }
+    case 'upsert': {
+        const { id, data, metadata, timestamp, level } = event.vector;
+        const outcome = await upsertVector(hnswIndex, tosBucket, { id, data, metadata, timestamp, level });
+        if (outcome.error) throw outcome.error;
+        break;
+    }
+    case 'delete': {
+        const outcome = await deleteVector(hnswIndex, tosBucket, event.id);
+        if (outcome.error) throw outcome.error;
+        break;
+    }
+    case 'flush': {
+        tosBucket.quantization = event.quantization;
+        const outcome = await flushExpiredWindows(hnswIndex, tosBucket, {
+            now: event.time,
+            windowSize: event.windowSize,
+            retention: event.retention
+        });
+        if (outcome.error) throw outcome.error;
+        break;
+    }
+    case 'compact': {
+        tosBucket.quantization = event.quantization;
+        const outcome = await compactBucket(tosBucket, { now: event.time, minIndexes: event.minIndexes });
+        if (outcome.error) throw outcome.error;
+        break;
+    }
+    case 'query': {
+        Object.assign(tosBucket, event.search);
+        const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, event.vector, event.time), {
+            startWindow: event.startWindow,
+            endWindow: event.endWindow,
+            topK: event.topK,
+            radius: event.radius ?? null,
+            maxResults: event.maxResults ?? null,
+            filter: event.filter,
+            windowSize: event.windowSize
+        });
+        const actual = results.map(r => r.vector.id);
+        queries.push({
+            expected: event.resultIds,
+            actual,
+            match: actual.length === event.resultIds.length && actual.every((id, j) => id === event.resultIds[j])
+        });
+        break;
+    }
+    }
+}
+
+// 重放事件日志：在新的 HNSW 索引和传入的空 TOS Bucket（由调用方选择后端并清空）上依次执行事件
+// onProgress(done, total) 在每个事件后调用，可以返回 Promise 让出主线程
+// 返回 { hnswIndex, tosBucket, queries, mismatches }；queries 为每次查询的 { expected, actual, match }
+export async function replayEventLog(log, { tosBucket, onProgress = () => {} }) {
+    const { hnsw, tos } = log.config;
+    if (tosBucket.listIndexes().length > 0) {
+        throw new Error('重放需要空的 TOS Bucket');
+    }
+    if (tosBucket.dimension !== tos.dimension) {
+        throw new Error(`TOS Bucket 维度 (${tosBucket.dimension}) 与事件日志 (${tos.dimension}) 不一致`);
+    }
+    const hnswIndex = new HNSWIndex({ ...hnsw, random: createRunRandom(log.seed).levels });
+    tosBucket.metric = tos.metric;
+    tosBucket.seed = log.seed;
+
+    const queries = [];
+    let done = 0;
+    try {
+        for (const event of log.events) {
+            await replayEvent(event, hnswIndex, tosBucket, queries);
+            done++;
+            await onProgress(done, log.events.length);
+        }
+    } catch (e) {
+        // 出错或在 onProgress 中取消时，调用方可以取用重放到中途的状态（已完成 done 个事件）
+        e.replayed = { hnswIndex, tosBucket, done };
+        throw e;
+    }
+
+    return { hnswIndex, tosBucket, queries, mismatches: queries.filter(q => !q.match).length };
+}
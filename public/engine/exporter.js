@@ -0,0 +1,151 @@
+// 导出：HNSW 索引内容（含每层邻接）、单个 TOS 索引、查询结果，格式为 JSON 或 CSV
+// 只生成文本，下载由页面完成。时间戳同时给出毫秒数 (timestamp) 和 ISO 8601 (time)
+
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+function validateExportFormat(format) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`不支持的导出格式: ${format}`);
+    }
+}
+
+// CSV 字段：含逗号、引号或换行时用双引号包裹（RFC 4180），数组和对象写为 JSON
+function formatCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns 为 [{ header, value: row => 字段值 }]
+export function toCSV(columns, rows) {
+    const lines = [columns.map(column => formatCSVField(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCSVField(column.value(row))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+function describeVector(v) {
+    return {
+        id: v.id,
+        timestamp: v.timestamp,
+        time: new Date(v.timestamp).toISOString(),
+        level: v.level,
+        data: v.data,
+        metadata: v.metadata
+    };
+}
+
+// 向量的公共 CSV 列；vector 和 metadata 列写为 JSON
+const VECTOR_COLUMNS = [
+    { header: 'id', value: row => row.id },
+    { header: 'timestamp', value: row => row.timestamp },
+    { header: 'time', value: row => row.time },
+    { header: 'level', value: row => row.level },
+    { header: 'vector', value: row => row.data },
+    { header: 'metadata', value: row => row.metadata }
+];
+
+// HNSW 索引内容：每个向量附带每层的邻居及到邻居的距离（按索引度量，不计入 distanceComputations）
+// CSV 每行一个向量，neighbors_L{n} 列为第 n 层邻居的 id（空格分隔）
+export function exportHNSW(hnswIndex, format, { now = Date.now() } = {}) {
+    validateExportFormat(format);
+    const vectors = hnswIndex.vectors.map(v => {
+        const neighbors = [];
+        for (let layer = 0; layer <= v.level; layer++) {
+            neighbors.push((v.neighbors[layer] || []).map(n => ({ id: n.id, distance: hnswIndex.metricDistance(v.data, n.data) })));
+        }
+        return { ...describeVector(v), neighbors };
+    });
+
+    if (format === 'csv') {
+        const layerColumns = Array.from({ length: hnswIndex.maxLevel + 1 }, (_, layer) => ({
+            header: `neighbors_L${layer}`,
+            value: row => (row.neighbors[layer] || []).map(n => n.id).join(' ')
+        }));
+        return toCSV([...VECTOR_COLUMNS, ...layerColumns], vectors);
+    }
+    return JSON.stringify({
+        type: 'hnsw',
+        exportedAt: new Date(now).toISOString(),
+        params: hnswIndex.getOptions(),
+        maxLevel: hnswIndex.maxLevel,
+        entryPoint: hnswIndex.entryPoint ? hnswIndex.entryPoint.id : null,
+        vectorCount: vectors.length,
+        vectors
+    }, null, 2);
+}
+
+// 单个 TOS 索引：index 为 listIndexes() 中的索引，vectors 为其向量（HTTP 后端由 getIndexVectors 读取）
+// JSON 附带索引的窗口、合并层级和 IVF / 量化概要；CSV 只有向量
+export function exportTOSIndex(index, vectors, format, { now = Date.now() } = {}) {
+    validateExportFormat(format);
+    const rows = vectors.map(describeVector);
+    if (format === 'csv') {
+        return toCSV(VECTOR_COLUMNS, rows);
+    }
+    return JSON.stringify({
+        type: 'tos-index',
+        exportedAt: new Date(now).toISOString(),
+        name: index.name,
+        metric: index.metric,
+        dimension: index.dimension,
+        windowStart: index.windowStart,
+        windowEnd: index.windowStart + index.windowSize,
+        indexLevel: index.level || 0,
+        compactedFrom: index.compactedFrom || null,
+        ann: index.ann ? { type: index.ann.type, nlist: index.ann.nlist } : null,
+        quantization: index.quantization
+            ? { type: index.quantization.type, compressionRatio: index.quantization.compressionRatio, recall: index.quantization.recall }
+            : null,
+        vectorCount: rows.length,
+        vectors: rows
+    }, null, 2);
+}
+
+// 查询结果：按排名给出来源、距离、分数和向量；TOS 结果附带所在索引名及其合并层级 (indexLevel)
+// query 为 { queryVector, topK, radius, maxResults, startWindow, endWindow, filter, metrics, results }，
+// 半径查询的 topK 为 null；indexes 用于查找索引层级
+export function exportQueryResults(query, format, { indexes = [], now = Date.now() } = {}) {
+    validateExportFormat(format);
+    const levels = new Map(indexes.map(idx => [idx.name, idx.level || 0]));
+    const rows = query.results.map((result, i) => ({
+        rank: i + 1,
+        source: result.source,
+        indexName: result.indexName || null,
+        indexLevel: result.source === 'TOS' ? levels.get(result.indexName) ?? null : null,
+        distance: result.distance,
+        score: result.score,
+        ...describeVector(result.vector)
+    }));
+
+    if (format === 'csv') {
+        return toCSV([
+            { header: 'rank', value: row => row.rank },
+            { header: 'source', value: row => row.source },
+            { header: 'index', value: row => row.indexName },
+            { header: 'index_level', value: row => row.indexLevel },
+            { header: 'distance', value: row => row.distance },
+            { header: 'score', value: row => row.score },
+            ...VECTOR_COLUMNS
+        ], rows);
+    }
+    return JSON.stringify({
+        type: 'query-results',
+        exportedAt: new Date(now).toISOString(),
+        query: {
+            vector: query.queryVector.data,
+            topK: query.topK,
+            radius: query.radius ?? null,
+            maxResults: query.maxResults ?? null,
+            startWindow: query.startWindow,
+            endWindow: query.endWindow,
+            filter: query.filter,
+            metrics: query.metrics
+        },
+        results: rows
+    }, null, 2);
+}
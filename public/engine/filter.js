@@ -0,0 +1,73 @@
+// 向量元数据校验和元数据过滤
+
+// 元数据中由系统占用的键（归档到 TOS 时与元数据一起保存）
+export const RESERVED_METADATA_KEYS = ['timestamp', 'level'];
+
+// 校验向量元数据：必须是普通对象，值只能是字符串、数字、布尔或它们的数组
+export function validateMetadata(metadata, context) {
+    if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error(`${context}: 元数据必须是对象`);
+    }
+    const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (RESERVED_METADATA_KEYS.includes(key)) {
+            throw new Error(`${context}: 元数据键 "${key}" 为保留字段`);
+        }
+        if (!isScalar(value) && !(Array.isArray(value) && value.every(isScalar))) {
+            throw new Error(`${context}: 元数据 "${key}" 的值只能是字符串、数字、布尔或它们的数组`);
+        }
+    });
+}
+
+// 元数据过滤操作符；数组类型的元数据（如 tags）在 $eq / $in 中按"包含"匹配
+const FILTER_OPERATORS = {
+    $eq: (value, operand) => Array.isArray(value) ? value.includes(operand) : value === operand,
+    $ne: (value, operand) => Array.isArray(value) ? !value.includes(operand) : value !== operand,
+    $in: (value, operand) => Array.isArray(value) ? value.some(v => operand.includes(v)) : operand.includes(value),
+    $nin: (value, operand) => Array.isArray(value) ? !value.some(v => operand.includes(v)) : !operand.includes(value),
+    $gt: (value, operand) => typeof value === 'number' && value > operand,
+    $gte: (value, operand) => typeof value === 'number' && value >= operand,
+    $lt: (value, operand) => typeof value === 'number' && value < operand,
+    $lte: (value, operand) => typeof value === 'number' && value <= operand
+};
+
+// 校验过滤条件，形如 { tenant: 'a', source: { $in: ['web', 'app'] }, priority: { $gte: 3 } }
+export function validateFilter(filter) {
+    if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new Error('过滤条件必须是对象');
+    }
+    Object.entries(filter).forEach(([key, condition]) => {
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return;
+        Object.entries(condition).forEach(([op, operand]) => {
+            if (!FILTER_OPERATORS[op]) {
+                throw new Error(`字段 "${key}" 使用了不支持的过滤操作符: ${op}`);
+            }
+            if ((op === '$in' || op === '$nin') && !Array.isArray(operand)) {
+                throw new Error(`字段 "${key}" 的 ${op} 需要数组`);
+            }
+            if (['$gt', '$gte', '$lt', '$lte'].includes(op) && typeof operand !== 'number') {
+                throw new Error(`字段 "${key}" 的 ${op} 需要数值`);
+            }
+        });
+    });
+}
+
+// 判断元数据是否满足过滤条件（条件之间为 AND 关系）
+export function matchesFilter(metadata, filter) {
+    if (!filter) return true;
+    return Object.entries(filter).every(([key, condition]) => {
+        const value = metadata ? metadata[key] : undefined;
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            return FILTER_OPERATORS.$eq(value, condition);
+        }
+        return Object.entries(condition).every(([op, operand]) => FILTER_OPERATORS[op](value, operand));
+    });
+}
+
+// 将过滤条件编译为向量谓词：函数原样使用，对象按元数据过滤
+export function compileFilter(filter) {
+    if (!filter) return null;
+    if (typeof filter === 'function') return filter;
+    validateFilter(filter);
+    return vector => matchesFilter(vector.metadata, filter);
+}
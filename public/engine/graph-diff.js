@@ -0,0 +1,135 @@
+// HNSW 图的增量同步：worker 中的索引每次操作后只把变化的节点发给页面，
+// 页面在只用于渲染的镜像索引上应用这些差异
+
+import { HNSWIndex } from './hnsw.js';
+import { Vector } from './vector.js';
+
+function getAdjacency(v) {
+    const adjacency = [];
+    for (let layer = 0; layer <= v.level; layer++) {
+        adjacency.push((v.neighbors[layer] || []).map(n => n.id));
+    }
+    return adjacency;
+}
+
+function sameAdjacency(a, b) {
+    return a.length === b.length &&
+        a.every((ids, layer) => ids.length === b[layer].length && ids.every((id, i) => id === b[layer][i]));
+}
+
+// 记录上一次发给页面的图，diff(index) 返回此后的变化，没有变化时返回 null
+// 差异为 { reset, params, maxLevel, entryPoint, memoryEstimate, added, removed, changed }：
+// added 中的节点与快照格式相同 [id, timestamp, level, data, adjacency, metadata]，
+// 同一 id 被替换为新的向量时也放在 added 中；changed 为邻接变化的节点 [id, adjacency]。
+// 索引参数变化或调用 reset() 后 reset 为 true，added 包含全部节点
+// 跟踪的索引记录自上次 diff 以来变化过的节点（HNSWIndex.dirtyIds），diff 只比较这些节点；
+// 首次 diff、reset 或换了索引时比较全部节点
+export class GraphTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.sent = new Map(); // id -> { vector, adjacency }
+        this.index = null;
+        this.params = null;
+        this.maxLevel = null;
+        this.entryPoint = null;
+    }
+
+    diff(index) {
+        const params = index.getOptions();
+        const reset = this.params === null || JSON.stringify(params) !== JSON.stringify(this.params);
+        const sent = reset ? new Map() : this.sent;
+        const ids = !reset && index === this.index && index.dirtyIds
+            ? index.dirtyIds
+            : new Set([...index.vectors.map(v => v.id), ...sent.keys()]);
+        index.dirtyIds = new Set();
+        this.index = index;
+
+        const added = [];
+        const changed = [];
+        const removed = [];
+        ids.forEach(id => {
+            const v = index.vectorById.get(id);
+            const previous = sent.get(id);
+            if (!v) {
+                if (previous) {
+                    removed.push(id);
+                    sent.delete(id);
+                }
+                return;
+            }
+            const adjacency = getAdjacency(v);
+            if (!previous || previous.vector !== v) {
+                added.push([v.id, v.timestamp, v.level, v.data, adjacency, v.metadata]);
+            } else if (!sameAdjacency(previous.adjacency, adjacency)) {
+                changed.push([v.id, adjacency]);
+            } else {
+                return;
+            }
+            sent.set(id, { vector: v, adjacency });
+        });
+
+        const entryPoint = index.entryPoint ? index.entryPoint.id : null;
+        if (!reset && added.length === 0 && changed.length === 0 && removed.length === 0 &&
+            index.maxLevel === this.maxLevel && entryPoint === this.entryPoint) {
+            return null;
+        }
+
+        this.sent = sent;
+        this.params = params;
+        this.maxLevel = index.maxLevel;
+        this.entryPoint = entryPoint;
+        return { reset, params, maxLevel: index.maxLevel, entryPoint, memoryEstimate: index.memoryEstimate, added, removed, changed };
+    }
+}
+
+// 在镜像索引上应用差异，返回更新后的镜像（reset 时为新的索引）
+// 同一 id 的节点保留原来的坐标，力导向布局不会因为重建或替换而跳动
+export function applyGraphDiff(mirror, diff) {
+    const previous = new Map(mirror.vectors.map(v => [v.id, v]));
+    const index = diff.reset ? new HNSWIndex(diff.params) : mirror;
+
+    const byId = diff.reset ? new Map() : previous;
+    const replaced = diff.reset ? [] : diff.added.filter(([id]) => byId.has(id)).map(([id]) => id);
+    const dropped = new Set([...diff.removed, ...replaced]);
+    if (dropped.size > 0) {
+        index.vectors = index.vectors.filter(v => !dropped.has(v.id));
+        dropped.forEach(id => byId.delete(id));
+    }
+
+    diff.added.forEach(([id, timestamp, level, data, , metadata]) => {
+        const vector = new Vector(id, data, timestamp, level, metadata);
+        const old = previous.get(id);
+        if (old) {
+            vector.x = old.x;
+            vector.y = old.y;
+        }
+        index.vectors.push(vector);
+        byId.set(id, vector);
+    });
+
+    // 邻接在所有节点就位后按 id 解析
+    const link = (id, adjacency) => {
+        const vector = byId.get(id);
+        adjacency.forEach((ids, layer) => {
+            vector.neighbors[layer] = ids.map(neighborId => byId.get(neighborId));
+        });
+    };
+    diff.added.forEach(([id, , , , adjacency]) => link(id, adjacency));
+    diff.changed.forEach(([id, adjacency]) => link(id, adjacency));
+    // 被替换的节点可能仍被邻接未变化的节点引用
+    if (replaced.length > 0) {
+        index.vectors.forEach(v => {
+            Object.keys(v.neighbors).forEach(layer => {
+                v.neighbors[layer] = v.neighbors[layer].map(n => byId.get(n.id));
+            });
+        });
+    }
+
+    index.maxLevel = diff.maxLevel;
+    index.entryPoint = diff.entryPoint === null ? null : byId.get(diff.entryPoint);
+    index.memoryEstimate = diff.memoryEstimate;
+    return index;
+}
@@ -0,0 +1,86 @@
+// 搜索用的二叉堆和访问标记集合
+
+// 二叉堆，compare(a, b) < 0 表示 a 应位于堆顶
+export class BinaryHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let best = i;
+                if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+                if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+
+    // 返回按 compare 排序的全部元素（不修改堆）
+    toSortedArray() {
+        return [...this.items].sort(this.compare);
+    }
+}
+
+// 访问标记集合：按节点槽位记录访问代数，每次搜索只需递增代数即可清空，无需重新分配
+export class VisitedSet {
+    constructor() {
+        this.marks = new Uint32Array(1024);
+        this.generation = 0;
+    }
+
+    reset(capacity) {
+        if (capacity > this.marks.length) {
+            this.marks = new Uint32Array(Math.max(capacity, this.marks.length * 2));
+            this.generation = 0;
+        }
+        this.generation++;
+        if (this.generation === 0xffffffff) {
+            this.marks.fill(0);
+            this.generation = 1;
+        }
+    }
+
+    has(slot) {
+        return this.marks[slot] === this.generation;
+    }
+
+    add(slot) {
+        this.marks[slot] = this.generation;
+    }
+}
+
+export const compareByDistance = (a, b) => a.distance - b.distance;
+export const compareByDistanceDesc = (a, b) => b.distance - a.distance;
@@ -0,0 +1,760 @@
+// HNSW 分层图索引（内存层）
+
+import { getMetric, validateDimension, validateRadiusQuery } from './metrics.js';
+import { BinaryHeap, VisitedSet, compareByDistance, compareByDistanceDesc } from './heap.js';
+import { validateMetadata, compileFilter } from './filter.js';
+import { Vector } from './vector.js';
+import { getTimeWindow, DEFAULT_WINDOW_SIZE } from './windows.js';
+
+// HNSW 快照格式版本，格式不兼容变更时递增
+export const HNSW_SNAPSHOT_VERSION = 1;
+
+// 内存估算中每个向量对象本身的固定开销（字节）
+const VECTOR_OVERHEAD_BYTES = 96;
+
+// HNSW 构建和搜索参数的默认值（演示用，连接数较少以便可视化）
+export const HNSW_DEFAULTS = {
+    M: 2, // 第1层及以上每个节点最多连接数
+    M0: 4, // 第0层的最大连接数
+    efConstruction: 32, // 插入时每层搜索的候选集大小
+    efSearch: 50, // 查询时第0层的候选集大小
+    mL: 1 / Math.log(2), // 层级分配参数，节点位于第 l 层及以上的概率为 exp(-l / mL)
+    maxLayer: 2 // 最高层级上限（0, 1, 2 共3层）
+};
+
+// 校验 HNSW 参数，返回合并默认值后的参数
+export function resolveHNSWParams(options) {
+    const params = {
+        M: options.M ?? HNSW_DEFAULTS.M,
+        M0: options.M0 ?? HNSW_DEFAULTS.M0,
+        efConstruction: options.efConstruction ?? HNSW_DEFAULTS.efConstruction,
+        efSearch: options.efSearch ?? HNSW_DEFAULTS.efSearch,
+        mL: options.mL ?? HNSW_DEFAULTS.mL,
+        maxLayer: options.maxLayer ?? HNSW_DEFAULTS.maxLayer
+    };
+    ['M', 'M0', 'efConstruction', 'efSearch'].forEach(key => {
+        if (!Number.isInteger(params[key]) || params[key] < 1) {
+            throw new Error(`HNSW 参数 ${key} 必须是正整数: ${params[key]}`);
+        }
+    });
+    if (!Number.isInteger(params.maxLayer) || params.maxLayer < 0) {
+        throw new Error(`HNSW 参数 maxLayer 必须是非负整数: ${params.maxLayer}`);
+    }
+    if (typeof params.mL !== 'number' || !(params.mL > 0)) {
+        throw new Error(`HNSW 参数 mL 必须大于 0: ${params.mL}`);
+    }
+    return params;
+}
+
+export class HNSWIndex {
+    constructor(options = {}) {
+        const params = resolveHNSWParams(options);
+        this.metric = options.metric || 'l2'; // 距离度量 (l2 / cosine / ip)
+        getMetric(this.metric);
+        this.dimension = options.dimension || 4; // 向量维度，创建后固定
+        this.neighborSelection = options.neighborSelection || 'heuristic'; // 邻居选择策略 (heuristic / simple)
+        this.extendCandidates = options.extendCandidates || false; // 启发式选择时是否扩展候选集
+        this.keepPrunedConnections = options.keepPrunedConnections !== false; // 启发式选择后是否用被剪掉的候选补足 M 个
+        this.random = options.random || Math.random; // randomLevel 使用的随机数生成器，传入带种子的生成器可复现层级
+        this.vectors = [];
+        this.vectorById = new Map(); // id -> 向量，insert 据此拒绝重复的 id
+        this.dirtyIds = null; // 邻接或成员变化过的节点 id，由 GraphTracker 开启并在每次 diff 时取走；为空时不记录
+        this.maxConnections = params.M; // 每个节点最多连接数 (M)
+        this.maxConnectionsLayer0 = params.M0; // 第0层的最大连接数 (M0)
+        this.levelMultiplier = params.mL; // 层级分配参数 (mL)
+        this.maxLayer = params.maxLayer; // 最高层级上限
+        this.efConstruction = params.efConstruction; // 构建时的候选集大小
+        this.efSearch = params.efSearch; // 查询时的默认候选集大小
+        this.entryPoint = null; // 入口点（最高层的节点）
+        this.maxLevel = 0; // 当前最高层级
+        this.metricDistance = getMetric(this.metric).distance;
+        this.nextSlot = 0; // 下一个可分配的节点槽位
+        this.freeSlots = []; // 删除节点后回收的槽位
+        this.visited = new VisitedSet();
+        this.distanceComputations = 0; // 累计距离计算次数
+        this.lastSearchStats = null; // 最近一次 search 的统计
+        this.trace = null; // searchWithTrace 期间记录搜索过程的步骤列表
+        this.memoryEstimate = 0; // 所有向量的内存估算之和（字节），随插入和删除增量维护
+    }
+
+    // 单个向量的内存估算（字节）：分量按 8 字节 double 计，邻居按各层最大连接数的引用计，
+    // 元数据按 JSON 长度的 UTF-16 字符计，另加对象本身的固定开销
+    estimateVectorMemory(vector) {
+        const neighborSlots = this.maxConnectionsLayer0 + vector.level * this.maxConnections;
+        return VECTOR_OVERHEAD_BYTES + vector.data.length * 8 + neighborSlots * 8 +
+            JSON.stringify(vector.metadata).length * 2;
+    }
+
+    // 随机分配层级（指数衰减分布）：level = floor(-ln(U) * mL)，不超过 maxLayer
+    randomLevel() {
+        const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+        return Math.min(level, this.maxLayer);
+    }
+
+    // 索引的构建参数，用于以相同配置重建索引
+    getOptions() {
+        return {
+            metric: this.metric,
+            dimension: this.dimension,
+            neighborSelection: this.neighborSelection,
+            extendCandidates: this.extendCandidates,
+            keepPrunedConnections: this.keepPrunedConnections,
+            M: this.maxConnections,
+            M0: this.maxConnectionsLayer0,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            mL: this.levelMultiplier,
+            maxLayer: this.maxLayer
+        };
+    }
+
+    // 按索引的度量计算距离，并累计计算次数
+    distance(a, b) {
+        this.distanceComputations++;
+        return this.metricDistance(a.data, b.data);
+    }
+
+    // 获取指定层级的最大连接数
+    getMaxConnections(layer) {
+        return layer === 0 ? this.maxConnectionsLayer0 : this.maxConnections;
+    }
+
+    // 校验 insert 的参数（维度、元数据、层级），不修改索引；id 是否已存在由 insert 检查
+    validateInsert(vector) {
+        validateDimension(vector.data, this.dimension, `插入向量 ${vector.id}`);
+        validateMetadata(vector.metadata, `插入向量 ${vector.id}`);
+        if (vector.level > this.maxLayer) {
+            throw new Error(`插入向量 ${vector.id}: 层级 ${vector.level} 超过上限 ${this.maxLayer}`);
+        }
+    }
+
+    // 校验一批待插入的向量：每个向量按 validateInsert 校验，id 不能已存在或在批内重复；不修改索引
+    validateInsertBatch(vectors) {
+        const ids = new Set();
+        vectors.forEach(vector => {
+            this.validateInsert(vector);
+            if (this.vectorById.has(vector.id) || ids.has(vector.id)) {
+                throw new Error(`插入向量 ${vector.id}: id 已存在`);
+            }
+            ids.add(vector.id);
+        });
+    }
+
+    // 插入向量到 HNSW 索引
+    insert(vector) {
+        this.validateInsert(vector);
+        if (this.vectorById.has(vector.id)) {
+            throw new Error(`插入向量 ${vector.id}: id 已存在`);
+        }
+        this.vectorById.set(vector.id, vector);
+        // 先删除再加入，使 dirtyIds 中新节点的顺序与它们在 vectors 中的顺序一致
+        if (this.dirtyIds) this.dirtyIds.delete(vector.id);
+        this.markDirty(vector);
+        vector.slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.nextSlot++;
+        this.memoryEstimate += this.estimateVectorMemory(vector);
+
+        // 第一个节点，直接设为入口点
+        if (this.vectors.length === 0) {
+            this.entryPoint = vector;
+            this.maxLevel = vector.level;
+            this.vectors.push(vector);
+            return;
+        }
+
+        // 从顶层开始搜索最近邻
+        let currentNearest = [{ vector: this.entryPoint, distance: this.distance(vector, this.entryPoint) }];
+
+        // 从最高层向下搜索到新节点的层级+1
+        for (let lc = this.maxLevel; lc > vector.level; lc--) {
+            currentNearest = this.searchLayer(vector, currentNearest, 1, lc);
+        }
+
+        // 在新节点所在的每一层建立连接
+        for (let lc = vector.level; lc >= 0; lc--) {
+            const candidates = this.searchLayer(vector, currentNearest, this.efConstruction, lc);
+            const M = this.getMaxConnections(lc);
+
+            // 选择最好的 M 个邻居
+            const neighbors = this.selectNeighbors(vector, candidates, M, lc);
+
+            // 建立双向连接
+            neighbors.forEach(neighbor => {
+                this.addConnection(vector, neighbor.vector, lc);
+                this.addConnection(neighbor.vector, vector, lc);
+
+                // 如果邻居连接数超过限制，修剪连接
+                const neighborConnections = neighbor.vector.neighbors[lc];
+                if (neighborConnections.length > M) {
+                    this.pruneConnections(neighbor.vector, M, lc);
+                }
+            });
+
+            currentNearest = candidates;
+        }
+
+        this.vectors.push(vector);
+
+        // 更新入口点
+        if (vector.level > this.maxLevel) {
+            this.maxLevel = vector.level;
+            this.entryPoint = vector;
+        }
+    }
+
+    // 在指定层搜索最近邻
+    // candidates 为最小堆（下一个扩展最近的点），results 为最大堆（堆顶是当前第 ef 近的点）
+    // 传入 filter 时，不满足条件的节点仍用于图遍历，但不进入结果集
+    searchLayer(query, entryPoints, ef, layer, filter = null) {
+        const trace = this.trace;
+        const visited = this.visited;
+        visited.reset(this.nextSlot);
+        const candidates = new BinaryHeap(compareByDistance);
+        const results = new BinaryHeap(compareByDistanceDesc);
+
+        // 初始化访问集合
+        entryPoints.forEach(ep => {
+            visited.add(ep.vector.slot);
+            candidates.push(ep);
+            if (!filter || filter(ep.vector)) {
+                results.push(ep);
+                if (results.size > ef) {
+                    results.pop();
+                }
+            }
+        });
+
+        if (trace) {
+            trace.push({ type: 'layer', layer, ef, entryIds: entryPoints.map(ep => ep.vector.id) });
+        }
+
+        while (candidates.size > 0) {
+            // 获取候选集中最近的点
+            const current = candidates.pop();
+
+            // 如果当前点比结果集中最远的点还远，停止搜索（结果集未满时继续扩展）
+            if (results.size >= ef && current.distance > results.peek().distance) {
+                break;
+            }
+
+            const step = trace
+                ? { type: 'expand', layer, id: current.vector.id, distance: current.distance, visited: [] }
+                : null;
+
+            // 检查当前点在该层的所有邻居
+            const neighbors = current.vector.neighbors[layer] || [];
+            for (const neighbor of neighbors) {
+                if (visited.has(neighbor.slot)) continue;
+                visited.add(neighbor.slot);
+
+                const dist = this.distance(query, neighbor);
+                const accepted = results.size < ef || dist < results.peek().distance;
+                if (step) step.visited.push({ id: neighbor.id, distance: dist, accepted });
+
+                // 如果找到更近的点，或结果集未满
+                if (accepted) {
+                    const item = { vector: neighbor, distance: dist };
+                    candidates.push(item);
+
+                    if (!filter || filter(neighbor)) {
+                        results.push(item);
+
+                        // 保持结果集大小
+                        if (results.size > ef) {
+                            results.pop();
+                        }
+                    }
+                }
+            }
+
+            if (step) trace.push(step);
+        }
+
+        const sorted = results.toSortedArray().reverse();
+        if (trace) {
+            trace.push({ type: 'layerDone', layer, ids: sorted.map(r => r.vector.id) });
+        }
+        return sorted;
+    }
+
+    // 选择最佳邻居，按索引配置使用启发式或简单选择
+    selectNeighbors(query, candidates, M, layer) {
+        if (this.neighborSelection === 'simple') {
+            return this.selectNeighborsSimple(candidates, M);
+        }
+        return this.selectNeighborsHeuristic(query, candidates, M, layer);
+    }
+
+    // 简单选择：直接取最近的 M 个
+    selectNeighborsSimple(candidates, M) {
+        return [...candidates].sort((a, b) => a.distance - b.distance).slice(0, M);
+    }
+
+    // 启发式选择（HNSW 论文 Algorithm 4）
+    // 候选点只有在比所有已选邻居都更接近 query 时才被选中，使邻居分布在不同方向上，
+    // 避免在聚簇数据上所有边都指向同一个簇
+    selectNeighborsHeuristic(query, candidates, M, layer) {
+        const working = [...candidates];
+
+        // 扩展候选集：加入候选点在该层的邻居
+        if (this.extendCandidates) {
+            const seen = new Set(working.map(c => c.vector.id));
+            seen.add(query.id);
+            candidates.forEach(c => {
+                (c.vector.neighbors[layer] || []).forEach(n => {
+                    if (!seen.has(n.id)) {
+                        seen.add(n.id);
+                        working.push({ vector: n, distance: this.distance(query, n) });
+                    }
+                });
+            });
+        }
+
+        working.sort((a, b) => a.distance - b.distance);
+
+        const selected = [];
+        const discarded = [];
+        for (const candidate of working) {
+            if (selected.length >= M) break;
+            const isDiverse = selected.every(s => this.distance(candidate.vector, s.vector) > candidate.distance);
+            if (isDiverse) {
+                selected.push(candidate);
+            } else {
+                discarded.push(candidate);
+            }
+        }
+
+        // 用被剪掉的最近候选补足 M 个连接
+        if (this.keepPrunedConnections) {
+            for (const candidate of discarded) {
+                if (selected.length >= M) break;
+                selected.push(candidate);
+            }
+        }
+
+        return selected;
+    }
+
+    // 记录邻接变化的节点（见 dirtyIds）
+    markDirty(vector) {
+        if (this.dirtyIds) this.dirtyIds.add(vector.id);
+    }
+
+    // 添加连接
+    addConnection(from, to, layer) {
+        this.markDirty(from);
+        if (!from.neighbors[layer]) {
+            from.neighbors[layer] = [];
+        }
+        if (!from.neighbors[layer].find(n => n.id === to.id)) {
+            from.neighbors[layer].push(to);
+        }
+    }
+
+    // 移除连接
+    removeConnection(from, to, layer) {
+        if (!from.neighbors[layer]) return;
+        this.markDirty(from);
+        from.neighbors[layer] = from.neighbors[layer].filter(n => n.id !== to.id);
+    }
+
+    // 修剪连接（按邻居选择策略保留 M 个），并保持边的双向一致
+    pruneConnections(vector, M, layer) {
+        const neighbors = vector.neighbors[layer];
+        if (neighbors.length <= M) return;
+
+        const candidates = neighbors.map(n => ({
+            vector: n,
+            distance: this.distance(vector, n)
+        }));
+
+        const kept = this.selectNeighbors(vector, candidates, M, layer).map(c => c.vector);
+        const keptIds = new Set(kept.map(n => n.id));
+        const dropped = neighbors.filter(n => !keptIds.has(n.id));
+
+        vector.neighbors[layer] = kept;
+        this.markDirty(vector);
+
+        // 同时删除反向边。被剪掉的节点改连到离它最近的保留邻居（即 vector → 保留邻居 → 该节点
+        // 仍然可达）；保留邻居没有空位且该节点会因此失去所有连接时，保留原来的边
+        const maxConnections = this.getMaxConnections(layer);
+        dropped.forEach(n => {
+            this.removeConnection(n, vector, layer);
+
+            const nearestKept = kept
+                .map(k => ({ vector: k, distance: this.distance(n, k) }))
+                .sort((a, b) => a.distance - b.distance)[0].vector;
+            const alreadyLinked = n.neighbors[layer].some(x => x.id === nearestKept.id);
+
+            if (!alreadyLinked && nearestKept.neighbors[layer].length < maxConnections) {
+                this.addConnection(n, nearestKept, layer);
+                this.addConnection(nearestKept, n, layer);
+            } else if (n.neighbors[layer].length === 0) {
+                this.addConnection(n, vector, layer);
+                this.addConnection(vector, n, layer);
+            }
+        });
+    }
+
+    // 查找 k 个最近邻（简化版，用于兼容）
+    findKNearest(query, k) {
+        if (this.vectors.length === 0) return [];
+
+        const distances = this.vectors.map(v => ({
+            vector: v,
+            distance: this.distance(query, v)
+        }));
+
+        distances.sort((a, b) => a.distance - b.distance);
+        return distances.slice(0, Math.min(k, distances.length)).map(d => d.vector);
+    }
+
+    // 搜索最近的向量，返回带距离的结果（使用分层搜索）
+    // filter 可以是元数据过滤条件对象，也可以是 vector => boolean 谓词
+    search(query, k = 5, ef = this.efSearch, filter = null) {
+        validateDimension(query.data, this.dimension, 'HNSW 查询');
+        const predicate = compileFilter(filter);
+        this.lastSearchStats = { distanceComputations: 0 };
+        if (this.vectors.length === 0) return [];
+        if (!this.entryPoint) return [];
+
+        const startComputations = this.distanceComputations;
+
+        // 从入口点开始
+        let currentNearest = [{ vector: this.entryPoint, distance: this.distance(query, this.entryPoint) }];
+
+        // 从最高层向下搜索到第1层
+        for (let lc = this.maxLevel; lc > 0; lc--) {
+            currentNearest = this.searchLayer(query, currentNearest, 1, lc);
+        }
+
+        // 在第0层进行详细搜索（只在第0层应用过滤）
+        const results = this.searchLayer(query, currentNearest, Math.max(ef, k), 0, predicate);
+
+        this.lastSearchStats = {
+            distanceComputations: this.distanceComputations - startComputations,
+            vectorCount: this.vectors.length
+        };
+
+        // 返回前 k 个结果，附带按度量方向换算的分数
+        const metric = getMetric(this.metric);
+        return results.slice(0, k).map(r => ({ ...r, score: metric.toScore(r.distance) }));
+    }
+
+    // 半径查询：返回距离不超过 radius 的向量（按距离升序），maxResults 不为空时只保留最近的 maxResults 个
+    // 先按 search 的方式下降到第0层并以 ef 的候选集找到查询附近的区域，再从半径内的候选出发按距离优先扩展，
+    // 只扩展半径内的节点，因此探索范围由半径（和 maxResults）限定；filter 的语义同 search
+    searchRadius(query, radius, { maxResults = null, ef = this.efSearch, filter = null } = {}) {
+        validateDimension(query.data, this.dimension, 'HNSW 查询');
+        validateRadiusQuery(radius, maxResults);
+        const predicate = compileFilter(filter);
+        this.lastSearchStats = { distanceComputations: 0 };
+        if (!this.entryPoint) return [];
+
+        const startComputations = this.distanceComputations;
+        let currentNearest = [{ vector: this.entryPoint, distance: this.distance(query, this.entryPoint) }];
+        for (let lc = this.maxLevel; lc > 0; lc--) {
+            currentNearest = this.searchLayer(query, currentNearest, 1, lc);
+        }
+        const seeds = this.searchLayer(query, currentNearest, Math.max(ef, maxResults || 1), 0);
+
+        // 第二阶段：candidates 为最小堆，results 为最大堆（堆顶为当前最远的结果）
+        const visited = this.visited;
+        visited.reset(this.nextSlot);
+        const candidates = new BinaryHeap(compareByDistance);
+        const results = new BinaryHeap(compareByDistanceDesc);
+        const limit = maxResults || Infinity;
+        const accept = item => {
+            if (predicate && !predicate(item.vector)) return;
+            results.push(item);
+            if (results.size > limit) results.pop();
+        };
+        seeds.forEach(item => {
+            visited.add(item.vector.slot);
+            if (item.distance <= radius) {
+                candidates.push(item);
+                accept(item);
+            }
+        });
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            // 结果已满且剩余候选都比最远的结果远时停止
+            if (results.size >= limit && current.distance > results.peek().distance) break;
+
+            for (const neighbor of current.vector.neighbors[0] || []) {
+                if (visited.has(neighbor.slot)) continue;
+                visited.add(neighbor.slot);
+                const dist = this.distance(query, neighbor);
+                if (dist <= radius) {
+                    const item = { vector: neighbor, distance: dist };
+                    candidates.push(item);
+                    accept(item);
+                }
+            }
+        }
+
+        this.lastSearchStats = {
+            distanceComputations: this.distanceComputations - startComputations,
+            vectorCount: this.vectors.length
+        };
+        const metric = getMetric(this.metric);
+        return results.toSortedArray().reverse().map(r => ({ ...r, score: metric.toScore(r.distance) }));
+    }
+
+    // 搜索并记录搜索过程，用于可视化回放
+    // trace 按顺序包含：entry（入口点）、每层的 layer / expand / layerDone 步骤、result（最终 top-K）
+    searchWithTrace(query, k = 5, ef = this.efSearch, filter = null) {
+        const trace = [];
+        if (this.entryPoint) {
+            trace.push({ type: 'entry', id: this.entryPoint.id, layer: this.maxLevel });
+        }
+
+        this.trace = trace;
+        let results;
+        try {
+            results = this.search(query, k, ef, filter);
+        } finally {
+            this.trace = null;
+        }
+
+        trace.push({ type: 'result', ids: results.map(r => r.vector.id) });
+        return { results, trace };
+    }
+
+    // 按 id 删除单个向量，返回被删除的向量（不存在时返回 null）
+    delete(id) {
+        const removed = this.deleteMany([id]);
+        return removed.length > 0 ? removed[0] : null;
+    }
+
+    // 批量删除向量并修复图结构，返回被删除的向量
+    // 先整体摘除所有待删节点，再为每个受影响的邻居在被删节点的邻域中重新选择连接，
+    // 最后重新计算 maxLevel 和入口点
+    deleteMany(ids) {
+        const idSet = new Set(ids);
+        const removed = this.vectors.filter(v => idSet.has(v.id));
+        if (removed.length === 0) return [];
+
+        this.vectors = this.vectors.filter(v => !idSet.has(v.id));
+        removed.forEach(v => {
+            this.vectorById.delete(v.id);
+            this.markDirty(v);
+            this.memoryEstimate -= this.estimateVectorMemory(v);
+        });
+
+        // 收集每层受影响的节点（与被删节点相连的保留节点）
+        const affected = new Map(); // layer -> Map(id -> vector)
+        removed.forEach(x => {
+            for (let layer in x.neighbors) {
+                const lc = parseInt(layer);
+                if (!affected.has(lc)) affected.set(lc, new Map());
+                x.neighbors[layer].forEach(n => {
+                    if (!idSet.has(n.id)) affected.get(lc).set(n.id, n);
+                });
+            }
+        });
+
+        // 摘除指向被删节点的边（边是双向的，只需处理受影响节点）
+        affected.forEach((nodes, layer) => {
+            nodes.forEach(n => {
+                n.neighbors[layer] = n.neighbors[layer].filter(m => !idSet.has(m.id));
+                this.markDirty(n);
+            });
+        });
+
+        // 为受影响的节点补充连接
+        affected.forEach((nodes, layer) => {
+            nodes.forEach(n => this.repairConnections(n, layer, idSet, removed));
+        });
+
+        // 断开被删节点的邻接表并回收槽位
+        removed.forEach(x => {
+            for (let layer in x.neighbors) {
+                x.neighbors[layer] = [];
+            }
+            if (x.slot >= 0) {
+                this.freeSlots.push(x.slot);
+                x.slot = -1;
+            }
+        });
+
+        this.recomputeEntryPoint(removed);
+        return removed;
+    }
+
+    // 修复单个节点在指定层的连接：候选来自它原先相连的被删节点的邻域
+    // （穿过连续的被删节点继续扩展，直到遇到保留节点），按邻居选择策略补足到 M 个
+    repairConnections(node, layer, removedIds, removed) {
+        const M = this.getMaxConnections(layer);
+        if (node.neighbors[layer].length >= M) return;
+
+        const maxExplore = 4 * M; // 限制每个节点穿过被删区域扩展的规模
+        const removedById = new Map(removed.map(x => [x.id, x]));
+        const seen = new Set([node.id, ...node.neighbors[layer].map(n => n.id)]);
+        const queue = [];
+        removed.forEach(x => {
+            if ((x.neighbors[layer] || []).some(n => n.id === node.id)) queue.push(x);
+        });
+
+        const pool = [];
+        let explored = 0;
+        const exploredRemoved = new Set(queue.map(x => x.id));
+        while (queue.length > 0 && explored < maxExplore) {
+            const x = queue.shift();
+            explored++;
+            for (const n of x.neighbors[layer] || []) {
+                if (removedIds.has(n.id)) {
+                    if (!exploredRemoved.has(n.id)) {
+                        exploredRemoved.add(n.id);
+                        queue.push(removedById.get(n.id));
+                    }
+                } else if (!seen.has(n.id)) {
+                    seen.add(n.id);
+                    pool.push({ vector: n, distance: this.distance(node, n) });
+                }
+            }
+        }
+
+        // 被删区域中找不到候选时，从入口点重新搜索该层的近邻
+        if (pool.length === 0 && node.neighbors[layer].length === 0) {
+            this.recomputeEntryPoint(removed);
+            if (this.entryPoint && this.entryPoint.id !== node.id && this.maxLevel >= layer) {
+                let nearest = [{ vector: this.entryPoint, distance: this.distance(node, this.entryPoint) }];
+                for (let lc = this.maxLevel; lc > layer; lc--) {
+                    nearest = this.searchLayer(node, nearest, 1, lc);
+                }
+                this.searchLayer(node, nearest, M + 1, layer)
+                    .filter(c => c.vector.id !== node.id && !removedIds.has(c.vector.id))
+                    .forEach(c => pool.push(c));
+            }
+        }
+
+        const selected = this.selectNeighbors(node, pool, M - node.neighbors[layer].length, layer);
+        selected.forEach(c => {
+            this.addConnection(node, c.vector, layer);
+            this.addConnection(c.vector, node, layer);
+            if (c.vector.neighbors[layer].length > M) {
+                this.pruneConnections(c.vector, M, layer);
+            }
+        });
+    }
+
+    // 重新计算 maxLevel 和入口点：入口点必须位于最高层，
+    // 多个候选时选择离原入口点最近的，使搜索的下降路径尽量保持不变
+    recomputeEntryPoint(removed = []) {
+        if (this.vectors.length === 0) {
+            this.entryPoint = null;
+            this.maxLevel = 0;
+            return;
+        }
+
+        const remainingIds = new Set(this.vectors.map(v => v.id));
+        if (this.entryPoint && remainingIds.has(this.entryPoint.id)) {
+            return;
+        }
+
+        const maxLevel = this.vectors.reduce((max, v) => Math.max(max, v.level), 0);
+        const topNodes = this.vectors.filter(v => v.level === maxLevel);
+        const oldEntry = this.entryPoint || removed[0];
+
+        let best = topNodes[0];
+        if (oldEntry) {
+            let bestDistance = Infinity;
+            topNodes.forEach(v => {
+                const dist = this.distance(oldEntry, v);
+                if (dist < bestDistance) {
+                    bestDistance = dist;
+                    best = v;
+                }
+            });
+        }
+
+        this.maxLevel = maxLevel;
+        this.entryPoint = best;
+    }
+
+    // 移除指定时间窗口及之前的向量（基于时间窗口）
+    removeByTimeWindow(windowThreshold, windowSize = DEFAULT_WINDOW_SIZE) {
+        const ids = this.vectors
+            .filter(v => getTimeWindow(v.timestamp, windowSize) <= windowThreshold)
+            .map(v => v.id);
+        return this.deleteMany(ids);
+    }
+
+    // 序列化为快照：节点按 [id, timestamp, level, data, adjacency, metadata] 紧凑存储，
+    // adjacency[layer] 为该层邻居的 id 列表
+    toSnapshot() {
+        return {
+            format: 'hnsw-snapshot',
+            version: HNSW_SNAPSHOT_VERSION,
+            params: this.getOptions(),
+            maxLevel: this.maxLevel,
+            entryPoint: this.entryPoint ? this.entryPoint.id : null,
+            nodes: this.vectors.map(v => {
+                const adjacency = [];
+                for (let layer = 0; layer <= v.level; layer++) {
+                    adjacency.push((v.neighbors[layer] || []).map(n => n.id));
+                }
+                return [v.id, v.timestamp, v.level, v.data, adjacency, v.metadata];
+            })
+        };
+    }
+
+    // 从快照重建索引，直接恢复邻接关系而不重新插入
+    static fromSnapshot(snapshot) {
+        if (!snapshot || snapshot.format !== 'hnsw-snapshot') {
+            throw new Error('无效的 HNSW 快照文件');
+        }
+        if (snapshot.version !== HNSW_SNAPSHOT_VERSION) {
+            throw new Error(`不支持的快照版本: ${snapshot.version}（当前版本 ${HNSW_SNAPSHOT_VERSION}）`);
+        }
+
+        // 兼容参数可配置之前的快照（maxConnections / maxConnectionsLayer0 / levelMultiplier）
+        const { maxConnections, maxConnectionsLayer0, levelMultiplier, ...options } = snapshot.params;
+        const index = new HNSWIndex({
+            M: maxConnections,
+            M0: maxConnectionsLayer0,
+            mL: levelMultiplier,
+            ...options,
+            maxLayer: Math.max(options.maxLayer ?? HNSW_DEFAULTS.maxLayer, snapshot.maxLevel)
+        });
+
+        const byId = new Map();
+        snapshot.nodes.forEach(([id, timestamp, level, data, , metadata = {}]) => {
+            validateDimension(data, index.dimension, `快照向量 ${id}`);
+            validateMetadata(metadata, `快照向量 ${id}`);
+            if (byId.has(id)) {
+                throw new Error(`快照中存在重复的向量 ID: ${id}`);
+            }
+            const vector = new Vector(id, data, timestamp, level, metadata);
+            vector.slot = index.nextSlot++;
+            byId.set(id, vector);
+            index.vectors.push(vector);
+            index.vectorById.set(id, vector);
+            index.memoryEstimate += index.estimateVectorMemory(vector);
+        });
+
+        snapshot.nodes.forEach(([id, , , , adjacency]) => {
+            const vector = byId.get(id);
+            adjacency.forEach((neighborIds, layer) => {
+                vector.neighbors[layer] = neighborIds.map(neighborId => {
+                    const neighbor = byId.get(neighborId);
+                    if (!neighbor) {
+                        throw new Error(`快照中向量 ${id} 的邻居 ${neighborId} 不存在`);
+                    }
+                    return neighbor;
+                });
+            });
+        });
+
+        if (snapshot.entryPoint !== null) {
+            index.entryPoint = byId.get(snapshot.entryPoint);
+            if (!index.entryPoint) {
+                throw new Error(`快照中的入口点 ${snapshot.entryPoint} 不存在`);
+            }
+        }
+        index.maxLevel = snapshot.maxLevel;
+
+        return index;
+    }
+}
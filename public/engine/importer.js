@@ -0,0 +1,314 @@
+// 批量导入：解析 CSV / JSONL / NumPy .npy 中的向量并校验
+// 解析结果为 [{ id, data, timestamp, metadata, source }]，source 为出错时提示的位置（如 "第 3 行"）
+// 写入 HNSW 和 TOS 由 tiered-store.js 的 importVectors 完成
+
+import { validateDimension } from './metrics.js';
+import { validateMetadata } from './filter.js';
+
+export const IMPORT_FORMATS = {
+    csv: { label: 'CSV', extensions: ['.csv'] },
+    jsonl: { label: 'JSONL', extensions: ['.jsonl', '.ndjson', '.json'] },
+    npy: { label: 'NumPy .npy', extensions: ['.npy'] }
+};
+
+// 按文件名推断格式；粘贴的文本没有文件名时按内容判断（以 { 开头为 JSONL，否则为 CSV）
+export function detectImportFormat(fileName, text = '') {
+    const name = (fileName || '').toLowerCase();
+    const format = Object.keys(IMPORT_FORMATS).find(key =>
+        IMPORT_FORMATS[key].extensions.some(ext => name.endsWith(ext)));
+    if (format) return format;
+    return text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+// 向量字段：数字数组，或 "[0.1, 0.2]" / "0.1 0.2" / "0.1;0.2" 形式的字符串
+function parseVectorValue(value, source) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') {
+        throw new Error(`${source}: 缺少向量数据`);
+    }
+    const parts = value.trim().replace(/^\[|\]$/g, '').split(/[\s,;]+/).filter(part => part !== '');
+    if (parts.length === 0) {
+        throw new Error(`${source}: 缺少向量数据`);
+    }
+    return parts.map(part => {
+        const x = Number(part);
+        if (Number.isNaN(x)) {
+            throw new Error(`${source}: 向量分量 "${part}" 不是数字`);
+        }
+        return x;
+    });
+}
+
+// CSV 单元格：数字和布尔值转为对应类型，其余保留为字符串
+function parseCellValue(cell) {
+    if (cell === 'true' || cell === 'false') return cell === 'true';
+    const x = Number(cell);
+    return cell.trim() !== '' && Number.isFinite(x) ? x : cell;
+}
+
+// 按 RFC 4180 拆分 CSV：支持双引号包裹的字段（字段内可含逗号、换行，"" 表示一个引号）
+// 返回 [{ cells, line }]，line 为该行起始的行号；跳过空行
+function splitCSVRows(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== '') {
+            rows.push({ cells, line: rowLine });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (quoted) {
+        throw new Error(`CSV 第 ${rowLine} 行: 引号未闭合`);
+    }
+    if (cell !== '' || cells.length > 0) endRow();
+    return rows;
+}
+
+// 解析 CSV：第一行为表头。向量来自 vector 列，或按序号排列的 v0, v1, ... 列；
+// id / timestamp 列可选，其余非空列作为元数据
+export function parseCSV(text) {
+    const rows = splitCSVRows(text);
+    if (rows.length === 0) {
+        throw new Error('CSV 为空');
+    }
+    const header = rows[0].cells.map(name => name.trim());
+    const componentColumns = header
+        .map((name, column) => ({ column, match: /^v(\d+)$/.exec(name) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+        .map(({ column }) => column);
+    const vectorColumn = header.indexOf('vector');
+    if (vectorColumn < 0 && componentColumns.length === 0) {
+        throw new Error('CSV 表头缺少 vector 列或 v0, v1, ... 列');
+    }
+    const reserved = new Set(['id', 'vector', 'timestamp', ...componentColumns.map(column => header[column])]);
+
+    return rows.slice(1).map(({ cells, line }) => {
+        const source = `第 ${line} 行`;
+        if (cells.length !== header.length) {
+            throw new Error(`${source}: 有 ${cells.length} 列，表头为 ${header.length} 列`);
+        }
+        const field = name => {
+            const column = header.indexOf(name);
+            return column >= 0 && cells[column].trim() !== '' ? cells[column].trim() : undefined;
+        };
+        const metadata = {};
+        header.forEach((name, column) => {
+            if (!reserved.has(name) && cells[column].trim() !== '') {
+                metadata[name] = parseCellValue(cells[column].trim());
+            }
+        });
+        return {
+            id: field('id') === undefined ? undefined : Number(field('id')),
+            data: vectorColumn >= 0
+                ? parseVectorValue(cells[vectorColumn], source)
+                : componentColumns.map(column => parseVectorValue(cells[column], source)[0]),
+            timestamp: field('timestamp'),
+            metadata,
+            source
+        };
+    });
+}
+
+// 解析 JSONL：每行一个 { id, vector, timestamp, metadata } 对象，向量字段也可以叫 data / values；
+// 整体是一个 JSON 数组时按数组元素解析
+export function parseJSONL(text) {
+    const trimmed = text.trim();
+    let entries;
+    if (trimmed.startsWith('[')) {
+        let items;
+        try {
+            items = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`JSON 解析失败: ${e.message}`);
+        }
+        entries = items.map((item, i) => ({ item, source: `第 ${i + 1} 条` }));
+    } else {
+        entries = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (line.trim() === '') return;
+            const source = `第 ${i + 1} 行`;
+            try {
+                entries.push({ item: JSON.parse(line), source });
+            } catch (e) {
+                throw new Error(`${source}: JSON 解析失败: ${e.message}`);
+            }
+        });
+    }
+
+    return entries.map(({ item, source }) => {
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`${source}: 每条记录必须是对象`);
+        }
+        return {
+            id: item.id,
+            data: parseVectorValue(item.vector ?? item.data ?? item.values, source),
+            timestamp: item.timestamp,
+            metadata: item.metadata === undefined ? {} : item.metadata,
+            source
+        };
+    });
+}
+
+// .npy 支持的小端数据类型：descr 去掉字节序前缀后的类型码 -> [每个元素的字节数, DataView 读取方法]
+const NPY_DTYPES = {
+    f4: [4, 'getFloat32'],
+    f8: [8, 'getFloat64'],
+    i1: [1, 'getInt8'],
+    i2: [2, 'getInt16'],
+    i4: [4, 'getInt32'],
+    u1: [1, 'getUint8'],
+    u2: [2, 'getUint16'],
+    u4: [4, 'getUint32']
+};
+
+// 解析 NumPy .npy（格式版本 1.0 / 2.0 / 3.0）：形状为 (n, d) 的二维数组，每行一个向量；
+// 一维数组视为单个向量。.npy 只有向量数据，id 和时间戳由导入时补齐
+export function parseNpy(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const magic = [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59]; // \x93NUMPY
+    if (bytes.length < 10 || magic.some((b, i) => bytes[i] !== b)) {
+        throw new Error('不是有效的 .npy 文件');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const major = bytes[6];
+    const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    const headerStart = major === 1 ? 10 : 12;
+    const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+    const descr = /'descr'\s*:\s*'([<>|=]?)(\w+)'/.exec(header);
+    const fortranOrder = /'fortran_order'\s*:\s*True/.test(header);
+    const shapeMatch = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+    if (!descr || !shapeMatch) {
+        throw new Error('.npy 头部缺少 descr 或 shape');
+    }
+    if (descr[1] === '>') {
+        throw new Error('暂不支持大端字节序的 .npy');
+    }
+    const dtype = NPY_DTYPES[descr[2]];
+    if (!dtype) {
+        throw new Error(`不支持的 .npy 数据类型: ${descr[2]}`);
+    }
+    const shape = shapeMatch[1].split(',').map(s => s.trim()).filter(s => s !== '').map(Number);
+    if (shape.length === 0 || shape.length > 2) {
+        throw new Error(`.npy 必须是一维或二维数组，实际形状为 (${shape.join(', ')})`);
+    }
+    const [rows, columns] = shape.length === 1 ? [1, shape[0]] : shape;
+
+    const [size, read] = dtype;
+    const dataStart = headerStart + headerLength;
+    if (bytes.byteLength - dataStart < rows * columns * size) {
+        throw new Error('.npy 数据长度与形状不符');
+    }
+    const records = [];
+    for (let r = 0; r < rows; r++) {
+        const data = new Array(columns);
+        for (let c = 0; c < columns; c++) {
+            // fortran_order 为列优先存储
+            const offset = fortranOrder ? c * rows + r : r * columns + c;
+            data[c] = view[read](dataStart + offset * size, true);
+        }
+        records.push({ id: undefined, data, timestamp: undefined, metadata: {}, source: `第 ${r + 1} 个向量` });
+    }
+    return records;
+}
+
+// 按格式解析导入内容：csv / jsonl 为文本，npy 为 ArrayBuffer
+export function parseImport(input, format) {
+    switch (format) {
+    case 'csv':
+        return parseCSV(input);
+    case 'jsonl':
+        return parseJSONL(input);
+    case 'npy':
+        return parseNpy(input);
+    default:
+        throw new Error(`不支持的导入格式: ${format}`);
+    }
+}
+
+// 时间戳可以是毫秒数或 ISO 8601 字符串，缺省为 now
+function parseTimestamp(value, now, source) {
+    if (value === undefined || value === null || value === '') return now;
+    const timestamp = typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(timestamp)) {
+        throw new Error(`${source}: 无效的时间戳 "${value}"`);
+    }
+    if (timestamp > now) {
+        throw new Error(`${source}: 时间戳 ${new Date(timestamp).toISOString()} 晚于当前时间`);
+    }
+    return Math.floor(timestamp);
+}
+
+// 校验解析结果并补齐缺省字段，任何一条不合法时整体抛出（不导入部分数据）
+//   dimension   - 向量维度必须与索引一致
+//   existingIds - 已存在的 id（如 HNSW 中的向量），导入的 id 不能与其重复
+//   nextId      - 没有 id 的记录从 nextId 开始依次分配
+// 返回 [{ id, data, timestamp, metadata }]
+export function validateImportRecords(records, { dimension, now = Date.now(), existingIds = new Set(), nextId = 0 }) {
+    if (records.length === 0) {
+        throw new Error('没有可导入的向量');
+    }
+    const seen = new Set();
+    // 自动分配的 id 排在所有显式 id 之后，避免与后面的记录冲突
+    let autoId = records.reduce((max, r) => Number.isInteger(Number(r.id ?? NaN)) ? Math.max(max, Number(r.id) + 1) : max, nextId);
+
+    return records.map(record => {
+        const { source } = record;
+        validateDimension(record.data, dimension, source);
+        validateMetadata(record.metadata, source);
+
+        let id;
+        if (record.id === undefined || record.id === null) {
+            id = autoId++;
+        } else {
+            id = Number(record.id);
+            if (!Number.isInteger(id) || id < 0) {
+                throw new Error(`${source}: id 必须是非负整数，实际为 ${record.id}`);
+            }
+        }
+        if (seen.has(id)) {
+            throw new Error(`${source}: id ${id} 在导入数据中重复`);
+        }
+        if (existingIds.has(id)) {
+            throw new Error(`${source}: id ${id} 已存在`);
+        }
+        seen.add(id);
+
+        return { id, data: record.data, timestamp: parseTimestamp(record.timestamp, now, source), metadata: record.metadata };
+    });
+}
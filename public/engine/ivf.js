@@ -0,0 +1,142 @@
+// IVF（倒排文件）近似索引：k-means 把向量划分到 nlist 个簇，查询时只扫描离查询最近的 nprobe 个簇
+// 用于 TOS 归档索引，putVectors 时构建，之后只读
+
+// minVectors - 向量数少于该值时不构建 IVF，直接精确扫描
+// iterations - k-means 的最大迭代次数
+// nprobe     - 查询时默认探测的簇数
+export const IVF_DEFAULTS = { minVectors: 64, iterations: 8, nprobe: 4 };
+
+// 默认簇数：sqrt(n)
+export function getDefaultNlist(count) {
+    return Math.max(1, Math.round(Math.sqrt(count)));
+}
+
+// 从 0..count-1 中不重复地随机选取 k 个位置
+function samplePositions(count, k, random) {
+    const positions = Array.from({ length: count }, (_, i) => i);
+    for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(random() * (count - i));
+        [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    return positions.slice(0, k);
+}
+
+function nearestCentroid(centroids, point, distance) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let c = 0; c < centroids.length; c++) {
+        const d = distance(point, centroids[c]);
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = c;
+        }
+    }
+    return best;
+}
+
+// 构建 IVF：data 为向量数据数组，distance 为索引度量的距离函数（越小越近）
+// 簇中心取簇内向量的均值；lists[c] 为第 c 个簇内向量在 data 中的位置
+// 向量数少于 minVectors 时返回 null
+export function buildIVF(data, distance, options = {}) {
+    const {
+        nlist = getDefaultNlist(data.length),
+        iterations = IVF_DEFAULTS.iterations,
+        minVectors = IVF_DEFAULTS.minVectors,
+        random = Math.random
+    } = options;
+    if (data.length < minVectors) return null;
+    if (!Number.isInteger(nlist) || nlist < 1) {
+        throw new Error(`IVF 簇数 nlist 无效: ${nlist}`);
+    }
+
+    const k = Math.min(nlist, data.length);
+    const dimension = data[0].length;
+    const centroids = samplePositions(data.length, k, random).map(p => data[p].slice());
+    const assignment = new Int32Array(data.length).fill(-1);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        let changed = 0;
+        for (let p = 0; p < data.length; p++) {
+            const c = nearestCentroid(centroids, data[p], distance);
+            if (c !== assignment[p]) {
+                assignment[p] = c;
+                changed++;
+            }
+        }
+        if (changed === 0) break;
+
+        // 重新计算簇中心；空簇保留原来的中心
+        const sums = Array.from({ length: k }, () => new Array(dimension).fill(0));
+        const counts = new Array(k).fill(0);
+        for (let p = 0; p < data.length; p++) {
+            const sum = sums[assignment[p]];
+            for (let i = 0; i < dimension; i++) sum[i] += data[p][i];
+            counts[assignment[p]]++;
+        }
+        for (let c = 0; c < k; c++) {
+            if (counts[c] > 0) centroids[c] = sums[c].map(x => x / counts[c]);
+        }
+    }
+
+    const lists = Array.from({ length: k }, () => []);
+    for (let p = 0; p < data.length; p++) {
+        lists[assignment[p]].push(p);
+    }
+    return { type: 'ivf', nlist: k, centroids, lists };
+}
+
+// 在 IVF 中查询 top-k：按簇中心距离从近到远至少探测 nprobe 个簇；
+// accept(position) 过滤后不足 k 个结果时继续探测更远的簇
+// score(position) 返回该位置向量到查询的距离（可以是量化编码估算的距离），distance 只用于簇中心
+// 返回 { hits: [{ position, distance }], distanceComputations, probedLists }
+export function searchIVF(ivf, query, k, { distance, score, nprobe = IVF_DEFAULTS.nprobe, accept = null }) {
+    const order = ivf.centroids
+        .map((centroid, c) => ({ c, distance: distance(query, centroid) }))
+        .sort((a, b) => a.distance - b.distance);
+    let distanceComputations = ivf.centroids.length;
+
+    const hits = [];
+    let probedLists = 0;
+    for (const { c } of order) {
+        if (probedLists >= nprobe && hits.length >= k) break;
+        probedLists++;
+        for (const position of ivf.lists[c]) {
+            if (accept && !accept(position)) continue;
+            hits.push({ position, distance: score(position) });
+            distanceComputations++;
+        }
+    }
+
+    hits.sort((a, b) => a.distance - b.distance);
+    return { hits: hits.slice(0, k), distanceComputations, probedLists };
+}
+
+// 在 IVF 中做半径查询：按簇中心距离从近到远至少探测 nprobe 个簇，之后只要上一个簇中还有半径内的向量
+// 就继续探测下一个簇（半径覆盖的区域可能跨过更多的簇）
+// 返回所有被打分的位置 { hits: [{ position, distance }]（按距离升序，包含半径外的）, distanceComputations, probedLists }，
+// 由调用方按半径筛选（量化索引需要半径外附近的候选来重排）
+export function searchIVFRadius(ivf, query, radius, { distance, score, nprobe = IVF_DEFAULTS.nprobe, accept = null }) {
+    const order = ivf.centroids
+        .map((centroid, c) => ({ c, distance: distance(query, centroid) }))
+        .sort((a, b) => a.distance - b.distance);
+    let distanceComputations = ivf.centroids.length;
+
+    const hits = [];
+    let probedLists = 0;
+    let lastListHadHits = true;
+    for (const { c } of order) {
+        if (probedLists >= nprobe && !lastListHadHits) break;
+        probedLists++;
+        lastListHadHits = false;
+        for (const position of ivf.lists[c]) {
+            if (accept && !accept(position)) continue;
+            const d = score(position);
+            hits.push({ position, distance: d });
+            distanceComputations++;
+            if (d <= radius) lastListHadHits = true;
+        }
+    }
+
+    hits.sort((a, b) => a.distance - b.distance);
+    return { hits, distanceComputations, probedLists };
+}
@@ -0,0 +1,88 @@
+// 距离度量和维度校验
+
+// 距离度量：distance 统一为"越小越近"，score 为展示给用户的原始分数
+export const DISTANCE_METRICS = {
+    l2: {
+        label: 'L2 欧氏距离',
+        scoreLabel: '距离',
+        higherIsBetter: false,
+        distance(a, b) {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) {
+                const diff = a[i] - b[i];
+                sum += diff * diff;
+            }
+            return Math.sqrt(sum);
+        },
+        toScore: distance => distance
+    },
+    cosine: {
+        label: '余弦相似度',
+        scoreLabel: '相似度',
+        higherIsBetter: true,
+        // 余弦距离 = 1 - cos(a, b)
+        distance(a, b) {
+            let dot = 0, normA = 0, normB = 0;
+            for (let i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+                normA += a[i] * a[i];
+                normB += b[i] * b[i];
+            }
+            if (normA === 0 || normB === 0) return 1;
+            return 1 - dot / Math.sqrt(normA * normB);
+        },
+        toScore: distance => 1 - distance
+    },
+    ip: {
+        label: '内积 (Dot Product)',
+        scoreLabel: '内积',
+        higherIsBetter: true,
+        // 取负内积，使内积越大距离越小
+        distance(a, b) {
+            let dot = 0;
+            for (let i = 0; i < a.length; i++) {
+                dot += a[i] * b[i];
+            }
+            return -dot;
+        },
+        toScore: distance => -distance
+    }
+};
+
+export function getMetric(name) {
+    const metric = DISTANCE_METRICS[name];
+    if (!metric) {
+        throw new Error(`不支持的距离度量: ${name}`);
+    }
+    return metric;
+}
+
+// 校验向量维度，不匹配时抛出带上下文的错误
+export function validateDimension(data, expected, context) {
+    if (!Array.isArray(data) || data.length !== expected) {
+        const actual = Array.isArray(data) ? data.length : typeof data;
+        throw new Error(`${context}: 向量维度不匹配，期望 ${expected} 维，实际 ${actual} 维`);
+    }
+    if (data.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+        throw new Error(`${context}: 向量包含非数值分量`);
+    }
+}
+
+// 校验半径查询的参数：radius 为索引度量下的距离上限（cosine 为 1 - 相似度，ip 为负内积），
+// maxResults 为空（不限数量）或正整数
+export function validateRadiusQuery(radius, maxResults = null) {
+    if (typeof radius !== 'number' || !Number.isFinite(radius)) {
+        throw new Error(`无效的查询半径: ${radius}`);
+    }
+    if (maxResults !== null && (!Number.isInteger(maxResults) || maxResults < 1)) {
+        throw new Error(`最大结果数必须是正整数: ${maxResults}`);
+    }
+}
+
+// 合并多路查询结果，按距离取全局 top-k（半径查询时 k 为最大结果数，不限时为 Infinity）
+export function mergeTopK(resultLists, k) {
+    const merged = [];
+    resultLists.forEach(list => merged.push(...list));
+    merged.sort((a, b) => a.distance - b.distance);
+    return merged.slice(0, k);
+}
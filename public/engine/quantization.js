@@ -0,0 +1,321 @@
+// 归档索引的向量量化：int8 标量量化和 PQ 乘积量化
+// 查询时先用编码估算距离选出候选集，再用原始向量精确重排
+// 全部向量的编码连续保存在一个 Int8Array（int8）/ Uint8Array（PQ）中，第 p 个向量的编码见 getCode；
+// 持久化为 JSON 时编码转为 base64，见 serializeQuantizer / deserializeQuantizer
+
+import { buildIVF, searchIVF, searchIVFRadius } from './ivf.js';
+
+export const QUANTIZATION_TYPES = {
+    none: { label: '不量化' },
+    int8: { label: 'int8 标量量化' },
+    pq: { label: 'PQ 乘积量化' }
+};
+
+// minVectors     - 向量数少于该值时不量化
+// rerankFactor   - 重排的候选集大小为 k 的倍数
+// pqMaxSubspaces - PQ 子空间数上限；pqCentroids - 每个子空间的码本大小（编码占 1 字节）
+// pqTrainingSamples - 训练 PQ 码本最多使用的向量数，训练后再编码全部向量
+// recallSamples / recallK - 写入时估算 recall@K 使用的查询数和 K
+export const QUANTIZATION_DEFAULTS = {
+    minVectors: 64,
+    rerankFactor: 4,
+    pqMaxSubspaces: 64,
+    pqCentroids: 256,
+    pqIterations: 8,
+    pqTrainingSamples: 2048,
+    recallSamples: 20,
+    recallK: 10
+};
+
+const FLOAT32_BYTES = 4;
+
+const CODE_ARRAY_TYPES = { int8: Int8Array, pq: Uint8Array };
+
+export function validateQuantizationType(type) {
+    if (!QUANTIZATION_TYPES[type]) {
+        throw new Error(`不支持的量化方式: ${type}`);
+    }
+}
+
+function l2(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+}
+
+// int8：每一维按 [min, max] 线性映射到 [-128, 127]
+function trainInt8(data) {
+    const dimension = data[0].length;
+    const min = new Array(dimension).fill(Infinity);
+    const max = new Array(dimension).fill(-Infinity);
+    data.forEach(v => {
+        for (let i = 0; i < dimension; i++) {
+            if (v[i] < min[i]) min[i] = v[i];
+            if (v[i] > max[i]) max[i] = v[i];
+        }
+    });
+    const scale = min.map((lo, i) => (max[i] - lo) / 255 || 1);
+    const codes = new Int8Array(data.length * dimension);
+    data.forEach((v, p) => {
+        for (let i = 0; i < dimension; i++) {
+            codes[p * dimension + i] = Math.round((v[i] - min[i]) / scale[i]) - 128;
+        }
+    });
+    return {
+        type: 'int8',
+        min,
+        scale,
+        codes,
+        bytesPerVector: dimension,
+        codebookBytes: 2 * dimension * FLOAT32_BYTES
+    };
+}
+
+// PQ 子空间数：能整除维度、每个子空间至少 2 维的最大值
+export function getPQSubspaces(dimension, maxSubspaces = QUANTIZATION_DEFAULTS.pqMaxSubspaces) {
+    for (let m = Math.min(maxSubspaces, Math.floor(dimension / 2)); m > 1; m--) {
+        if (dimension % m === 0) return m;
+    }
+    return 1;
+}
+
+function nearestCodeword(codebook, sub) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let c = 0; c < codebook.length; c++) {
+        const d = l2(sub, codebook[c]);
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = c;
+        }
+    }
+    return best;
+}
+
+// PQ：把向量切成 m 段，每段用 k-means 训练一个码本，编码为各段最近码字的序号
+// 向量较多时只用随机抽取的 pqTrainingSamples 个向量训练码本
+function trainPQ(data, { random }) {
+    const dimension = data[0].length;
+    const m = getPQSubspaces(dimension);
+    const dsub = dimension / m;
+    let training = data;
+    if (data.length > QUANTIZATION_DEFAULTS.pqTrainingSamples) {
+        training = Array.from({ length: QUANTIZATION_DEFAULTS.pqTrainingSamples }, () => data[Math.floor(random() * data.length)]);
+    }
+    const ksub = Math.min(QUANTIZATION_DEFAULTS.pqCentroids, training.length);
+
+    const codebooks = [];
+    for (let s = 0; s < m; s++) {
+        const sub = training.map(v => v.slice(s * dsub, (s + 1) * dsub));
+        codebooks.push(buildIVF(sub, l2, { nlist: ksub, minVectors: 1, iterations: QUANTIZATION_DEFAULTS.pqIterations, random }).centroids);
+    }
+    const codes = new Uint8Array(data.length * m);
+    data.forEach((v, p) => {
+        codebooks.forEach((codebook, s) => {
+            codes[p * m + s] = nearestCodeword(codebook, v.slice(s * dsub, (s + 1) * dsub));
+        });
+    });
+
+    return {
+        type: 'pq',
+        m,
+        dsub,
+        ksub,
+        codebooks,
+        codes,
+        bytesPerVector: m,
+        codebookBytes: m * ksub * dsub * FLOAT32_BYTES
+    };
+}
+
+// 第 position 个向量的编码（codes 上的视图，不复制）
+export function getCode(quantizer, position) {
+    const size = quantizer.bytesPerVector;
+    return quantizer.codes.subarray(position * size, (position + 1) * size);
+}
+
+// 由编码还原近似向量
+export function decodeVector(quantizer, code) {
+    if (quantizer.type === 'int8') {
+        return Array.from(code, (c, i) => (c + 128) * quantizer.scale[i] + quantizer.min[i]);
+    }
+    return Array.from(code).flatMap((c, s) => quantizer.codebooks[s][c]);
+}
+
+// 返回 code => 近似距离。PQ 的 l2 / ip 使用查表（ADC），其余情况还原向量后按度量计算
+export function createCodeScorer(quantizer, query, metric, distance) {
+    if (quantizer.type === 'pq' && (metric === 'l2' || metric === 'ip')) {
+        const tables = quantizer.codebooks.map((codebook, s) => {
+            const q = query.slice(s * quantizer.dsub, (s + 1) * quantizer.dsub);
+            return codebook.map(centroid => {
+                let value = 0;
+                for (let i = 0; i < q.length; i++) {
+                    value += metric === 'l2' ? (q[i] - centroid[i]) ** 2 : q[i] * centroid[i];
+                }
+                return value;
+            });
+        });
+        return code => {
+            let sum = 0;
+            for (let s = 0; s < code.length; s++) sum += tables[s][code[s]];
+            return metric === 'l2' ? Math.sqrt(sum) : -sum;
+        };
+    }
+    return code => distance(query, decodeVector(quantizer, code));
+}
+
+// 用原始向量重排候选位置，返回 top-k [{ position, distance }]
+export function rerank(positions, query, k, getData, distance) {
+    return positions
+        .map(position => ({ position, distance: distance(query, getData(position)) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+}
+
+// 半径查询的重排：hits 为按编码估算距离升序的候选，估算距离在半径内的候选数（不超过 maxResults，至少 1）
+// 乘以 rerankFactor 作为重排的候选集，覆盖半径边界附近的量化误差；
+// 返回 { hits, rerankCount }：hits 为原始距离不超过 radius 的 [{ position, distance }]（maxResults 不为空时只保留最近的
+// maxResults 个），rerankCount 为重排计算的距离次数
+export function rerankRadius(hits, query, radius, { maxResults = null, rerankFactor, getData, distance }) {
+    let inside = 0;
+    while (inside < hits.length && hits[inside].distance <= radius) inside++;
+    if (maxResults !== null) inside = Math.min(inside, maxResults);
+    const positions = hits.slice(0, Math.max(inside, 1) * rerankFactor).map(hit => hit.position);
+    const reranked = rerank(positions, query, positions.length, getData, distance).filter(hit => hit.distance <= radius);
+    return {
+        hits: maxResults === null ? reranked : reranked.slice(0, maxResults),
+        rerankCount: positions.length
+    };
+}
+
+// 在一个归档索引内查询，TOS Bucket 的本地模式和服务端的 QueryVectors 共用
+// 有 ivf 时只探测 nprobe 个簇，否则扫描全部 count 个位置；有 quantizer 时先用编码估算距离取 k * rerankFactor 个候选，
+// 再用原始向量重排。radius 不为空时返回距离不超过 radius 的位置，k 为最大结果数（为空时不限）：
+// IVF 在半径内仍有命中时继续探测更远的簇，量化索引按 rerankRadius 重排
+// getData(p) 为第 p 个向量的原始数据，accept(p) 为 false 的位置不参与查询（墓碑、元数据过滤、时间范围）
+// 返回 { hits: [{ position, distance }]（按距离升序）, distanceComputations }
+export function searchIndex(query, { count, getData, ivf = null, quantizer = null, metric, distance }, { k, radius = null, nprobe, rerankFactor, accept }) {
+    const candidateCount = quantizer ? k * rerankFactor : k;
+    let score = p => distance(query, getData(p));
+    if (quantizer) {
+        const scoreCode = createCodeScorer(quantizer, query, metric, distance);
+        score = p => scoreCode(getCode(quantizer, p));
+    }
+
+    let hits;
+    let distanceComputations;
+    if (ivf) {
+        const options = { distance, score, nprobe, accept };
+        const search = radius === null
+            ? searchIVF(ivf, query, candidateCount, options)
+            : searchIVFRadius(ivf, query, radius, options);
+        hits = search.hits;
+        distanceComputations = search.distanceComputations;
+    } else {
+        // 扫描全部向量：先过滤，再计算距离并取最近的候选
+        hits = [];
+        for (let p = 0; p < count; p++) {
+            if (accept(p)) hits.push({ position: p, distance: score(p) });
+        }
+        distanceComputations = hits.length;
+        hits.sort((a, b) => a.distance - b.distance);
+        if (radius === null) hits = hits.slice(0, candidateCount);
+    }
+
+    if (radius !== null && quantizer) {
+        const reranked = rerankRadius(hits, query, radius, { maxResults: k, rerankFactor, getData, distance });
+        distanceComputations += reranked.rerankCount;
+        hits = reranked.hits;
+    } else if (radius !== null) {
+        hits = hits.filter(hit => hit.distance <= radius).slice(0, k ?? Infinity);
+    } else if (quantizer) {
+        distanceComputations += hits.length;
+        hits = rerank(hits.map(hit => hit.position), query, k, getData, distance);
+    }
+    return { hits, distanceComputations };
+}
+
+function topPositions(data, score, k) {
+    return data
+        .map((_, position) => ({ position, distance: score(position) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+        .map(hit => hit.position);
+}
+
+// 以索引中的向量为查询估算 recall@K：只用编码排序 (approx) 和编码 + 重排 (reranked)
+function estimateRecall(quantizer, data, metric, distance, random) {
+    const k = Math.min(QUANTIZATION_DEFAULTS.recallK, data.length);
+    const samples = Math.min(QUANTIZATION_DEFAULTS.recallSamples, data.length);
+    const rerankFactor = QUANTIZATION_DEFAULTS.rerankFactor;
+    let approxHits = 0;
+    let rerankedHits = 0;
+
+    for (let i = 0; i < samples; i++) {
+        const query = data[Math.floor(random() * data.length)];
+        const truth = new Set(topPositions(data, p => distance(query, data[p]), k));
+        const scoreCode = createCodeScorer(quantizer, query, metric, distance);
+        const candidates = topPositions(data, p => scoreCode(getCode(quantizer, p)), k * rerankFactor);
+
+        approxHits += candidates.slice(0, k).filter(p => truth.has(p)).length;
+        rerankedHits += rerank(candidates, query, k, p => data[p], distance).filter(hit => truth.has(hit.position)).length;
+    }
+    return { k, rerankFactor, approx: approxHits / (samples * k), reranked: rerankedHits / (samples * k) };
+}
+
+// 训练量化器并编码全部向量：data 为向量数据数组，metric 为度量名，distance 为其距离函数
+// 返回 { type, codes, compressionRatio, recall, ... }；type 为 none 或向量太少时返回 null
+export function trainQuantizer(type, data, { metric, distance, random = Math.random }) {
+    validateQuantizationType(type);
+    if (type === 'none' || data.length < QUANTIZATION_DEFAULTS.minVectors) return null;
+
+    const quantizer = type === 'int8' ? trainInt8(data) : trainPQ(data, { random });
+    const originalBytes = data.length * data[0].length * FLOAT32_BYTES;
+    quantizer.compressionRatio = originalBytes / (data.length * quantizer.bytesPerVector + quantizer.codebookBytes);
+    quantizer.recall = estimateRecall(quantizer, data, metric, distance, random);
+    return quantizer;
+}
+
+function encodeBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// 转为可以 JSON 序列化的记录：编码保存为 base64 字符串
+export function serializeQuantizer(quantizer) {
+    if (!quantizer) return null;
+    const { codes } = quantizer;
+    return { ...quantizer, codes: encodeBase64(new Uint8Array(codes.buffer, codes.byteOffset, codes.byteLength)) };
+}
+
+// serializeQuantizer 的逆操作；旧版本保存的编码是每个向量一个数组，加载时转为连续的 typed array
+export function deserializeQuantizer(record) {
+    if (!record) return null;
+    const ArrayType = CODE_ARRAY_TYPES[record.type];
+    const codes = typeof record.codes === 'string'
+        ? new ArrayType(decodeBase64(record.codes).buffer)
+        : ArrayType.from(record.codes.flat());
+    return { ...record, codes };
+}
+
+// 量化器的概要信息（不含码本和编码），用于展示
+export function describeQuantization(quantizer) {
+    return quantizer
+        ? { type: quantizer.type, compressionRatio: quantizer.compressionRatio, recall: quantizer.recall }
+        : null;
+}
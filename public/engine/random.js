@@ -0,0 +1,38 @@
+// 可设定种子的伪随机数生成器：同一个种子产生相同的序列，用于复现一次运行
+// 向量生成、HNSW 层级、插入间隔以及 TOS 索引的 IVF / PQ 训练各自使用由运行种子派生的独立序列，
+// 互不影响消耗的随机数个数
+
+export const MAX_SEED = 0xFFFFFFFF;
+
+export function validateSeed(seed) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        throw new Error(`随机种子无效: ${seed}（0-${MAX_SEED} 的整数）`);
+    }
+}
+
+// mulberry32：返回 () => [0, 1) 的伪随机数
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 由种子和名称派生新的种子（FNV-1a），如 deriveSeed(seed, 'levels')、deriveSeed(seed, indexName)
+export function deriveSeed(seed, label) {
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < label.length; i++) {
+        hash ^= label.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// 新的运行种子（只在没有指定种子时使用）
+export function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
@@ -0,0 +1,70 @@
+// 模拟控制：虚拟时钟和自动插入的节奏
+// 页面中窗口划分、flush、存活时长和合并都按虚拟时钟计算，加速后可以在一分钟内演示一小时的分层过程
+
+export const CLOCK_SPEEDS = [1, 10, 20, 50, 100];
+
+export function validateClockSpeed(speed) {
+    if (typeof speed !== 'number' || !Number.isFinite(speed) || speed < 1 || speed > CLOCK_SPEEDS[CLOCK_SPEEDS.length - 1]) {
+        throw new Error(`虚拟时钟速度无效: ${speed}（1-${CLOCK_SPEEDS[CLOCK_SPEEDS.length - 1]} 倍）`);
+    }
+}
+
+// 虚拟时钟：从锚点开始按 speed 倍速前进，改变速度时以当前虚拟时间为新锚点，时间不会跳变
+// realNow 为真实时钟，测试时可以替换
+export class VirtualClock {
+    constructor({ speed = 1, start = null, realNow = Date.now } = {}) {
+        validateClockSpeed(speed);
+        this.realNow = realNow;
+        this.speed = speed;
+        this.anchorReal = realNow();
+        this.anchorVirtual = start === null ? this.anchorReal : start;
+    }
+
+    now() {
+        return Math.floor(this.anchorVirtual + (this.realNow() - this.anchorReal) * this.speed);
+    }
+
+    setSpeed(speed) {
+        validateClockSpeed(speed);
+        this.anchorVirtual = this.now();
+        this.anchorReal = this.realNow();
+        this.speed = speed;
+    }
+
+    // 虚拟时长对应的真实等待时长，用于 setTimeout
+    toRealDelay(virtualDelay) {
+        return Math.max(0, virtualDelay / this.speed);
+    }
+
+    // 可持久化的状态：速度和虚拟时间相对真实时间的偏移
+    getState() {
+        return { speed: this.speed, offset: this.now() - this.realNow() };
+    }
+
+    static fromState(state, realNow = Date.now) {
+        return new VirtualClock({ speed: state.speed, start: realNow() + state.offset, realNow });
+    }
+}
+
+// rate      - 平均每分钟（虚拟时间）插入的向量数
+// burstSize - 每次插入的向量数；大于 1 时为突发模式，平均速率不变，向量成批到达
+export const DEFAULT_INGEST = { rate: 8, burstSize: 1 };
+export const MAX_INGEST_RATE = 1000;
+export const MAX_BURST_SIZE = 1000;
+
+export function validateIngestSettings(ingest) {
+    if (!ingest || typeof ingest.rate !== 'number' || !Number.isFinite(ingest.rate) ||
+        ingest.rate <= 0 || ingest.rate > MAX_INGEST_RATE) {
+        throw new Error(`插入速率无效: ${ingest && ingest.rate}（0-${MAX_INGEST_RATE} 个/分钟）`);
+    }
+    if (!Number.isInteger(ingest.burstSize) || ingest.burstSize < 1 || ingest.burstSize > MAX_BURST_SIZE) {
+        throw new Error(`每次插入的向量数无效: ${ingest.burstSize}（1-${MAX_BURST_SIZE}）`);
+    }
+}
+
+// 到下一次插入的虚拟时长：平均间隔为 burstSize / rate 分钟，在平均值的 2/3 到 4/3 之间随机
+// 默认设置下为 5-10 秒
+export function getNextInsertDelay(ingest, random = Math.random) {
+    const mean = ingest.burstSize / ingest.rate * 60000;
+    return mean * (2 / 3 + random() * 2 / 3);
+}
@@ -0,0 +1,343 @@
+// 内存层 (HNSW) 与持久化层 (TOS Bucket) 之间的 flush 和查询路由
+// 不依赖 DOM：结果通过返回值交给调用方渲染和提示
+
+import { validateDimension, validateRadiusQuery, mergeTopK } from './metrics.js';
+import { validateFilter, validateMetadata, matchesFilter } from './filter.js';
+import { Vector } from './vector.js';
+import { getTimeWindow, DEFAULT_WINDOW_SIZE } from './windows.js';
+
+// 保留策略：决定哪些向量留在内存层，超出的部分 flush 到 TOS
+//   windows - 保留最近 windowCount 个时间窗口（含当前窗口）
+//   count   - HNSW 中最多 maxVectors 个向量
+//   memory  - HNSW 的内存估算不超过 maxBytes
+//   age     - 向量在 HNSW 中最多停留 maxAge 毫秒
+export const RETENTION_POLICIES = {
+    windows: { label: '保留最近 N 个窗口', param: 'windowCount' },
+    count: { label: '最大向量数', param: 'maxVectors' },
+    memory: { label: '最大内存', param: 'maxBytes' },
+    age: { label: '最大时长', param: 'maxAge' }
+};
+
+export const DEFAULT_RETENTION = { type: 'windows', windowCount: 2 };
+
+export function validateRetentionPolicy(retention) {
+    const policy = retention && RETENTION_POLICIES[retention.type];
+    if (!policy) {
+        throw new Error(`不支持的保留策略: ${retention && retention.type}`);
+    }
+    const value = retention[policy.param];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 ||
+        (retention.type !== 'memory' && !Number.isInteger(value))) {
+        throw new Error(`保留策略参数 ${policy.param} 无效: ${value}`);
+    }
+}
+
+// 计算保留阈值窗口：windowCount = 2 表示保留当前窗口和前1个窗口，
+// 所以阈值窗口 = 当前窗口 - (windowCount - 1) * windowSize
+export function getRetainThresholdWindow(now, windowCount, windowSize = DEFAULT_WINDOW_SIZE) {
+    return getTimeWindow(now, windowSize) - (windowCount - 1) * windowSize;
+}
+
+// windows / age 策略只看时间戳：返回 timestamp => 是否已过期；count / memory 策略与时间戳无关，返回 null
+function getTimestampExpiry(retention, now, windowSize) {
+    switch (retention.type) {
+    case 'windows': {
+        const threshold = getRetainThresholdWindow(now, retention.windowCount, windowSize);
+        return timestamp => getTimeWindow(timestamp, windowSize) < threshold;
+    }
+    case 'age':
+        return timestamp => timestamp < now - retention.maxAge;
+    default:
+        return null;
+    }
+}
+
+// 按保留策略选出需要移出内存层的向量（按时间戳从旧到新）
+// count / memory 策略从最旧的向量开始移出，直到满足上限
+export function selectExpiredVectors(hnswIndex, retention = DEFAULT_RETENTION, { now = Date.now(), windowSize = DEFAULT_WINDOW_SIZE } = {}) {
+    validateRetentionPolicy(retention);
+    const byAge = [...hnswIndex.vectors].sort((a, b) => a.timestamp - b.timestamp);
+
+    switch (retention.type) {
+    case 'windows':
+    case 'age': {
+        const isExpired = getTimestampExpiry(retention, now, windowSize);
+        return byAge.filter(v => isExpired(v.timestamp));
+    }
+    case 'count':
+        return byAge.slice(0, Math.max(0, byAge.length - retention.maxVectors));
+    case 'memory': {
+        let excess = hnswIndex.memoryEstimate - retention.maxBytes;
+        const expired = [];
+        for (const v of byAge) {
+            if (excess <= 0) break;
+            expired.push(v);
+            excess -= hnswIndex.estimateVectorMemory(v);
+        }
+        return expired;
+    }
+    }
+}
+
+// 收集需要 flush 的向量，按时间窗口分组（Map 按窗口从旧到新排列）
+export function collectExpiredWindows(hnswIndex, retention = DEFAULT_RETENTION, options = {}) {
+    const windowSize = options.windowSize || DEFAULT_WINDOW_SIZE;
+    const windowGroups = new Map();
+    selectExpiredVectors(hnswIndex, retention, options).forEach(v => {
+        const window = getTimeWindow(v.timestamp, windowSize);
+        if (!windowGroups.has(window)) {
+            windowGroups.set(window, []);
+        }
+        windowGroups.get(window).push(v);
+    });
+    return windowGroups;
+}
+
+// 当前保留策略的使用情况 { used, limit }，用于统计面板
+export function getRetentionUsage(hnswIndex, retention = DEFAULT_RETENTION, { now = Date.now(), windowSize = DEFAULT_WINDOW_SIZE } = {}) {
+    switch (retention.type) {
+    case 'windows':
+        return {
+            used: new Set(hnswIndex.vectors.map(v => getTimeWindow(v.timestamp, windowSize))).size,
+            limit: retention.windowCount
+        };
+    case 'age': {
+        const oldest = hnswIndex.vectors.reduce((min, v) => Math.min(min, v.timestamp), Infinity);
+        return { used: oldest === Infinity ? 0 : Math.max(0, now - oldest), limit: retention.maxAge };
+    }
+    case 'count':
+        return { used: hnswIndex.vectors.length, limit: retention.maxVectors };
+    case 'memory':
+        return { used: hnswIndex.memoryEstimate, limit: retention.maxBytes };
+    default:
+        throw new Error(`不支持的保留策略: ${retention.type}`);
+    }
+}
+
+// 下一次需要 flush 的时刻：windows 策略在下一个窗口边界，age 策略在最旧的向量到期时；
+// count / memory 策略只会因插入而超限，返回 null 表示由插入触发
+export function getNextFlushTime(hnswIndex, retention = DEFAULT_RETENTION, { now = Date.now(), windowSize = DEFAULT_WINDOW_SIZE } = {}) {
+    switch (retention.type) {
+    case 'windows':
+        return getTimeWindow(now, windowSize) + windowSize;
+    case 'age': {
+        const oldest = hnswIndex.vectors.reduce((min, v) => Math.min(min, v.timestamp), Infinity);
+        return oldest === Infinity ? now + retention.maxAge : Math.max(now, oldest + retention.maxAge);
+    }
+    default:
+        return null;
+    }
+}
+
+// 将保留策略之外的向量写入 TOS：每个时间窗口创建一个索引，写入成功后再从 HNSW 中删除
+// 这些向量并修复图结构。写入失败的窗口保留在 HNSW 中等待下一次 flush，错误通过 error 返回
+// 返回 { flushedCount, indexes, error }；维度不一致时直接抛出，不修改任何数据
+export async function flushExpiredWindows(hnswIndex, tosBucket, options = {}) {
+    const { now = Date.now(), windowSize = DEFAULT_WINDOW_SIZE, retention = DEFAULT_RETENTION } = options;
+    const windowGroups = collectExpiredWindows(hnswIndex, retention, { now, windowSize });
+    const outcome = { flushedCount: 0, indexes: [], error: null };
+    if (windowGroups.size === 0) return outcome;
+
+    // 写入 TOS 前先校验维度，避免从 HNSW 移除后写入失败导致数据丢失
+    if (tosBucket.dimension !== hnswIndex.dimension) {
+        throw new Error(`TOS Bucket 维度 (${tosBucket.dimension}) 与 HNSW 维度 (${hnswIndex.dimension}) 不一致`);
+    }
+    windowGroups.forEach(vectors => {
+        vectors.forEach(v => validateDimension(v.data, tosBucket.dimension, `Flush 向量 ${v.id}`));
+    });
+
+    try {
+        for (const [window, vectors] of windowGroups) {
+            const index = await tosBucket.putVectors(vectors, window, { windowSize });
+            hnswIndex.deleteMany(vectors.map(v => v.id));
+            outcome.flushedCount += vectors.length;
+            outcome.indexes.push(index);
+        }
+    } catch (e) {
+        outcome.error = e;
+    }
+    return outcome;
+}
+
+export const IMPORT_BATCH_SIZE = 500;
+
+// 批量导入 records（validateImportRecords 的结果）：按 windows / age 策略已经过期的记录按时间窗口
+// 直接写入 TOS，其余记录保留原始时间戳分批插入 HNSW。count / memory 策略下全部插入 HNSW，
+// 超出上限的部分由之后的 flush 移出
+// 记录带有 level 时按该层级插入 HNSW（重放事件日志时使用），否则随机分配层级
+// onProgress(done, total) 在每写入一个窗口或插入一批后调用，可以返回 Promise 让出主线程
+// 返回 { hotCount, coldCount, indexes, inserted, error }，inserted 为插入 HNSW 的向量；
+// 记录无效（维度、元数据、id、层级，或 id 重复 / 已在 HNSW 中）时抛出错误，不写入任何数据；
+// 写入 TOS 失败时停止导入并通过 error 返回，已写入的窗口保留，HNSW 不插入任何记录
+export async function importVectors(hnswIndex, tosBucket, records, options = {}) {
+    const {
+        now = Date.now(),
+        windowSize = DEFAULT_WINDOW_SIZE,
+        retention = DEFAULT_RETENTION,
+        batchSize = IMPORT_BATCH_SIZE,
+        onProgress = () => {}
+    } = options;
+    validateRetentionPolicy(retention);
+    if (tosBucket.dimension !== hnswIndex.dimension) {
+        throw new Error(`TOS Bucket 维度 (${tosBucket.dimension}) 与 HNSW 维度 (${hnswIndex.dimension}) 不一致`);
+    }
+    const seen = new Set();
+    records.forEach(r => {
+        validateDimension(r.data, hnswIndex.dimension, `导入向量 ${r.id}`);
+        if (!Number.isInteger(r.id) || r.id < 0) {
+            throw new Error(`导入向量 ${r.id}: id 必须是非负整数`);
+        }
+        if (seen.has(r.id)) {
+            throw new Error(`导入向量 ${r.id}: id 在导入数据中重复`);
+        }
+        seen.add(r.id);
+    });
+
+    const isExpired = getTimestampExpiry(retention, now, windowSize);
+    const coldGroups = new Map();
+    const hot = [];
+    [...records].sort((a, b) => a.timestamp - b.timestamp).forEach(r => {
+        if (isExpired && isExpired(r.timestamp)) {
+            const window = getTimeWindow(r.timestamp, windowSize);
+            if (!coldGroups.has(window)) {
+                coldGroups.set(window, []);
+            }
+            const vector = new Vector(r.id, r.data, r.timestamp, 0, r.metadata);
+            validateMetadata(vector.metadata, `导入向量 ${r.id}`);
+            coldGroups.get(window).push(vector);
+        } else {
+            hot.push(new Vector(r.id, r.data, r.timestamp, r.level ?? hnswIndex.randomLevel(), r.metadata));
+        }
+    });
+    // 写入 TOS 之前校验全部要插入 HNSW 的向量，避免冷数据已经写入而热数据插入失败
+    hnswIndex.validateInsertBatch(hot);
+
+    const outcome = { hotCount: 0, coldCount: 0, indexes: [], inserted: [], error: null };
+    try {
+        for (const [window, vectors] of coldGroups) {
+            outcome.indexes.push(await tosBucket.putVectors(vectors, window, { windowSize }));
+            outcome.coldCount += vectors.length;
+            await onProgress(outcome.coldCount, records.length);
+        }
+    } catch (e) {
+        outcome.error = e;
+        return outcome;
+    }
+
+    for (let i = 0; i < hot.length; i += batchSize) {
+        hot.slice(i, i + batchSize).forEach(vector => {
+            hnswIndex.insert(vector);
+            outcome.inserted.push(vector);
+        });
+        outcome.hotCount = Math.min(hot.length, i + batchSize);
+        await onProgress(outcome.coldCount + outcome.hotCount, records.length);
+    }
+    return outcome;
+}
+
+// 查询路由：按时间范围（windowSize 粒度的窗口闭区间 [startWindow, endWindow]）扇出到 HNSW
+// 和与范围重叠的所有 TOS 索引，合并为全局 top-K。trace 为 true 时同时返回 HNSW 的搜索过程
+// radius 不为空时为半径查询：合并两层中距离不超过 radius 的向量，maxResults 不为空时只保留最近的 maxResults 个（不记录搜索过程）
+// 返回 { results, queryPaths, searchStats, tosStats, searchTrace, metrics }
+export async function queryTiers(hnswIndex, tosBucket, queryVector, options = {}) {
+    const {
+        startWindow,
+        endWindow,
+        topK = 5,
+        radius = null,
+        maxResults = null,
+        filter = null,
+        trace = false,
+        windowSize = DEFAULT_WINDOW_SIZE
+    } = options;
+    if (filter) validateFilter(filter);
+    if (radius !== null) validateRadiusQuery(radius, maxResults);
+    const rangeEnd = endWindow + windowSize;
+    const inRange = v => v.timestamp >= startWindow && v.timestamp < rangeEnd;
+
+    const resultLists = [];
+    const queryPaths = [];
+    let searchStats = null;
+    let tosStats = null;
+    let searchTrace = null;
+
+    // 内存层：范围内有 HNSW 窗口时查询 HNSW
+    // 时间范围和元数据过滤都在图遍历中进行
+    const hnswInRange = hnswIndex.vectors.some(inRange);
+    if (hnswInRange) {
+        queryPaths.push('HNSW 索引 (内存层)');
+
+        const predicate = v => inRange(v) && matchesFilter(v.metadata, filter);
+        let hnswResults;
+        if (radius !== null) {
+            hnswResults = hnswIndex.searchRadius(queryVector, radius, { maxResults, filter: predicate });
+        } else if (trace) {
+            const traced = hnswIndex.searchWithTrace(queryVector, topK, hnswIndex.efSearch, predicate);
+            hnswResults = traced.results;
+            searchTrace = traced.trace;
+        } else {
+            hnswResults = hnswIndex.search(queryVector, topK, hnswIndex.efSearch, predicate);
+        }
+
+        resultLists.push(hnswResults.map(r => ({ ...r, source: 'HNSW' })));
+        searchStats = hnswIndex.lastSearchStats;
+    }
+
+    // 持久化层：范围内的每个 TOS 索引
+    const tosIndexes = tosBucket.listIndexesInRange(startWindow, endWindow, windowSize);
+    if (tosIndexes.length > 0) {
+        queryPaths.push(`TOS Vector Bucket (持久化层, ${tosIndexes.length} 个索引)`);
+        resultLists.push(radius === null
+            ? await tosBucket.queryVectorsInRange(queryVector, startWindow, endWindow, topK, filter, windowSize)
+            : await tosBucket.queryRadiusInRange(queryVector, startWindow, endWindow, radius, { maxResults, filter, windowSize }));
+        tosStats = tosBucket.lastQueryStats;
+    }
+
+    // 范围内索引的度量不一致时，合并排序的距离不可比，由调用方提示
+    const metrics = Array.from(new Set([hnswIndex.metric, ...tosIndexes.map(idx => idx.metric)]));
+
+    return {
+        results: mergeTopK(resultLists, radius === null ? topK : maxResults ?? Infinity),
+        queryPaths,
+        searchStats,
+        tosStats,
+        searchTrace,
+        metrics
+    };
+}
+
+// 按 id 删除向量，无论它在哪一层：先在 TOS 中所有包含该 id 的索引上记墓碑，再从 HNSW 删除并修复图结构
+// 返回 { hot, indexes, error }：hot 表示是否从 HNSW 删除，indexes 为记了墓碑（或因此被删除）的 TOS 索引名；
+// 写入 TOS 失败时通过 error 返回，HNSW 不做修改
+export async function deleteVector(hnswIndex, tosBucket, id) {
+    const outcome = { hot: false, indexes: [], error: null };
+    try {
+        outcome.indexes = (await tosBucket.deleteVectors([id])).map(idx => idx.name);
+    } catch (e) {
+        outcome.error = e;
+        return outcome;
+    }
+    outcome.hot = hnswIndex.delete(id) !== null;
+    return outcome;
+}
+
+// 按 id 写入向量（upsert）：id 已存在时先按 deleteVector 删除旧版本（无论在哪一层），再以写入时刻 timestamp
+// 插入 HNSW，之后和普通插入的向量一样按保留策略 flush 到新的 TOS 索引
+// level 不为空时按该层级插入（重放事件日志时使用），否则随机分配层级；参数无效时抛出错误，不修改任何数据
+// 返回 { vector, replaced, error }，replaced 为 deleteVector 的 { hot, indexes }；写入 TOS 失败时不插入新版本
+export async function upsertVector(hnswIndex, tosBucket, { id, data, metadata = {}, timestamp, level = null }) {
+    if (!Number.isInteger(id) || id < 0) {
+        throw new Error(`向量 id 必须是非负整数，实际为 ${id}`);
+    }
+    validateDimension(data, hnswIndex.dimension, `Upsert 向量 ${id}`);
+    validateMetadata(metadata, `Upsert 向量 ${id}`);
+    const vector = new Vector(id, data, timestamp, level ?? hnswIndex.randomLevel(), metadata);
+    // 删除旧版本之前完成 insert 的全部校验，避免旧版本已删除而新版本插入失败
+    hnswIndex.validateInsert(vector);
+
+    const { hot, indexes, error } = await deleteVector(hnswIndex, tosBucket, id);
+    if (!error) {
+        hnswIndex.insert(vector);
+    }
+    return { vector, replaced: { hot, indexes }, error };
+}
@@ -0,0 +1,544 @@
+// TOS Vector Bucket（持久化层）：按时间窗口归档的向量索引
+
+import { getMetric, validateDimension, validateRadiusQuery, mergeTopK } from './metrics.js';
+import { validateMetadata, validateFilter, matchesFilter } from './filter.js';
+import { Vector } from './vector.js';
+import { formatWindowKey, formatTimeWindow, DEFAULT_WINDOW_SIZE } from './windows.js';
+import { IndexedDBBucketStorage } from './bucket-storage.js';
+import { buildIVF, IVF_DEFAULTS } from './ivf.js';
+import {
+    trainQuantizer,
+    searchIndex,
+    validateQuantizationType,
+    serializeQuantizer,
+    deserializeQuantizer,
+    QUANTIZATION_DEFAULTS
+} from './quantization.js';
+import { TOSVectorsClient } from './tos-client.js';
+import { createRandom, deriveSeed, validateSeed } from './random.js';
+
+// HTTP 模式下使用的 vector bucket 名称
+export const TOS_HTTP_BUCKET_NAME = 'hnsw-demo';
+
+// HTTP 模式下每次 PutVectors 请求写入的向量数
+const PUT_VECTORS_BATCH_SIZE = 500;
+
+// HTTP 模式下每次 ListVectors 请求读取的向量数
+const LIST_VECTORS_PAGE_SIZE = 500;
+
+// 合并历史最多保留的条数
+const COMPACTION_HISTORY_LIMIT = 50;
+
+// 持久化记录：向量只保存数据字段，不含 HNSW 的邻居；量化编码保存为 base64
+function toStorageRecord(index) {
+    return {
+        ...index,
+        quantization: serializeQuantizer(index.quantization),
+        vectors: index.vectors.map(v => ({
+            id: v.id,
+            data: v.data,
+            timestamp: v.timestamp,
+            level: v.level,
+            metadata: v.metadata
+        }))
+    };
+}
+
+// 合并索引的历史记录：目标索引及其直接来源
+function describeCompaction(index) {
+    return {
+        time: index.compactedAt,
+        level: index.level,
+        indexName: index.name,
+        windowStart: index.windowStart,
+        windowSize: index.windowSize,
+        vectorCount: index.vectorCount,
+        sources: index.compactedFrom
+    };
+}
+
+export class TOSVectorBucket {
+    constructor(options = {}) {
+        this.metric = options.metric || 'l2'; // 新建索引的默认距离度量
+        getMetric(this.metric);
+        this.dimension = options.dimension || 4; // Bucket 内所有索引的向量维度
+        this.storage = options.storage || null; // 持久化后端，为空时只保存在内存中
+        this.client = options.client || null; // HTTP 客户端模式：索引和向量都保存在服务端
+        this.bucketName = options.bucketName || TOS_HTTP_BUCKET_NAME; // HTTP 模式下的 vector bucket 名称
+        this.indexes = []; // 存储多个时间戳索引（持久化后端的内存副本；HTTP 模式下只有索引信息和向量 id 列表 ids，vectors 为 null）
+        this.compactionHistory = []; // 合并记录（从旧到新），加载时由现有的合并索引恢复
+        this.nprobe = options.nprobe || IVF_DEFAULTS.nprobe; // IVF 查询探测的簇数
+        this.exactSearch = options.exactSearch || false; // 为 true 时忽略 IVF 和量化编码，精确扫描全部原始向量
+        this.quantization = options.quantization || 'none'; // 新建索引的量化方式（none / int8 / pq）
+        validateQuantizationType(this.quantization);
+        this.rerankFactor = options.rerankFactor || QUANTIZATION_DEFAULTS.rerankFactor; // 量化索引重排的候选集为 k 的倍数
+        this.seed = options.seed ?? 0; // 每个索引的 IVF / PQ 训练使用由 seed 和索引名派生的随机序列，结果可复现
+        validateSeed(this.seed);
+        this.lastQueryStats = null; // 最近一次查询的统计
+    }
+
+    // 存储后端相关的构造参数，用于以相同后端重建 Bucket
+    getBackendOptions() {
+        return { storage: this.storage, client: this.client, bucketName: this.bucketName };
+    }
+
+    // 索引构建和查询相关的构造参数，重建 Bucket 时保持不变
+    getIndexOptions() {
+        return {
+            nprobe: this.nprobe,
+            exactSearch: this.exactSearch,
+            quantization: this.quantization,
+            rerankFactor: this.rerankFactor,
+            seed: this.seed
+        };
+    }
+
+    // 从持久化后端（或服务端）恢复索引
+    async load() {
+        if (this.client) {
+            await this.loadFromClient();
+            return;
+        }
+        if (!this.storage) return;
+
+        const records = await this.storage.loadIndexes();
+        const dimensions = new Set(records.map(r => r.dimension));
+        if (dimensions.size > 1) {
+            throw new Error(`存储中的索引维度不一致: ${Array.from(dimensions).join(', ')}`);
+        }
+        if (dimensions.size === 1) {
+            this.dimension = records[0].dimension;
+        }
+
+        this.indexes = records
+            .map(record => ({
+                ...record,
+                windowSize: record.windowSize || DEFAULT_WINDOW_SIZE,
+                level: record.level || 0,
+                // 旧版本保存的索引没有 IVF，加载时补建
+                ann: record.ann !== undefined
+                    ? record.ann
+                    : buildIVF(record.vectors.map(v => v.data), getMetric(record.metric).distance, { random: createRandom(deriveSeed(this.seed, record.name)) }),
+                quantization: deserializeQuantizer(record.quantization),
+                tombstones: record.tombstones || [],
+                vectors: record.vectors.map(v => new Vector(v.id, v.data, v.timestamp, v.level, v.metadata || {}))
+            }))
+            .sort((a, b) => a.windowStart - b.windowStart);
+        this.restoreCompactionHistory();
+    }
+
+    // HTTP 模式：确保 vector bucket 存在，并列出服务端的索引
+    async loadFromClient() {
+        try {
+            await this.client.createVectorBucket(this.bucketName);
+        } catch (e) {
+            if (e.code !== 'ConflictException') throw e;
+        }
+
+        const { indexes } = await this.client.listIndexes(this.bucketName);
+        const dimensions = new Set(indexes.map(idx => idx.dimension));
+        if (dimensions.size > 1) {
+            throw new Error(`服务端索引维度不一致: ${Array.from(dimensions).join(', ')}`);
+        }
+        if (dimensions.size === 1) {
+            this.dimension = indexes[0].dimension;
+        }
+
+        this.indexes = indexes.map(idx => ({
+            name: idx.indexName,
+            windowStart: idx.windowStart,
+            windowSize: idx.windowSize || DEFAULT_WINDOW_SIZE,
+            level: idx.level || 0,
+            ann: idx.ann || null,
+            quantization: idx.quantization || null,
+            tombstones: (idx.tombstones || []).map(Number),
+            compactedFrom: idx.compactedFrom || null,
+            compactedAt: idx.compactedAt || null,
+            metric: idx.distanceMetric,
+            dimension: idx.dimension,
+            vectors: null,
+            vectorCount: idx.vectorCount
+        }));
+        // 记录每个索引中未删除的向量 id，按 id 删除时只请求包含该 id 的索引
+        for (const index of this.indexes) {
+            index.ids = (await this.listServerVectors(index.name)).map(v => Number(v.key));
+        }
+        this.restoreCompactionHistory();
+    }
+
+    // 由现有的合并索引恢复合并历史（已被更高层合并掉的记录不再保留）
+    restoreCompactionHistory() {
+        this.compactionHistory = this.indexes
+            .filter(idx => idx.compactedFrom)
+            .map(describeCompaction)
+            .sort((a, b) => a.time - b.time)
+            .slice(-COMPACTION_HISTORY_LIMIT);
+    }
+
+    // 合并历史（最新的在前）
+    getCompactionHistory() {
+        return [...this.compactionHistory].reverse();
+    }
+
+    // 清空 Bucket（包括持久化后端）
+    async clear() {
+        const indexes = this.indexes;
+        this.indexes = [];
+        this.compactionHistory = [];
+        if (this.client) {
+            for (const idx of indexes) {
+                await this.client.deleteIndex(this.bucketName, idx.name);
+            }
+        }
+        if (this.storage) {
+            await this.storage.clear();
+        }
+    }
+
+    // 列出所有索引（按时间窗口排序）
+    listIndexes() {
+        return [...this.indexes].sort((a, b) => a.windowStart - b.windowStart);
+    }
+
+    // 创建新的索引并写入向量（putVectors）- 基于时间窗口
+    // 归档的是向量的副本，不携带 HNSW 图中的邻居引用；写入时构建 IVF 并按 quantization 训练量化编码
+    // （HTTP 模式下由服务端构建，分批写入失败时删除服务端的索引）。每次写入都创建新索引，已有索引上的墓碑不会影响新写入的向量
+    // options.windowSize 为窗口粒度，索引覆盖 [windowStart, windowStart + windowSize)
+    // options.level / compactedFrom / compactedAt 由合并写入，flush 产生的索引 level 为 0
+    async putVectors(vectors, windowStart, options = {}) {
+        const metric = options.metric || this.metric;
+        const windowSize = options.windowSize || DEFAULT_WINDOW_SIZE;
+        const level = options.level || 0;
+        getMetric(metric);
+        vectors.forEach(v => {
+            validateDimension(v.data, this.dimension, `putVectors 向量 ${v.id}`);
+            validateMetadata(v.metadata, `putVectors 向量 ${v.id}`);
+        });
+
+        // 索引名包含日期，持久化后跨天也不会重名
+        const baseName = level > 0
+            ? `index_L${level}_${formatWindowKey(windowStart)}`
+            : `index_${formatWindowKey(windowStart)}`;
+        let indexName = baseName;
+        for (let i = 2; this.indexes.some(idx => idx.name === indexName); i++) {
+            indexName = `${baseName}_${i}`;
+        }
+
+        const index = {
+            name: indexName,
+            windowStart: windowStart,
+            windowSize: windowSize,
+            level: level,
+            compactedFrom: options.compactedFrom || null,
+            compactedAt: options.compactedAt || null,
+            metric: metric,
+            dimension: this.dimension,
+            vectors: vectors.map(v => new Vector(v.id, v.data, v.timestamp, v.level, v.metadata)),
+            vectorCount: vectors.length,
+            ann: null,
+            quantization: null,
+            tombstones: [] // 已删除（或已被 upsert 替换）的向量 id，见 deleteVectors
+        };
+
+        if (this.client) {
+            await this.client.createIndex(this.bucketName, {
+                indexName,
+                dimension: this.dimension,
+                distanceMetric: metric,
+                windowStart,
+                windowSize,
+                level,
+                quantization: this.quantization,
+                seed: deriveSeed(this.seed, indexName),
+                compactedFrom: index.compactedFrom,
+                compactedAt: index.compactedAt
+            });
+            const records = index.vectors.map(v => ({
+                key: String(v.id),
+                data: { float32: v.data },
+                metadata: { ...v.metadata, timestamp: v.timestamp, level: v.level }
+            }));
+            try {
+                // 只在最后一批写入后训练 IVF 和量化编码，避免每一批都按已写入的全部向量重新训练
+                for (let i = 0; i < records.length; i += PUT_VECTORS_BATCH_SIZE) {
+                    const batch = records.slice(i, i + PUT_VECTORS_BATCH_SIZE);
+                    const train = i + PUT_VECTORS_BATCH_SIZE >= records.length;
+                    const response = await this.client.putVectors(this.bucketName, indexName, batch, { train });
+                    index.ann = response.ann || null;
+                    index.quantization = response.quantization || null;
+                }
+            } catch (e) {
+                // 分批写入中途失败时删除服务端只写了一部分的索引，否则下次用同一索引名写入会返回 ConflictException
+                try {
+                    await this.client.deleteIndex(this.bucketName, indexName);
+                } catch (cleanupError) {
+                    console.warn(`删除写入失败的索引 ${indexName} 失败:`, cleanupError);
+                }
+                throw e;
+            }
+            index.ids = index.vectors.map(v => v.id);
+            index.vectors = null;
+        } else {
+            const data = index.vectors.map(v => v.data);
+            const random = createRandom(deriveSeed(this.seed, indexName));
+            index.ann = buildIVF(data, getMetric(metric).distance, { random });
+            index.quantization = trainQuantizer(this.quantization, data, { metric, distance: getMetric(metric).distance, random });
+        }
+
+        if (this.storage) {
+            await this.storage.saveIndex(toStorageRecord(index));
+        }
+
+        this.indexes.push(index);
+        return index;
+    }
+
+    // 本地索引中未被删除的向量（HTTP 模式下向量保存在服务端，返回空数组）
+    getLiveVectors(index) {
+        if (!index.vectors) return [];
+        if (index.tombstones.length === 0) return index.vectors;
+        const tombstones = new Set(index.tombstones);
+        return index.vectors.filter(v => !tombstones.has(v.id));
+    }
+
+    // 读取索引中未被删除的全部向量（HTTP 模式下分页从服务端读取，服务端跳过已删除的向量）
+    async getIndexVectors(index) {
+        if (!this.client) return this.getLiveVectors(index);
+
+        const vectors = await this.listServerVectors(index.name, { returnData: true, returnMetadata: true });
+        return vectors.map(v => {
+            const { timestamp, level, ...metadata } = v.metadata;
+            return new Vector(Number(v.key), v.data.float32, timestamp, level, metadata);
+        });
+    }
+
+    // HTTP 模式：分页读取服务端索引中未被删除的全部向量（ListVectors 的原始结果）
+    async listServerVectors(indexName, options = {}) {
+        const vectors = [];
+        let nextToken;
+        do {
+            const page = await this.client.listVectors(this.bucketName, indexName, {
+                maxResults: LIST_VECTORS_PAGE_SIZE,
+                nextToken,
+                ...options
+            });
+            vectors.push(...page.vectors);
+            nextToken = page.nextToken;
+        } while (nextToken);
+        return vectors;
+    }
+
+    // 删除单个索引（包括持久化后端）
+    async deleteIndex(name) {
+        if (!this.indexes.some(idx => idx.name === name)) {
+            throw new Error(`索引不存在: ${name}`);
+        }
+        if (this.client) {
+            await this.client.deleteIndex(this.bucketName, name);
+        }
+        if (this.storage) {
+            await this.storage.deleteIndex(name);
+        }
+        this.indexes = this.indexes.filter(idx => idx.name !== name);
+    }
+
+    // 按 id 删除归档的向量：在包含这些向量的索引上记录墓碑（tombstones），查询、导出和合并都跳过墓碑中的向量，
+    // 合并时它们不写入新索引；索引中的向量全部被删除时直接删除该索引
+    // HTTP 模式下按本地记录的 ids 找出包含这些向量的索引，只对它们调用 DeleteVectors，由服务端记录墓碑
+    // 返回 [{ name, ids }]：受影响的索引及其中被删除的 id
+    async deleteVectors(ids) {
+        const idSet = new Set(ids);
+        const affected = [];
+        for (const index of this.listIndexes()) {
+            let deleted;
+            if (this.client) {
+                const tombstones = new Set(index.tombstones);
+                const held = index.ids.filter(id => idSet.has(id) && !tombstones.has(id));
+                if (held.length === 0) continue;
+                const response = await this.client.deleteVectors(this.bucketName, index.name, held.map(String));
+                deleted = response.deletedKeys.map(Number);
+            } else {
+                deleted = this.getLiveVectors(index).filter(v => idSet.has(v.id)).map(v => v.id);
+            }
+            if (deleted.length === 0) continue;
+
+            index.tombstones = [...index.tombstones, ...deleted];
+            affected.push({ name: index.name, ids: deleted });
+            if (index.tombstones.length >= index.vectorCount) {
+                await this.deleteIndex(index.name);
+            } else if (this.storage) {
+                await this.storage.saveIndex(toStorageRecord(index));
+            }
+        }
+        return affected;
+    }
+
+    // 把多个索引合并为一个 level 层的索引：新索引覆盖所有源索引的时间范围并记录来源，源索引墓碑中的向量被丢弃
+    // 先写入新索引再删除源索引，删除中途失败时最多出现重复数据，不会丢数据
+    async compactIndexes(sources, { level, now = Date.now() }) {
+        if (sources.length < 2) {
+            throw new Error('合并至少需要两个索引');
+        }
+        const metrics = new Set(sources.map(idx => idx.metric));
+        if (metrics.size > 1) {
+            throw new Error(`不能合并度量不同的索引: ${Array.from(metrics).join(', ')}`);
+        }
+
+        const vectors = [];
+        for (const idx of sources) {
+            vectors.push(...await this.getIndexVectors(idx));
+        }
+        vectors.sort((a, b) => a.timestamp - b.timestamp);
+
+        const windowStart = Math.min(...sources.map(idx => idx.windowStart));
+        const windowEnd = Math.max(...sources.map(idx => idx.windowStart + idx.windowSize));
+        const index = await this.putVectors(vectors, windowStart, {
+            metric: sources[0].metric,
+            windowSize: windowEnd - windowStart,
+            level,
+            compactedAt: now,
+            compactedFrom: sources.map(idx => ({
+                name: idx.name,
+                level: idx.level || 0,
+                windowStart: idx.windowStart,
+                windowSize: idx.windowSize,
+                vectorCount: idx.vectorCount
+            }))
+        });
+
+        for (const idx of sources) {
+            await this.deleteIndex(idx.name);
+        }
+
+        this.compactionHistory.push(describeCompaction(index));
+        if (this.compactionHistory.length > COMPACTION_HISTORY_LIMIT) {
+            this.compactionHistory.shift();
+        }
+        return index;
+    }
+
+    // 列出与时间范围重叠的索引。范围为 windowSize 粒度的窗口闭区间 [startWindow, endWindow]，
+    // 即时间区间 [startWindow, endWindow + windowSize)；索引的粒度可以与查询的粒度不同
+    listIndexesInRange(startWindow, endWindow, windowSize = DEFAULT_WINDOW_SIZE) {
+        const rangeEnd = endWindow + windowSize;
+        return this.indexes
+            .filter(idx => idx.windowStart < rangeEnd && idx.windowStart + idx.windowSize > startWindow)
+            .sort((a, b) => a.windowStart - b.windowStart);
+    }
+
+    // 跨多个索引查询 - 每个索引取 top-k 后合并为全局 top-k
+    // 索引只有部分落在范围内时，按时间戳过滤掉范围外的向量
+    // radius 不为空时为半径查询：每个索引返回距离不超过 radius 的向量，k 为最大结果数（为空时不限）
+    async queryVectorsInRange(query, startWindow, endWindow, k = 5, filter = null, windowSize = DEFAULT_WINDOW_SIZE, radius = null) {
+        validateDimension(query.data, this.dimension, 'TOS 查询');
+        if (filter) validateFilter(filter);
+        if (radius !== null) validateRadiusQuery(radius, k);
+        const timeRange = { start: startWindow, end: endWindow + windowSize };
+        const indexes = this.listIndexesInRange(startWindow, endWindow, windowSize);
+        this.lastQueryStats = {
+            indexCount: indexes.length,
+            annIndexCount: 0,
+            quantizedIndexCount: 0,
+            vectorCount: indexes.reduce((sum, idx) => sum + idx.vectorCount - idx.tombstones.length, 0),
+            distanceComputations: 0
+        };
+        const perIndexResults = await Promise.all(
+            indexes.map(idx => {
+                const covered = idx.windowStart >= timeRange.start && idx.windowStart + idx.windowSize <= timeRange.end;
+                return this.queryIndex(idx, query, k, filter, covered ? null : timeRange, radius);
+            })
+        );
+        return mergeTopK(perIndexResults, k ?? Infinity);
+    }
+
+    // 半径查询：范围内所有索引中距离不超过 radius 的向量（按距离升序），maxResults 不为空时只保留最近的 maxResults 个
+    queryRadiusInRange(query, startWindow, endWindow, radius, { maxResults = null, filter = null, windowSize = DEFAULT_WINDOW_SIZE } = {}) {
+        return this.queryVectorsInRange(query, startWindow, endWindow, maxResults, filter, windowSize, radius);
+    }
+
+    // 查询向量（queryVectors）- 基于时间窗口，窗口内有多个索引（或窗口已被合并进更大的索引）时合并结果
+    // filter 为元数据过滤条件（语法同 HNSWIndex.search）
+    async queryVectors(query, targetWindow, k = 5, filter = null, windowSize = DEFAULT_WINDOW_SIZE) {
+        if (this.listIndexesInRange(targetWindow, targetWindow, windowSize).length === 0) {
+            validateDimension(query.data, this.dimension, 'TOS 查询');
+            console.log(`未找到时间窗口 ${formatTimeWindow(targetWindow, windowSize)} 的索引`);
+            return [];
+        }
+        return this.queryVectorsInRange(query, targetWindow, targetWindow, k, filter, windowSize);
+    }
+
+    // 在单个索引内查询 top-k，结果标注来源索引，不返回墓碑中的向量
+    // timeRange 为 { start, end } 时只返回时间戳在 [start, end) 内的向量
+    // 未开启 exactSearch 时使用索引的 IVF 和量化编码，本地模式与服务端的 QueryVectors 同样由 searchIndex 查询
+    // radius 不为空时返回距离不超过 radius 的向量，k 为最大结果数（为空时不限）
+    async queryIndex(index, query, k, filter = null, timeRange = null, radius = null) {
+        const metric = getMetric(index.metric);
+        const useANN = Boolean(index.ann) && !this.exactSearch;
+        const useCodes = Boolean(index.quantization) && !this.exactSearch;
+        let results;
+        let distanceComputations;
+
+        if (this.client) {
+            // 服务端把 timestamp 保存在元数据中，时间范围可以直接作为元数据过滤条件
+            const serverFilter = timeRange
+                ? { ...filter, timestamp: { $gte: timeRange.start, $lt: timeRange.end } }
+                : filter;
+            const response = await this.client.queryVectors(this.bucketName, index.name, query.data, k ?? undefined, {
+                filter: serverFilter || undefined,
+                radius: radius ?? undefined,
+                nprobe: this.nprobe,
+                exact: this.exactSearch,
+                rerankFactor: this.rerankFactor,
+                returnDistance: true,
+                returnData: true,
+                returnMetadata: true
+            });
+            distanceComputations = response.distanceComputations || 0;
+            results = response.vectors.map(v => {
+                const { timestamp, level, ...metadata } = v.metadata;
+                return {
+                    vector: new Vector(Number(v.key), v.data.float32, timestamp, level, metadata),
+                    distance: v.distance
+                };
+            });
+        } else {
+            const tombstones = new Set(index.tombstones);
+            const inTimeRange = v => !timeRange || (v.timestamp >= timeRange.start && v.timestamp < timeRange.end);
+            const accept = v => !tombstones.has(v.id) && inTimeRange(v) && matchesFilter(v.metadata, filter);
+            const search = searchIndex(query.data, {
+                count: index.vectors.length,
+                getData: p => index.vectors[p].data,
+                ivf: useANN ? index.ann : null,
+                quantizer: useCodes ? index.quantization : null,
+                metric: index.metric,
+                distance: metric.distance
+            }, { k, radius, nprobe: this.nprobe, rerankFactor: this.rerankFactor, accept: p => accept(index.vectors[p]) });
+            distanceComputations = search.distanceComputations;
+            results = search.hits.map(hit => ({ vector: index.vectors[hit.position], distance: hit.distance }));
+        }
+
+        if (this.lastQueryStats) {
+            this.lastQueryStats.distanceComputations += distanceComputations;
+            if (useANN) this.lastQueryStats.annIndexCount++;
+            if (useCodes) this.lastQueryStats.quantizedIndexCount++;
+        }
+
+        return results.map(r => ({
+            ...r,
+            score: metric.toScore(r.distance),
+            source: 'TOS',
+            indexName: index.name
+        }));
+    }
+}
+
+// 按后端类型创建 TOS Bucket：'http' 走 api/ 下的 TOS Vectors 替身，其余使用浏览器 IndexedDB
+export function createTOSBucket(backend, options = {}) {
+    if (backend === 'http') {
+        return new TOSVectorBucket({ ...options, client: new TOSVectorsClient(), bucketName: TOS_HTTP_BUCKET_NAME });
+    }
+    return new TOSVectorBucket({
+        ...options,
+        storage: IndexedDBBucketStorage.isAvailable() ? new IndexedDBBucketStorage() : null
+    });
+}
@@ -0,0 +1,72 @@
+// TOS Vectors HTTP 客户端，对应 api/ 下的 Vercel 路由（POST JSON，错误格式 { error: { code, message } }）
+export class TOSVectorsClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '/api';
+    }
+
+    async request(action, body = {}) {
+        const response = await fetch(`${this.baseUrl}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(`${action} 失败: ${result.error ? result.error.message : `HTTP ${response.status}`}`);
+            error.code = result.error ? result.error.code : null;
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    createVectorBucket(vectorBucketName) {
+        return this.request('CreateVectorBucket', { vectorBucketName });
+    }
+
+    listVectorBuckets() {
+        return this.request('ListVectorBuckets');
+    }
+
+    deleteVectorBucket(vectorBucketName) {
+        return this.request('DeleteVectorBucket', { vectorBucketName });
+    }
+
+    createIndex(vectorBucketName, params) {
+        return this.request('CreateIndex', { vectorBucketName, ...params });
+    }
+
+    listIndexes(vectorBucketName) {
+        return this.request('ListIndexes', { vectorBucketName });
+    }
+
+    deleteIndex(vectorBucketName, indexName) {
+        return this.request('DeleteIndex', { vectorBucketName, indexName });
+    }
+
+    putVectors(vectorBucketName, indexName, vectors, options = {}) {
+        return this.request('PutVectors', { vectorBucketName, indexName, vectors, ...options });
+    }
+
+    listVectors(vectorBucketName, indexName, options = {}) {
+        return this.request('ListVectors', { vectorBucketName, indexName, ...options });
+    }
+
+    getVectors(vectorBucketName, indexName, keys, options = {}) {
+        return this.request('GetVectors', { vectorBucketName, indexName, keys, ...options });
+    }
+
+    deleteVectors(vectorBucketName, indexName, keys) {
+        return this.request('DeleteVectors', { vectorBucketName, indexName, keys });
+    }
+
+    queryVectors(vectorBucketName, indexName, queryVector, topK, options = {}) {
+        return this.request('QueryVectors', {
+            vectorBucketName,
+            indexName,
+            queryVector: { float32: queryVector },
+            topK,
+            ...options
+        });
+    }
+}
@@ -0,0 +1,25 @@
+// 向量记录：数据、时间戳、HNSW 层级、元数据和每层的邻居
+
+import { getMetric } from './metrics.js';
+
+export class Vector {
+    constructor(id, data, timestamp, level = 0, metadata = {}) {
+        this.id = id;
+        this.data = data; // 向量数据（维度由所属索引决定）
+        this.timestamp = timestamp;
+        this.level = level; // 节点所在的最高层级
+        this.metadata = metadata; // 任意键值元数据，如 tenant / source / tags
+        this.slot = -1; // 在所属 HNSW 索引中的槽位，用于访问标记
+        this.neighbors = {}; // 每层的邻居节点 { layer: [neighbors] }
+
+        // 初始化每一层的邻居数组
+        for (let i = 0; i <= level; i++) {
+            this.neighbors[i] = [];
+        }
+    }
+
+    // 按指定度量计算与另一个向量的距离（默认欧氏距离）
+    distance(other, metric = 'l2') {
+        return getMetric(metric).distance(this.data, other.data);
+    }
+}
@@ -0,0 +1,55 @@
+// 时间窗口的计算和格式化
+
+const MINUTE = 60000;
+export const HOUR = 60 * MINUTE;
+export const DAY = 24 * HOUR;
+
+// 默认窗口粒度：1 分钟
+export const DEFAULT_WINDOW_SIZE = MINUTE;
+
+// 可选的窗口粒度（毫秒）
+export const WINDOW_SIZES = [
+    { value: MINUTE, label: '1 分钟' },
+    { value: 5 * MINUTE, label: '5 分钟' },
+    { value: 15 * MINUTE, label: '15 分钟' },
+    { value: HOUR, label: '1 小时' },
+    { value: DAY, label: '1 天' }
+];
+
+// 窗口粒度必须是整分钟，且能整除一天，这样窗口边界总是对齐到本地时间的整点/零点
+export function validateWindowSize(windowSize) {
+    if (!Number.isInteger(windowSize) || windowSize < MINUTE || windowSize % MINUTE !== 0 || DAY % windowSize !== 0) {
+        throw new Error(`无效的时间窗口粒度: ${windowSize}ms（必须是能整除一天的整分钟数）`);
+    }
+}
+
+// 获取时间戳所属的时间窗口（按本地时间对齐，左闭右开）
+export function getTimeWindow(timestamp, windowSize = DEFAULT_WINDOW_SIZE) {
+    const offset = new Date(timestamp).getTimezoneOffset() * MINUTE;
+    const local = timestamp - offset;
+    return local - (((local % windowSize) + windowSize) % windowSize) + offset;
+}
+
+// 时间窗口的唯一标识，如 20260105-10-30（本地时间）
+export function formatWindowKey(windowStart) {
+    const date = new Date(windowStart);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}`;
+}
+
+// 格式化时间窗口显示：按天的窗口显示日期，其余显示时分
+export function formatTimeWindow(windowStart, windowSize = DEFAULT_WINDOW_SIZE) {
+    const date = new Date(windowStart);
+    if (windowSize >= DAY) {
+        return date.toLocaleDateString('zh-CN', { month: '2-digit', day: '2-digit' });
+    }
+    return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+}
+
+// 格式化时长，如 "5 分钟"、"1 小时"、"1 天"
+export function formatDuration(ms) {
+    if (ms >= DAY && ms % DAY === 0) return `${ms / DAY} 天`;
+    if (ms >= HOUR && ms % HOUR === 0) return `${ms / HOUR} 小时`;
+    if (ms >= MINUTE && ms % MINUTE === 0) return `${ms / MINUTE} 分钟`;
+    return `${Math.round(ms / 1000)} 秒`;
+}
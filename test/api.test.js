@@ -0,0 +1,366 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { TOSVectorsClient } from '../public/engine/tos-client.js';
+import { upsertVector } from '../public/engine/tiered-store.js';
+import { Vector } from '../public/engine/vector.js';
+import { createRandom, randomData } from './helpers.js';
+
+// api/_lib/store.js 在加载时读取 TOS_DATA_DIR，路由模块都在设置之后按需导入
+const dataDir = mkdtempSync(join(tmpdir(), 'tos-api-test-'));
+process.env.TOS_DATA_DIR = dataDir;
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+const WINDOW = 60000;
+const DIMENSION = 4;
+
+// 把 TOSVectorsClient 的 fetch 转发给 api/ 下对应的路由处理函数
+globalThis.fetch = async (url, options) => {
+    const action = url.split('/').pop();
+    const { default: handler } = await import(`../api/${action}.js`);
+    const res = {
+        statusCode: 200,
+        body: '',
+        setHeader() {},
+        end(body) {
+            this.body = body;
+        }
+    };
+    await handler({ method: options.method, body: options.body }, res);
+    return {
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(res.body)
+    };
+};
+
+let bucketCount = 0;
+
+// 每个测试使用独立的 vector bucket，互不影响
+function createBuckets(options = {}) {
+    const bucketName = `test-bucket-${++bucketCount}`;
+    const http = new TOSVectorBucket({ dimension: DIMENSION, seed: 7, ...options, client: new TOSVectorsClient(), bucketName });
+    const local = new TOSVectorBucket({ dimension: DIMENSION, seed: 7, ...options });
+    return { http, local, bucketName };
+}
+
+function makeVectors(windowStart, count, startId = 0, seed = 1) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, (_, i) =>
+        new Vector(startId + i, randomData(random, DIMENSION), windowStart + i, 0, { tenant: i % 2 === 0 ? 'a' : 'b' }));
+}
+
+const ids = results => results.map(r => r.vector.id);
+
+test('HTTP 模式的 putVectors 和查询与本地模式结果一致', async () => {
+    const { http, local } = createBuckets();
+    await http.load();
+    const vectors = makeVectors(WINDOW, 600);
+    const remote = await http.putVectors(vectors, WINDOW);
+    await local.putVectors(vectors, WINDOW);
+
+    assert.equal(remote.vectors, null);
+    assert.equal(remote.vectorCount, 600);
+    assert.ok(remote.ann, '服务端构建的 IVF 摘要随响应返回');
+
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+    for (const exactSearch of [true, false]) {
+        http.exactSearch = exactSearch;
+        local.exactSearch = exactSearch;
+        const expected = await local.queryVectors(query, WINDOW, 10);
+        const results = await http.queryVectors(query, WINDOW, 10);
+        assert.deepEqual(ids(results), ids(expected));
+        results.forEach((r, i) => assert.ok(Math.abs(r.distance - expected[i].distance) < 1e-9));
+        assert.equal(http.lastQueryStats.distanceComputations, local.lastQueryStats.distanceComputations);
+    }
+
+    const filtered = await http.queryVectors(query, WINDOW, 5, { tenant: 'b' });
+    assert.equal(filtered.length, 5);
+    filtered.forEach(r => assert.equal(r.vector.metadata.tenant, 'b'));
+
+    const radius = await http.queryRadiusInRange(query, WINDOW, WINDOW, 0.3);
+    assert.deepEqual(ids(radius), ids(await local.queryRadiusInRange(query, WINDOW, WINDOW, 0.3)));
+});
+
+test('HTTP 模式分批写入时只在最后一批训练 IVF 和量化编码', async () => {
+    const { http, local, bucketName } = createBuckets({ quantization: 'int8' });
+    await http.load();
+    const putVectors = http.client.putVectors.bind(http.client);
+    const trainFlags = [];
+    http.client.putVectors = (bucket, indexName, batch, options) => {
+        trainFlags.push(options.train);
+        return putVectors(bucket, indexName, batch, options);
+    };
+    const vectors = makeVectors(WINDOW, 1200);
+    const remote = await http.putVectors(vectors, WINDOW);
+    const expectedIndex = await local.putVectors(vectors, WINDOW);
+    assert.deepEqual(trainFlags, [false, false, true]);
+    assert.deepEqual(remote.ann, { type: expectedIndex.ann.type, nlist: expectedIndex.ann.nlist });
+    assert.equal(remote.quantization.type, 'int8');
+
+    const query = new Vector(-1, [0.7, 0.1, 0.4, 0.3], 0);
+    assert.deepEqual(ids(await http.queryVectors(query, WINDOW, 10)), ids(await local.queryVectors(query, WINDOW, 10)));
+
+    // train 为 false 的写入使旧的 IVF 和量化编码失效，查询退回精确扫描
+    const response = await http.client.putVectors(bucketName, remote.name, [
+        { key: '5000', data: { float32: [0.7, 0.1, 0.4, 0.3] }, metadata: { timestamp: WINDOW, level: 0 } }
+    ], { train: false });
+    assert.deepEqual(response, { ann: null, quantization: null });
+    const { vectors: hits } = await http.client.queryVectors(bucketName, remote.name, query.data, 1);
+    assert.equal(hits[0].key, '5000');
+    await assert.rejects(
+        http.client.putVectors(bucketName, remote.name, [], { train: 'no' }),
+        e => e.code === 'ValidationException' && e.status === 400
+    );
+});
+
+test('HTTP 模式的量化索引在服务端保存编码，查询结果与本地模式一致', async () => {
+    for (const quantization of ['int8', 'pq']) {
+        const { http, local, bucketName } = createBuckets({ quantization });
+        await http.load();
+        const vectors = makeVectors(WINDOW, 300);
+        const remote = await http.putVectors(vectors, WINDOW);
+        const expectedIndex = await local.putVectors(vectors, WINDOW);
+        assert.equal(remote.quantization.type, quantization);
+        assert.equal(remote.quantization.compressionRatio, expectedIndex.quantization.compressionRatio);
+        const saved = JSON.parse(readFileSync(join(dataDir, bucketName, `${remote.name}.json`), 'utf8'));
+        assert.equal(typeof saved.quantizer.codes, 'string');
+
+        const query = new Vector(-1, [0.2, 0.4, 0.6, 0.8], 0);
+        const expected = await local.queryVectors(query, WINDOW, 10);
+        const results = await http.queryVectors(query, WINDOW, 10);
+        assert.equal(http.lastQueryStats.quantizedIndexCount, 1);
+        assert.deepEqual(ids(results), ids(expected));
+        const radius = await http.queryRadiusInRange(query, WINDOW, WINDOW, 0.4);
+        assert.deepEqual(ids(radius), ids(await local.queryRadiusInRange(query, WINDOW, WINDOW, 0.4)));
+    }
+});
+
+test('HTTP 模式的路由校验错误以 ValidationException 返回', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const index = await http.putVectors(makeVectors(WINDOW, 3), WINDOW);
+
+    await assert.rejects(
+        http.client.queryVectors(bucketName, index.name, [1, 2], 3),
+        e => e.code === 'ValidationException' && e.status === 400
+    );
+    await assert.rejects(
+        http.client.queryVectors(bucketName, index.name, [0, 0, 0, 0], 3, { filter: { tenant: { $regex: 'a' } } }),
+        e => e.code === 'ValidationException' && e.status === 400
+    );
+    await assert.rejects(
+        http.client.queryVectors(bucketName, 'missing', [0, 0, 0, 0], 3),
+        e => e.code === 'NotFoundException'
+    );
+    await assert.rejects(
+        http.client.createIndex(bucketName, { indexName: 'bad-metric', dimension: DIMENSION, distanceMetric: 'hamming' }),
+        e => e.code === 'ValidationException' && /不支持的距离度量/.test(e.message)
+    );
+    // keys 不是字符串数组时返回 400，而不是按字符匹配或抛出内部错误
+    for (const keys of ['012', 3, [0, 1]]) {
+        for (const action of ['getVectors', 'deleteVectors']) {
+            await assert.rejects(
+                http.client[action](bucketName, index.name, keys),
+                e => e.code === 'ValidationException' && e.status === 400 && /keys/.test(e.message)
+            );
+        }
+    }
+    assert.deepEqual((await http.client.getVectors(bucketName, index.name, ['0', '2'])).vectors.map(v => v.key), ['0', '2']);
+});
+
+test('HTTP 模式的 load 从服务端恢复索引列表', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    await http.putVectors(makeVectors(WINDOW, 5), WINDOW);
+    await http.putVectors(makeVectors(2 * WINDOW, 3, 10), 2 * WINDOW);
+
+    const reloaded = new TOSVectorBucket({ dimension: 2, client: new TOSVectorsClient(), bucketName });
+    await reloaded.load();
+    assert.equal(reloaded.dimension, DIMENSION);
+    assert.deepEqual(
+        reloaded.listIndexes().map(idx => [idx.windowStart, idx.vectorCount]),
+        [[WINDOW, 5], [2 * WINDOW, 3]]
+    );
+    const results = await reloaded.queryVectorsInRange(new Vector(-1, [0, 0, 0, 0], 0), WINDOW, 2 * WINDOW, 8);
+    assert.deepEqual(ids(results).sort((a, b) => a - b), [0, 1, 2, 3, 4, 10, 11, 12]);
+});
+
+test('HTTP 模式的 compactIndexes 在服务端写入合并索引并删除源索引', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const first = await http.putVectors(makeVectors(WINDOW, 4), WINDOW);
+    const second = await http.putVectors(makeVectors(2 * WINDOW, 3, 10), 2 * WINDOW);
+
+    const merged = await http.compactIndexes([first, second], { level: 1, now: 5 * WINDOW });
+    assert.equal(merged.vectorCount, 7);
+    assert.equal(merged.windowSize, 2 * WINDOW);
+
+    const { indexes } = await http.client.listIndexes(bucketName);
+    assert.deepEqual(indexes.map(idx => idx.indexName), [merged.name]);
+    assert.equal(indexes[0].level, 1);
+    assert.equal(indexes[0].compactedAt, 5 * WINDOW);
+    assert.deepEqual(indexes[0].compactedFrom.map(source => source.name), [first.name, second.name]);
+
+    const reloaded = new TOSVectorBucket({ dimension: DIMENSION, client: new TOSVectorsClient(), bucketName });
+    await reloaded.load();
+    assert.equal(reloaded.getCompactionHistory().length, 1);
+    const vectors = await reloaded.getIndexVectors(reloaded.listIndexes()[0]);
+    assert.deepEqual(vectors.map(v => v.id).sort((a, b) => a - b), [0, 1, 2, 3, 10, 11, 12]);
+    assert.deepEqual(vectors.find(v => v.id === 11).metadata, { tenant: 'b' });
+});
+
+test('HTTP 模式的 putVectors 分批写入失败时删除服务端的索引', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const putVectors = http.client.putVectors.bind(http.client);
+    let calls = 0;
+    http.client.putVectors = (...args) => {
+        if (++calls === 2) return Promise.reject(new Error('PutVectors 失败: 网络错误'));
+        return putVectors(...args);
+    };
+
+    await assert.rejects(http.putVectors(makeVectors(WINDOW, 600), WINDOW), /网络错误/);
+    assert.equal(calls, 2);
+    assert.deepEqual(http.listIndexes(), []);
+    assert.deepEqual((await http.client.listIndexes(bucketName)).indexes, []);
+
+    // 重试时使用同一索引名，不会和残留的索引冲突
+    const index = await http.putVectors(makeVectors(WINDOW, 600), WINDOW);
+    assert.equal(index.vectorCount, 600);
+    const { indexes } = await http.client.listIndexes(bucketName);
+    assert.deepEqual(indexes.map(idx => [idx.indexName, idx.vectorCount]), [[index.name, 600]]);
+});
+
+test('HTTP 模式的 deleteVectors 在服务端记录墓碑，查询、读取、重新加载和合并都跳过已删除的向量', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const first = await http.putVectors(makeVectors(WINDOW, 4), WINDOW);
+    const second = await http.putVectors(makeVectors(2 * WINDOW, 2, 10), 2 * WINDOW);
+
+    assert.deepEqual(await http.deleteVectors([1, 10, 99]), [{ name: first.name, ids: [1] }, { name: second.name, ids: [10] }]);
+    assert.deepEqual(await http.deleteVectors([1]), []);
+    assert.deepEqual(first.tombstones, [1]);
+
+    const query = new Vector(-1, [0, 0, 0, 0], 0);
+    const results = await http.queryVectorsInRange(query, WINDOW, 2 * WINDOW, 10);
+    assert.deepEqual(ids(results).sort((a, b) => a - b), [0, 2, 3, 11]);
+    assert.equal(http.lastQueryStats.vectorCount, 4);
+    assert.deepEqual((await http.getIndexVectors(first)).map(v => v.id), [0, 2, 3]);
+    const { vectors } = await http.client.getVectors(bucketName, first.name, ['0', '1']);
+    assert.deepEqual(vectors.map(v => v.key), ['0']);
+
+    const reloaded = new TOSVectorBucket({ dimension: DIMENSION, client: new TOSVectorsClient(), bucketName });
+    await reloaded.load();
+    assert.deepEqual(reloaded.listIndexes().map(idx => [idx.name, idx.vectorCount, idx.tombstones]),
+        [[first.name, 4, [1]], [second.name, 2, [10]]]);
+
+    // 索引中的向量全部删除时删除服务端的索引
+    await reloaded.deleteVectors([11]);
+    const { indexes } = await http.client.listIndexes(bucketName);
+    assert.deepEqual(indexes.map(idx => idx.indexName), [first.name]);
+
+    await reloaded.deleteVectors([3]);
+    await reloaded.putVectors(makeVectors(3 * WINDOW, 2, 20), 3 * WINDOW);
+    const merged = await reloaded.compactIndexes(reloaded.listIndexes(), { level: 1, now: 5 * WINDOW });
+    assert.equal(merged.vectorCount, 4);
+    assert.deepEqual(merged.tombstones, []);
+    assert.deepEqual((await reloaded.getIndexVectors(merged)).map(v => v.id).sort((a, b) => a - b), [0, 2, 20, 21]);
+});
+
+test('HTTP 模式的 deleteVectors 只请求包含该 id 的索引，重新加载后仍按 id 定位', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const indexes = [];
+    for (let w = 1; w <= 3; w++) {
+        indexes.push(await http.putVectors(makeVectors(w * WINDOW, 3, w * 10), w * WINDOW));
+    }
+
+    const requested = [];
+    const trackRequests = bucket => {
+        const deleteVectors = bucket.client.deleteVectors.bind(bucket.client);
+        bucket.client.deleteVectors = (bucket, indexName, keys) => {
+            requested.push([indexName, keys]);
+            return deleteVectors(bucket, indexName, keys);
+        };
+    };
+    trackRequests(http);
+    assert.deepEqual(await http.deleteVectors([21, 99]), [{ name: indexes[1].name, ids: [21] }]);
+    assert.deepEqual(requested, [[indexes[1].name, ['21']]]);
+
+    // 重新加载时从服务端读取每个索引的 id，已删除的 id 不再请求
+    const reloaded = new TOSVectorBucket({ dimension: DIMENSION, client: new TOSVectorsClient(), bucketName });
+    await reloaded.load();
+    trackRequests(reloaded);
+    requested.length = 0;
+    assert.deepEqual(await reloaded.deleteVectors([21, 30, 32]), [{ name: indexes[2].name, ids: [30, 32] }]);
+    assert.deepEqual(requested, [[indexes[2].name, ['30', '32']]]);
+    assert.equal(reloaded.listIndexes()[0].ids.length, 3);
+});
+
+test('HTTP 模式的 upsertVector 替换归档的旧版本，PutVectors 重写 key 时清除墓碑', async () => {
+    const { http, bucketName } = createBuckets();
+    await http.load();
+    const index = await http.putVectors(makeVectors(WINDOW, 3), WINDOW);
+    const hnswIndex = new HNSWIndex({ dimension: DIMENSION });
+
+    const outcome = await upsertVector(hnswIndex, http, { id: 2, data: [1, 1, 1, 1], metadata: { tenant: 'c' }, timestamp: 5 * WINDOW });
+    assert.equal(outcome.error, null);
+    assert.deepEqual(outcome.replaced, { hot: false, indexes: [index.name] });
+    assert.equal(hnswIndex.vectors.length, 1);
+    assert.deepEqual(index.tombstones, [2]);
+
+    // 直接用 PutVectors 重写已删除的 key：墓碑被清除，向量重新可见
+    await http.client.putVectors(bucketName, index.name, [{ key: '2', data: { float32: [0, 0, 0, 0] }, metadata: { timestamp: WINDOW, level: 0 } }]);
+    const [described] = (await http.client.listIndexes(bucketName)).indexes;
+    assert.deepEqual(described.tombstones, []);
+    const { vectors } = await http.client.listVectors(bucketName, index.name, { returnData: true });
+    assert.deepEqual(vectors.find(v => v.key === '2').data.float32, [0, 0, 0, 0]);
+});
+
+test('HTTP 模式的半径查询与本地模式一致，支持最大结果数、过滤和时间范围', async () => {
+    const { http, local, bucketName } = createBuckets();
+    await http.load();
+    const vectors = makeVectors(WINDOW, 400);
+    const index = await http.putVectors(vectors, WINDOW);
+    await local.putVectors(vectors, WINDOW);
+
+    const query = new Vector(-1, [0.3, 0.6, 0.4, 0.5], 0);
+    const cases = [
+        { radius: 0.35 },
+        { radius: 0.35, maxResults: 5 },
+        { radius: 0.5, filter: { tenant: 'a' } }
+    ];
+    for (const exactSearch of [true, false]) {
+        http.exactSearch = exactSearch;
+        local.exactSearch = exactSearch;
+        for (const { radius, ...options } of cases) {
+            const expected = await local.queryRadiusInRange(query, WINDOW, WINDOW, radius, options);
+            const results = await http.queryRadiusInRange(query, WINDOW, WINDOW, radius, options);
+            assert.ok(expected.length > 0);
+            assert.deepEqual(ids(results), ids(expected));
+            results.forEach(r => assert.ok(r.distance <= radius));
+        }
+    }
+
+    // 查询窗口比索引细时按时间戳过滤：只返回前 100 毫秒内写入的向量
+    const partial = await http.queryRadiusInRange(query, WINDOW, WINDOW, 1, { windowSize: 100 });
+    assert.deepEqual(ids(partial), ids(await local.queryRadiusInRange(query, WINDOW, WINDOW, 1, { windowSize: 100 })));
+    partial.forEach(r => assert.ok(r.vector.timestamp < WINDOW + 100));
+
+    // 路由与引擎共用半径参数校验
+    await assert.rejects(
+        http.client.queryVectors(bucketName, index.name, query.data, undefined, { radius: 'x' }),
+        e => e.code === 'ValidationException' && e.status === 400 && /无效的查询半径/.test(e.message)
+    );
+    await assert.rejects(
+        http.client.queryVectors(bucketName, index.name, query.data, 0, { radius: 0.35 }),
+        e => e.code === 'ValidationException' && /最大结果数必须是正整数/.test(e.message)
+    );
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { getTimeWindow, HOUR, DAY } from '../public/engine/windows.js';
+import { planCompactions, compactBucket, validateCompactionPolicy, COMPACTION_TIERS } from '../public/engine/compaction.js';
+import { MemoryStorage } from './helpers.js';
+
+const MINUTE = 60000;
+// 按本地时间对齐的某一天零点，保证小时/天窗口的边界与引擎一致
+const DAY_START = getTimeWindow(new Date(2026, 0, 5, 12).getTime(), DAY);
+const [HOURLY, DAILY] = COMPACTION_TIERS;
+
+// 在 hour 点的 minutes 各分钟窗口写入一个分钟索引，每个索引 2 个向量
+async function putMinuteIndexes(bucket, hour, minutes, startId = 0) {
+    let id = startId;
+    for (const minute of minutes) {
+        const windowStart = DAY_START + hour * HOUR + minute * MINUTE;
+        const vectors = [0, 1].map(i => new Vector(id++, [id, i], windowStart + i * 1000, 0, { minute }));
+        await bucket.putVectors(vectors, windowStart, { windowSize: MINUTE });
+    }
+    return id;
+}
+
+test('planCompactions 合并已结束的小时窗口，未结束的窗口达到阈值才提前合并', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await putMinuteIndexes(bucket, 10, [5, 6, 30]);
+    await putMinuteIndexes(bucket, 11, [0, 1], 100);
+
+    const now = DAY_START + 11 * HOUR + 2 * MINUTE;
+    const plans = planCompactions(bucket.listIndexes(), HOURLY, { now, minIndexes: 3 });
+    assert.equal(plans.length, 1);
+    assert.equal(plans[0].windowStart, DAY_START + 10 * HOUR);
+    assert.equal(plans[0].sources.length, 3);
+
+    const early = planCompactions(bucket.listIndexes(), HOURLY, { now, minIndexes: 2 });
+    assert.deepEqual(early.map(plan => plan.windowStart), [DAY_START + 10 * HOUR, DAY_START + 11 * HOUR]);
+});
+
+test('compactBucket 把分钟索引合并为小时索引并保留原始时间范围', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await putMinuteIndexes(bucket, 10, [5, 6, 30]);
+
+    const now = DAY_START + 11 * HOUR;
+    const { compactions, error } = await compactBucket(bucket, { now });
+    assert.equal(error, null);
+    assert.equal(compactions.length, 1);
+
+    const [merged] = bucket.listIndexes();
+    assert.equal(bucket.listIndexes().length, 1);
+    assert.equal(merged.level, 1);
+    assert.equal(merged.vectorCount, 6);
+    assert.equal(merged.windowStart, DAY_START + 10 * HOUR + 5 * MINUTE);
+    assert.equal(merged.windowSize, 26 * MINUTE);
+    assert.deepEqual(merged.compactedFrom.map(src => src.vectorCount), [2, 2, 2]);
+
+    // 查询范围之外的小时不会路由到合并后的索引，范围内只返回对应分钟的向量
+    assert.equal(bucket.listIndexesInRange(DAY_START + 10 * HOUR + 40 * MINUTE, DAY_START + 10 * HOUR + 50 * MINUTE).length, 0);
+    const results = await bucket.queryVectors(new Vector(-1, [0, 0], 0), DAY_START + 10 * HOUR + 6 * MINUTE, 10);
+    assert.equal(results.length, 2);
+    results.forEach(r => assert.equal(r.vector.metadata.minute, 6));
+
+    const [entry] = bucket.getCompactionHistory();
+    assert.equal(entry.indexName, merged.name);
+    assert.equal(entry.time, now);
+    assert.equal(entry.sources.length, 3);
+});
+
+test('一天结束后小时索引继续合并为天索引', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    let id = await putMinuteIndexes(bucket, 1, [0, 1]);
+    id = await putMinuteIndexes(bucket, 9, [10, 20], id);
+    await putMinuteIndexes(bucket, 23, [59], id);
+
+    const { compactions } = await compactBucket(bucket, { now: DAY_START + DAY + HOUR });
+    assert.deepEqual(compactions.map(idx => idx.level), [1, 1, 2]);
+
+    const indexes = bucket.listIndexes();
+    assert.equal(indexes.length, 1);
+    assert.equal(indexes[0].level, 2);
+    assert.equal(indexes[0].vectorCount, 10);
+    assert.equal(indexes[0].windowStart, DAY_START + HOUR);
+    assert.equal(indexes[0].windowStart + indexes[0].windowSize, DAY_START + DAY);
+    assert.deepEqual(indexes[0].compactedFrom.map(src => src.level), [1, 1, 0]);
+    assert.deepEqual(bucket.getCompactionHistory().map(entry => entry.level), [2, 1, 1]);
+});
+
+test('合并不混用距离度量，也不处理跨越目标窗口的索引', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await putMinuteIndexes(bucket, 10, [0]);
+    const windowStart = DAY_START + 10 * HOUR + MINUTE;
+    await bucket.putVectors([new Vector(50, [1, 1], windowStart, 0)], windowStart, { windowSize: MINUTE, metric: 'cosine' });
+    await bucket.putVectors([new Vector(60, [1, 1], DAY_START, 0)], DAY_START, { windowSize: DAY });
+
+    assert.deepEqual(planCompactions(bucket.listIndexes(), HOURLY, { now: DAY_START + 2 * DAY }), []);
+    const minuteIndexes = bucket.listIndexes().filter(idx => idx.windowSize === MINUTE);
+    await assert.rejects(bucket.compactIndexes(minuteIndexes, { level: 1 }), /度量不同/);
+});
+
+test('合并结果写入存储后端，重新加载后恢复层级和合并历史', async () => {
+    const storage = new MemoryStorage();
+    const bucket = new TOSVectorBucket({ dimension: 2, storage });
+    await putMinuteIndexes(bucket, 10, [5, 6]);
+    await compactBucket(bucket, { now: DAY_START + 11 * HOUR });
+
+    assert.equal(storage.records.size, 1);
+    const restored = new TOSVectorBucket({ storage });
+    await restored.load();
+    assert.equal(restored.listIndexes()[0].level, 1);
+    assert.equal(restored.getCompactionHistory().length, 1);
+    assert.equal(restored.getCompactionHistory()[0].sources.length, 2);
+});
+
+test('validateCompactionPolicy 校验阈值', () => {
+    assert.doesNotThrow(() => validateCompactionPolicy({ enabled: false, minIndexes: 2 }));
+    assert.throws(() => validateCompactionPolicy({ enabled: true, minIndexes: 1 }), /minIndexes/);
+    assert.throws(() => validateCompactionPolicy({ minIndexes: 12 }), /enabled/);
+    assert.equal(DAILY.windowSize, DAY);
+});
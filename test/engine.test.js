@@ -0,0 +1,290 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { Vector } from '../public/engine/vector.js';
+import { EngineHost } from '../public/engine/engine-host.js';
+import { EngineClient, createLocalPort } from '../public/engine/engine-client.js';
+import { GraphTracker, applyGraphDiff } from '../public/engine/graph-diff.js';
+import { createRandom, randomData } from './helpers.js';
+
+const MINUTE = 60000;
+const START = new Date(2026, 0, 5, 9).getTime();
+const RETENTION = { type: 'windows', windowCount: 2 };
+
+// 直接驱动宿主并把每个回复的图差异应用到镜像上，便于和宿主中的索引比对
+function createHarness() {
+    const messages = [];
+    const host = new EngineHost(message => messages.push(message));
+    const harness = {
+        host,
+        mirror: new HNSWIndex(),
+        lastGraph: null,
+        nextId: 1,
+        async call(method, params) {
+            await host.execute({ id: harness.nextId++, method, params });
+            const reply = messages.pop();
+            harness.lastGraph = reply.graph;
+            if (reply.graph) {
+                harness.mirror = applyGraphDiff(harness.mirror, reply.graph);
+            }
+            if (reply.type === 'error') {
+                throw Object.assign(new Error(reply.error.message), { code: reply.error.code });
+            }
+            return reply.result;
+        }
+    };
+    return harness;
+}
+
+function makeVectors(random, count, firstId, timestamp) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: firstId + i,
+        data: randomData(random, 4),
+        timestamp,
+        metadata: {}
+    }));
+}
+
+test('页面镜像在插入、flush 和重建后与引擎中的 HNSW 图一致', async () => {
+    const harness = createHarness();
+    const random = createRandom(3);
+    await harness.call('init', { backend: 'indexeddb', seed: 11, now: START });
+    assert.equal(harness.lastGraph.reset, true);
+
+    let id = 0;
+    for (let minute = 0; minute < 5; minute++) {
+        const time = START + minute * MINUTE;
+        const { levels } = await harness.call('insert', { vectors: makeVectors(random, 30, id, time), time });
+        assert.equal(levels.length, 30);
+        id += 30;
+        await harness.call('flush', { now: time + 1000, windowSize: MINUTE, retention: RETENTION });
+        assert.deepEqual(harness.mirror.toSnapshot(), harness.host.hnswIndex.toSnapshot());
+    }
+
+    // 单个插入只发送新节点和邻接变化的节点
+    await harness.call('insert', { vectors: makeVectors(random, 1, id, START + 5 * MINUTE), time: START + 5 * MINUTE });
+    assert.equal(harness.lastGraph.reset, false);
+    assert.equal(harness.lastGraph.added.length, 1);
+    assert.ok(harness.lastGraph.changed.length < harness.host.hnswIndex.vectors.length);
+
+    // 没有修改图的操作不发送差异
+    await harness.call('setTOSOptions', { nprobe: 2 });
+    assert.equal(harness.lastGraph, null);
+
+    const coords = new Map(harness.mirror.vectors.map((v, i) => {
+        v.x = i;
+        v.y = -i;
+        return [v.id, i];
+    }));
+    await harness.call('rebuild', { options: { M: 4, metric: 'cosine' }, now: START + 6 * MINUTE });
+    assert.equal(harness.lastGraph.reset, true);
+    assert.deepEqual(harness.mirror.toSnapshot(), harness.host.hnswIndex.toSnapshot());
+    assert.equal(harness.mirror.metric, 'cosine');
+    // 重建后的镜像保留节点坐标
+    harness.mirror.vectors.forEach(v => assert.equal(v.x, coords.get(v.id)));
+});
+
+test('图差异中同一 id 被替换的节点重新链接', () => {
+    const random = createRandom(5);
+    const index = new HNSWIndex({ dimension: 2 });
+    for (let i = 0; i < 20; i++) {
+        index.insert(new Vector(i, randomData(random, 2), 0, 0));
+    }
+    const tracker = new GraphTracker();
+    let mirror = applyGraphDiff(new HNSWIndex(), tracker.diff(index));
+
+    index.delete(7);
+    index.insert(new Vector(7, randomData(random, 2), 1000, 1));
+    const diff = tracker.diff(index);
+    assert.ok(diff.added.some(([id]) => id === 7));
+    mirror = applyGraphDiff(mirror, diff);
+    assert.deepEqual(mirror.toSnapshot(), index.toSnapshot());
+    // 所有邻居都指向镜像中当前的节点
+    const nodes = new Set(mirror.vectors);
+    mirror.vectors.forEach(v => Object.values(v.neighbors).forEach(list => list.forEach(n => assert.ok(nodes.has(n)))));
+    assert.equal(tracker.diff(index), null);
+});
+
+test('增量差异只比较变化过的节点，与全量比较的结果一致', () => {
+    const random = createRandom(12);
+    const index = new HNSWIndex({ dimension: 4, M: 4, M0: 8 });
+    const tracker = new GraphTracker();
+    let mirror = applyGraphDiff(new HNSWIndex(), tracker.diff(index));
+    let nextId = 0;
+    for (let step = 0; step < 40; step++) {
+        if (step % 5 === 4) {
+            index.deleteMany([Math.floor(random() * nextId), Math.floor(random() * nextId)]);
+        } else {
+            for (let i = 0; i < 10; i++) {
+                index.insert(new Vector(nextId++, randomData(random, 4), step, index.randomLevel()));
+            }
+        }
+        const dirty = index.dirtyIds.size;
+        const diff = tracker.diff(index);
+        if (!diff) continue;
+        assert.ok(diff.added.length + diff.changed.length + diff.removed.length <= dirty);
+        mirror = applyGraphDiff(mirror, diff);
+        assert.deepEqual(mirror.toSnapshot(), index.toSnapshot());
+        // 全新的跟踪器比较全部节点，得到同样的图
+        assert.deepEqual(applyGraphDiff(new HNSWIndex(), new GraphTracker().diff(index)).toSnapshot(), index.toSnapshot());
+    }
+    assert.equal(index.dirtyIds.size, 0);
+
+    // 单个插入只涉及新节点和与它相连的节点
+    index.insert(new Vector(nextId, randomData(random, 4), 40, 0));
+    assert.ok(index.dirtyIds.size < index.vectors.length / 4, `${index.dirtyIds.size} / ${index.vectors.length}`);
+    assert.equal(tracker.diff(index).added.length, 1);
+});
+
+test('只读方法的回复不计算图差异，仍然附带状态', async () => {
+    const harness = createHarness();
+    await harness.call('init', { backend: 'indexeddb', seed: 13, now: START });
+    const random = createRandom(14);
+    await harness.call('insert', { vectors: makeVectors(random, 50, 0, START), time: START });
+
+    let diffs = 0;
+    const diff = harness.host.tracker.diff.bind(harness.host.tracker);
+    harness.host.tracker.diff = index => {
+        diffs++;
+        return diff(index);
+    };
+    const messages = [];
+    harness.host.post = message => messages.push(message);
+    await harness.host.execute({ id: 100, method: 'query', params: {
+        vector: [0.5, 0.5, 0.5, 0.5], time: START, startWindow: START, endWindow: START, topK: 3, windowSize: MINUTE
+    } });
+    await harness.host.execute({ id: 101, method: 'exportEventLog' });
+    assert.equal(diffs, 0);
+    assert.deepEqual(messages.map(m => [m.type, m.graph]), [['result', null], ['result', null]]);
+    assert.equal(messages[0].state.eventLog.eventCount, 2);
+
+    await harness.host.execute({ id: 102, method: 'insert', params: { vectors: makeVectors(random, 1, 50, START), time: START } });
+    assert.equal(diffs, 1);
+    assert.equal(messages[2].graph.added.length, 1);
+});
+
+test('客户端接收进度，取消的导入以 Cancelled 结束并保留已导入的部分', async () => {
+    const updates = [];
+    const engine = new EngineClient(createLocalPort(), { onUpdate: update => updates.push(update) });
+    await engine.call('init', { backend: 'indexeddb', seed: 1, now: START });
+
+    const random = createRandom(9);
+    const input = Array.from({ length: 1500 }, (_, i) =>
+        JSON.stringify({ id: i, vector: randomData(random, 4), timestamp: START })).join('\n');
+    const controller = new AbortController();
+    const progress = [];
+    await assert.rejects(
+        engine.call('importRecords', {
+            input,
+            format: 'jsonl',
+            now: START + 1000,
+            windowSize: MINUTE,
+            retention: RETENTION,
+            nextId: 0
+        }, {
+            signal: controller.signal,
+            onProgress: p => {
+                progress.push(p);
+                if (p.done > 0) controller.abort();
+            }
+        }),
+        e => e.code === 'Cancelled'
+    );
+    assert.deepEqual(progress[0], { done: 0, total: 1500, nextId: 1500 });
+
+    // 失败的回复同样带有状态，页面据此同步已经导入的部分（取消消息可能晚到一个进度点）；
+    // 事件日志从当前状态重新开始
+    const { state, graph } = updates.at(-1);
+    assert.ok(graph.added.length >= 500 && graph.added.length < 1500);
+    assert.equal(state.eventLog.eventCount, 0);
+    assert.equal(state.eventLog.baseline.hnswVectors, graph.added.length);
+
+    await assert.rejects(engine.call('missing'), /未知的引擎方法/);
+    const log = await engine.call('exportEventLog');
+    assert.equal(log.seed, 1);
+});
+
+test('状态概要中的 TOS 索引不含向量，未初始化时拒绝请求', async () => {
+    const harness = createHarness();
+    await assert.rejects(harness.call('insert', { vectors: [], time: START }), /引擎尚未初始化/);
+
+    await harness.call('init', { backend: 'indexeddb', seed: 2, now: START });
+    const random = createRandom(4);
+    await harness.call('insert', { vectors: makeVectors(random, 100, 0, START), time: START });
+    const flushed = await harness.call('flush', { now: START + 3 * MINUTE, windowSize: MINUTE, retention: RETENTION });
+    assert.equal(flushed.flushedCount, 100);
+
+    const state = harness.host.getState();
+    assert.equal(state.tos.indexes.length, 1);
+    assert.equal(state.tos.indexes[0].vectors, undefined);
+    assert.equal(state.tos.indexes[0].vectorCount, 100);
+    assert.equal(state.eventLog.eventCount, 2);
+    assert.equal(harness.mirror.vectors.length, 0);
+
+    // 导出内容的 exportedAt 使用页面传入的虚拟时间
+    const exported = await harness.call('exportIndex', { name: state.tos.indexes[0].name, format: 'json', now: START + 5 * MINUTE });
+    assert.equal(exported.count, 100);
+    assert.equal(JSON.parse(exported.content).exportedAt, new Date(START + 5 * MINUTE).toISOString());
+});
+
+test('upsert 和删除通过引擎作用于两层，镜像随图差异更新', async () => {
+    const harness = createHarness();
+    await harness.call('init', { backend: 'indexeddb', seed: 6, now: START });
+    const random = createRandom(8);
+    await harness.call('insert', { vectors: makeVectors(random, 100, 0, START), time: START });
+    await harness.call('insert', { vectors: makeVectors(random, 20, 100, START + 3 * MINUTE), time: START + 3 * MINUTE });
+    await harness.call('flush', { now: START + 3 * MINUTE, windowSize: MINUTE, retention: RETENTION });
+
+    const hot = await harness.call('upsert', { id: 110, data: [1, 1, 1, 1], metadata: { tag: 'new' }, time: START + 3 * MINUTE });
+    assert.deepEqual(hot.replaced, { hot: true, indexes: [] });
+    assert.equal(hot.error, null);
+    assert.deepEqual(harness.mirror.toSnapshot(), harness.host.hnswIndex.toSnapshot());
+
+    const cold = await harness.call('upsert', { id: 3, data: [0, 0, 0, 0], time: START + 3 * MINUTE });
+    assert.equal(cold.replaced.indexes.length, 1);
+    const deleted = await harness.call('delete', { id: 4, time: START + 3 * MINUTE });
+    assert.equal(deleted.indexes.length, 1);
+    assert.deepEqual(await harness.call('delete', { id: 999, time: START + 3 * MINUTE }), { hot: false, indexes: [], error: null });
+
+    const state = harness.host.getState();
+    assert.deepEqual(state.tos.indexes[0].tombstones, [3, 4]);
+    assert.deepEqual(harness.host.exportEventLog().events.map(e => e.type), ['insert', 'insert', 'flush', 'upsert', 'upsert', 'delete']);
+    assert.deepEqual(harness.mirror.toSnapshot(), harness.host.hnswIndex.toSnapshot());
+    await assert.rejects(harness.call('upsert', { id: 5, data: [1, 2], time: START }), /维度不匹配/);
+});
+
+test('取消只记录排队中或正在执行的请求，已结束和未知的 id 不会累积', async () => {
+    const messages = [];
+    const host = new EngineHost(message => messages.push(message));
+    host.receive({ id: 1, method: 'init', params: { backend: 'indexeddb', seed: 3, now: START } });
+    host.receive({ id: 2, method: 'exportEventLog' });
+    host.receive({ type: 'cancel', id: 2 });
+    await host.queue;
+    assert.equal(messages.find(m => m.id === 2).error.code, 'Cancelled');
+
+    host.receive({ type: 'cancel', id: 1 });
+    host.receive({ type: 'cancel', id: 99 });
+    assert.equal(host.cancelled.size, 0);
+    assert.equal(host.pending.size, 0);
+});
+
+test('插入的批次中有无效向量时整批不插入，事件日志与索引保持一致', async () => {
+    const harness = createHarness();
+    await harness.call('init', { backend: 'indexeddb', seed: 5, now: START });
+    const random = createRandom(6);
+    await harness.call('insert', { vectors: makeVectors(random, 10, 0, START), time: START });
+
+    const duplicate = makeVectors(random, 5, 10, START);
+    duplicate[3].id = 4;
+    await assert.rejects(harness.call('insert', { vectors: duplicate, time: START }), /id 已存在/);
+    const invalid = makeVectors(random, 5, 10, START);
+    invalid[2].data = [1, 2];
+    await assert.rejects(harness.call('insert', { vectors: invalid, time: START }), /维度不匹配/);
+
+    assert.equal(harness.host.hnswIndex.vectors.length, 10);
+    const log = harness.host.exportEventLog();
+    assert.equal(log.events.length, 1);
+    assert.equal(log.events[0].vectors.length, 10);
+    assert.deepEqual(harness.mirror.toSnapshot(), harness.host.hnswIndex.toSnapshot());
+});
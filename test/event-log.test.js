@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { flushExpiredWindows, importVectors, queryTiers, upsertVector, deleteVector } from '../public/engine/tiered-store.js';
+import { compactBucket } from '../public/engine/compaction.js';
+import { EventLog, createRunRandom, getEventVectors, replayEventLog } from '../public/engine/event-log.js';
+import { createRandom, deriveSeed, validateSeed } from '../public/engine/random.js';
+import { randomData } from './helpers.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const START = new Date(2026, 0, 5, 9).getTime();
+const SEED = 42;
+
+// 模拟一次运行：每分钟插入一批向量并 flush，中途导入一批旧数据，最后合并并查询，同时记录事件日志
+async function simulateRun() {
+    const rng = createRunRandom(SEED);
+    const hnswIndex = new HNSWIndex({ dimension: 4, random: rng.levels });
+    const tosBucket = new TOSVectorBucket({ dimension: 4, seed: SEED, quantization: 'pq' });
+    const log = new EventLog({ seed: SEED, config: { hnsw: hnswIndex.getOptions(), tos: { dimension: 4, metric: 'l2' } } });
+    const retention = { type: 'windows', windowCount: 2 };
+    let id = 0;
+
+    for (let minute = 0; minute < 12; minute++) {
+        const time = START + minute * MINUTE;
+        const vectors = Array.from({ length: 40 }, (_, i) =>
+            new Vector(id++, randomData(rng.data, 4), time + i * 1000, hnswIndex.randomLevel(), { minute }));
+        vectors.forEach(v => hnswIndex.insert(v));
+        log.recordInsert(vectors, time + 40000);
+
+        const outcome = await flushExpiredWindows(hnswIndex, tosBucket, { now: time + 50000, retention });
+        if (outcome.flushedCount > 0) {
+            log.recordFlush({ time: time + 50000, windowSize: MINUTE, retention, quantization: tosBucket.quantization });
+        }
+    }
+
+    tosBucket.quantization = 'int8';
+    const now = START + 12 * MINUTE;
+    const records = Array.from({ length: 80 }, (_, i) => ({
+        id: 1000 + i,
+        data: randomData(rng.data, 4),
+        timestamp: i < 70 ? START - HOUR + i * 1000 : now - i * 100,
+        metadata: { imported: true }
+    }));
+    const imported = await importVectors(hnswIndex, tosBucket, records, { now, retention });
+    const levels = new Map(imported.inserted.map(v => [v.id, v.level]));
+    log.recordImport(records.map(r => levels.has(r.id) ? { ...r, level: levels.get(r.id) } : r),
+        { time: now, windowSize: MINUTE, retention, quantization: 'int8' });
+
+    const compactTime = START + 2 * HOUR;
+    const { compactions } = await compactBucket(tosBucket, { now: compactTime, minIndexes: 12 });
+    assert.ok(compactions.length > 0);
+    log.recordCompaction({ time: compactTime, minIndexes: 12, quantization: 'int8' });
+
+    const query = { vector: [0.5, 0.5, 0.5, 0.5], startWindow: START - HOUR, endWindow: START + 12 * MINUTE, topK: 10, filter: null, windowSize: MINUTE };
+    const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, query.vector, compactTime), query);
+    log.recordQuery({ ...query, time: compactTime, search: { nprobe: 4, exactSearch: false, rerankFactor: 4 }, resultIds: results.map(r => r.vector.id) });
+
+    const radiusQuery = { ...query, topK: null, radius: 0.4, maxResults: 20 };
+    const inRadius = await queryTiers(hnswIndex, tosBucket, new Vector(-1, query.vector, compactTime), radiusQuery);
+    assert.ok(inRadius.results.length > 0);
+    log.recordQuery({ ...radiusQuery, time: compactTime, search: { nprobe: 4, exactSearch: false, rerankFactor: 4 }, resultIds: inRadius.results.map(r => r.vector.id) });
+
+    return { hnswIndex, tosBucket, log };
+}
+
+function describeBucket(bucket) {
+    return bucket.listIndexes().map(({ vectors, ...index }) => ({
+        ...index,
+        vectors: vectors.map(v => [v.id, v.data, v.timestamp, v.level, v.metadata])
+    }));
+}
+
+test('同一个种子派生出相同的随机序列，不同用途的序列互不相同', () => {
+    const a = createRunRandom(7);
+    const b = createRunRandom(7);
+    const sample = random => Array.from({ length: 5 }, () => random());
+    assert.deepEqual(sample(a.data), sample(b.data));
+    assert.deepEqual(sample(a.levels), sample(b.levels));
+    assert.notDeepEqual(sample(a.timing), sample(a.benchmark));
+    assert.notEqual(deriveSeed(7, 'index_a'), deriveSeed(7, 'index_b'));
+    assert.throws(() => validateSeed(-1), /随机种子无效/);
+    assert.throws(() => createRunRandom(1.5), /随机种子无效/);
+});
+
+test('相同种子的 TOS Bucket 为相同数据训练出相同的 IVF 和 PQ', async () => {
+    const random = createRandom(3);
+    const vectors = Array.from({ length: 100 }, (_, i) => new Vector(i, randomData(random, 4), 0, 0));
+    const build = async seed => {
+        const bucket = new TOSVectorBucket({ dimension: 4, seed, quantization: 'pq' });
+        return bucket.putVectors(vectors, 0);
+    };
+    const [a, b, c] = await Promise.all([build(1), build(1), build(2)]);
+    assert.deepEqual(a.ann, b.ann);
+    assert.deepEqual(a.quantization, b.quantization);
+    assert.notDeepEqual(a.ann.centroids, c.ann.centroids);
+});
+
+test('重放导出的事件日志得到完全相同的 HNSW 图和 TOS Bucket', async () => {
+    const { hnswIndex, tosBucket, log } = await simulateRun();
+    const exported = JSON.parse(JSON.stringify(log));
+    assert.deepEqual(exported.events.map(e => e.type).filter((t, i, all) => all.indexOf(t) === i), ['insert', 'flush', 'import', 'compact', 'query']);
+
+    const progress = [];
+    const replayed = await replayEventLog(EventLog.fromJSON(exported), {
+        tosBucket: new TOSVectorBucket({ dimension: 4 }),
+        onProgress: done => progress.push(done)
+    });
+
+    assert.equal(progress.length, log.events.length);
+    assert.deepEqual(replayed.hnswIndex.toSnapshot(), hnswIndex.toSnapshot());
+    assert.deepEqual(describeBucket(replayed.tosBucket), describeBucket(tosBucket));
+    assert.deepEqual(replayed.tosBucket.getCompactionHistory(), tosBucket.getCompactionHistory());
+    assert.equal(replayed.queries.length, 2);
+    assert.equal(replayed.mismatches, 0);
+});
+
+test('upsert 和删除事件重放后两层中的墓碑和新版本一致', async () => {
+    const rng = createRunRandom(SEED);
+    const hnswIndex = new HNSWIndex({ dimension: 4, random: rng.levels });
+    const tosBucket = new TOSVectorBucket({ dimension: 4, seed: SEED });
+    const log = new EventLog({ seed: SEED, config: { hnsw: hnswIndex.getOptions(), tos: { dimension: 4, metric: 'l2' } } });
+    const retention = { type: 'windows', windowCount: 2 };
+
+    for (let minute = 0; minute < 4; minute++) {
+        const time = START + minute * MINUTE;
+        const vectors = Array.from({ length: 30 }, (_, i) =>
+            new Vector(minute * 30 + i, randomData(rng.data, 4), time + i * 1000, hnswIndex.randomLevel(), {}));
+        vectors.forEach(v => hnswIndex.insert(v));
+        log.recordInsert(vectors, time + 30000);
+        await flushExpiredWindows(hnswIndex, tosBucket, { now: time + 40000, retention });
+        log.recordFlush({ time: time + 40000, windowSize: MINUTE, retention, quantization: 'none' });
+    }
+
+    // 冷层和热层各 upsert / 删除一个向量，再 flush 使新版本进入 TOS
+    const now = START + 4 * MINUTE;
+    for (const id of [5, 100]) {
+        const { vector } = await upsertVector(hnswIndex, tosBucket, { id, data: randomData(rng.data, 4), metadata: { version: 2 }, timestamp: now });
+        log.recordUpsert(vector, now);
+    }
+    for (const id of [7, 101]) {
+        await deleteVector(hnswIndex, tosBucket, id);
+        log.recordDelete(id, now);
+    }
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: now + 2 * MINUTE, retention });
+    log.recordFlush({ time: now + 2 * MINUTE, windowSize: MINUTE, retention, quantization: 'none' });
+    assert.ok(tosBucket.listIndexes().some(idx => idx.tombstones.length > 0));
+
+    const query = { vector: [0.5, 0.5, 0.5, 0.5], startWindow: START, endWindow: now + 2 * MINUTE, topK: 20, filter: null, windowSize: MINUTE };
+    const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, query.vector, now), query);
+    log.recordQuery({ ...query, time: now, search: { nprobe: 4, exactSearch: false, rerankFactor: 4 }, resultIds: results.map(r => r.vector.id) });
+
+    const exported = JSON.parse(JSON.stringify(log));
+    assert.deepEqual(getEventVectors(exported.events.find(e => e.type === 'upsert')).map(v => v.id), [5]);
+    const replayed = await replayEventLog(EventLog.fromJSON(exported), { tosBucket: new TOSVectorBucket({ dimension: 4 }) });
+    assert.deepEqual(replayed.hnswIndex.toSnapshot(), hnswIndex.toSnapshot());
+    assert.deepEqual(describeBucket(replayed.tosBucket), describeBucket(tosBucket));
+    assert.equal(replayed.mismatches, 0);
+});
+
+test('事件日志格式校验，重放要求空的 TOS Bucket', async () => {
+    assert.throws(() => EventLog.fromJSON({ format: 'other' }), /无效的事件日志/);
+    assert.throws(() => EventLog.fromJSON({ format: 'hnsw-tos-event-log', version: 99 }), /不支持的事件日志版本/);
+    const log = new EventLog({ seed: 1, config: { hnsw: new HNSWIndex().getOptions(), tos: { dimension: 4, metric: 'l2' } } });
+    assert.throws(() => log.record('truncate', {}), /未知的事件类型/);
+    assert.throws(() => EventLog.fromJSON({ ...log.toJSON(), events: [{ type: 'bogus' }] }), /第 1 个事件的类型未知/);
+
+    const bucket = new TOSVectorBucket({ dimension: 4 });
+    await bucket.putVectors([new Vector(1, [0, 0, 0, 0], 0, 0)], 0);
+    await assert.rejects(replayEventLog(log, { tosBucket: bucket }), /空的 TOS Bucket/);
+    await assert.rejects(replayEventLog(log, { tosBucket: new TOSVectorBucket({ dimension: 8 }) }), /维度/);
+});
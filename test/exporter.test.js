@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { queryTiers } from '../public/engine/tiered-store.js';
+import { exportHNSW, exportTOSIndex, exportQueryResults, toCSV } from '../public/engine/exporter.js';
+import { parseCSV } from '../public/engine/importer.js';
+import { fillIndex } from './helpers.js';
+
+const NOW = Date.UTC(2026, 0, 5, 12);
+
+test('exportHNSW 的 JSON 包含每层邻接和到邻居的距离', () => {
+    const index = new HNSWIndex({ dimension: 3, M: 4, M0: 8 });
+    fillIndex(index, 40, { timestamp: i => NOW - i * 1000, metadata: i => ({ tenant: `t${i % 2}` }) });
+
+    const exported = JSON.parse(exportHNSW(index, 'json', { now: NOW }));
+    assert.equal(exported.type, 'hnsw');
+    assert.equal(exported.vectorCount, 40);
+    assert.equal(exported.entryPoint, index.entryPoint.id);
+
+    const byId = new Map(index.vectors.map(v => [v.id, v]));
+    exported.vectors.forEach(row => {
+        const v = byId.get(row.id);
+        assert.equal(row.time, new Date(v.timestamp).toISOString());
+        assert.equal(row.neighbors.length, v.level + 1);
+        row.neighbors.forEach((neighbors, layer) => {
+            assert.deepEqual(neighbors.map(n => n.id), v.neighbors[layer].map(n => n.id));
+            neighbors.forEach(n => assert.equal(n.distance, v.distance(byId.get(n.id), 'l2')));
+        });
+    });
+});
+
+test('exportHNSW 的 CSV 每行一个向量，每层邻居一列', () => {
+    const index = new HNSWIndex({ dimension: 2 });
+    index.insert(new Vector(1, [0, 0], NOW, 1, { note: 'a, "b"' }));
+    index.insert(new Vector(2, [3, 4], NOW, 0, {}));
+    index.insert(new Vector(3, [1, 0], NOW, 1, {}));
+
+    const rows = parseCSV(exportHNSW(index, 'csv'));
+    const header = 'id,timestamp,time,level,vector,metadata,neighbors_L0,neighbors_L1';
+    assert.ok(exportHNSW(index, 'csv').startsWith(header + '\r\n'));
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[0].data, [0, 0]);
+    assert.equal(rows[0].metadata.metadata, '{"note":"a, \\"b\\""}');
+    assert.deepEqual(String(rows[0].metadata.neighbors_L0).split(' ').map(Number).sort(), [2, 3]);
+    assert.equal(rows[0].metadata.neighbors_L1, 3);
+    assert.throws(() => exportHNSW(index, 'xml'), /不支持的导出格式/);
+});
+
+test('exportTOSIndex 导出索引信息和向量', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    const index = await bucket.putVectors([new Vector(7, [1, 2], NOW - 5000, 2, { source: 'web' })], NOW - 60000, { windowSize: 60000 });
+
+    const exported = JSON.parse(exportTOSIndex(index, await bucket.getIndexVectors(index), 'json'));
+    assert.equal(exported.name, index.name);
+    assert.equal(exported.windowEnd, NOW);
+    assert.equal(exported.indexLevel, 0);
+    assert.deepEqual(exported.vectors[0], {
+        id: 7, timestamp: NOW - 5000, time: new Date(NOW - 5000).toISOString(), level: 2, data: [1, 2], metadata: { source: 'web' }
+    });
+    assert.equal(toCSV([{ header: 'x', value: row => row }], [null, 'a\nb']), 'x\r\n\r\n"a\nb"\r\n');
+});
+
+test('exportQueryResults 导出排名、来源、距离和索引层级', async () => {
+    const hnswIndex = new HNSWIndex({ dimension: 2 });
+    hnswIndex.insert(new Vector(1, [0, 1], NOW, 0, {}));
+    const tosBucket = new TOSVectorBucket({ dimension: 2 });
+    await tosBucket.putVectors([new Vector(2, [0, 2], NOW - 1000, 1, {})], NOW - 60000, { windowSize: 60000 });
+
+    const queryVector = new Vector(-1, [0, 0], NOW);
+    const { results, metrics } = await queryTiers(hnswIndex, tosBucket, queryVector, {
+        startWindow: NOW - 60000, endWindow: NOW, topK: 2, windowSize: 60000
+    });
+    const query = { queryVector, topK: 2, startWindow: NOW - 60000, endWindow: NOW, filter: null, metrics, results };
+
+    const exported = JSON.parse(exportQueryResults(query, 'json', { indexes: tosBucket.listIndexes() }));
+    assert.deepEqual(exported.query.vector, [0, 0]);
+    assert.deepEqual(exported.results.map(r => [r.rank, r.id, r.source, r.distance, r.level, r.indexLevel]), [
+        [1, 1, 'HNSW', 1, 0, null],
+        [2, 2, 'TOS', 2, 1, 0]
+    ]);
+
+    const csv = exportQueryResults(query, 'csv', { indexes: tosBucket.listIndexes() });
+    assert.ok(csv.startsWith('rank,source,index,index_level,distance,score,id,timestamp,time,level,vector,metadata\r\n'));
+    assert.equal(csv.trim().split('\r\n').length, 3);
+});
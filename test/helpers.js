@@ -0,0 +1,67 @@
+// 测试用的确定性数据生成
+
+import { Vector } from '../public/engine/vector.js';
+import { createRandom } from '../public/engine/random.js';
+
+export { createRandom };
+
+export function randomData(random, dimension) {
+    return Array.from({ length: dimension }, () => random());
+}
+
+// 生成 count 个向量并插入索引，timestamp(i) 决定每个向量的时间戳
+export function fillIndex(index, count, { seed = 1, timestamp = () => 0, metadata = () => ({}) } = {}) {
+    const random = createRandom(seed);
+    const vectors = [];
+    for (let i = 0; i < count; i++) {
+        const level = Math.min(Math.floor(-Math.log(1 - random()) * index.levelMultiplier), index.maxLayer);
+        const vector = new Vector(i, randomData(random, index.dimension), timestamp(i), level, metadata(i));
+        index.insert(vector);
+        vectors.push(vector);
+    }
+    return vectors;
+}
+
+// 暴力搜索的 top-k id，作为 ground truth
+export function exactTopK(index, query, k) {
+    return index.findKNearest(query, k).map(v => v.id);
+}
+
+// 检查图的双向一致性，返回不对称边和悬空引用的数量
+export function checkGraph(index) {
+    const ids = new Set(index.vectors.map(v => v.id));
+    let asymmetric = 0;
+    let dangling = 0;
+    index.vectors.forEach(v => {
+        for (const layer in v.neighbors) {
+            v.neighbors[layer].forEach(n => {
+                if (!ids.has(n.id)) dangling++;
+                else if (!(n.neighbors[layer] || []).some(m => m.id === v.id)) asymmetric++;
+            });
+        }
+    });
+    return { asymmetric, dangling };
+}
+
+// 内存中的存储后端，记录写入的索引
+export class MemoryStorage {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async loadIndexes() {
+        return Array.from(this.records.values());
+    }
+
+    async saveIndex(record) {
+        this.records.set(record.name, JSON.parse(JSON.stringify(record)));
+    }
+
+    async deleteIndex(name) {
+        this.records.delete(name);
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { Vector } from '../public/engine/vector.js';
+import { createRandom, randomData, fillIndex, exactTopK, checkGraph } from './helpers.js';
+
+function recallAt(index, k, queries, seed = 99) {
+    const random = createRandom(seed);
+    let hits = 0;
+    for (let i = 0; i < queries; i++) {
+        const query = new Vector(-1, randomData(random, index.dimension), 0);
+        const expected = new Set(exactTopK(index, query, k));
+        hits += index.search(query, k).filter(r => expected.has(r.vector.id)).length;
+    }
+    return hits / (queries * k);
+}
+
+test('insert 后所有向量都在索引中，图保持双向一致', () => {
+    const index = new HNSWIndex({ dimension: 8, M: 6, M0: 12, maxLayer: 4 });
+    fillIndex(index, 300);
+
+    assert.equal(index.vectors.length, 300);
+    assert.deepEqual(checkGraph(index), { asymmetric: 0, dangling: 0 });
+    assert.equal(index.entryPoint.level, index.maxLevel);
+});
+
+test('insert 拒绝维度不匹配的向量', () => {
+    const index = new HNSWIndex({ dimension: 4 });
+    assert.throws(() => index.insert(new Vector(0, [1, 2, 3], 0)), /维度不匹配/);
+});
+
+test('insert 拒绝重复的 id，删除后可以重新插入', () => {
+    const index = new HNSWIndex({ dimension: 4 });
+    fillIndex(index, 20);
+    assert.throws(() => index.insert(new Vector(7, [0, 0, 0, 0], 0)), /向量 7: id 已存在/);
+    assert.equal(index.vectors.length, 20);
+    assert.deepEqual(checkGraph(index), { asymmetric: 0, dangling: 0 });
+
+    index.delete(7);
+    index.insert(new Vector(7, [0, 0, 0, 0], 0));
+    assert.equal(index.vectors.length, 20);
+
+    const restored = HNSWIndex.fromSnapshot(index.toSnapshot());
+    assert.throws(() => restored.insert(new Vector(3, [0, 0, 0, 0], 0)), /id 已存在/);
+});
+
+test('search 的召回率接近暴力搜索', () => {
+    const index = new HNSWIndex({ dimension: 8, M: 8, M0: 16, efSearch: 64 });
+    fillIndex(index, 500);
+
+    assert.ok(recallAt(index, 10, 30) >= 0.95);
+});
+
+test('search 按度量方向返回分数', () => {
+    const index = new HNSWIndex({ dimension: 2, metric: 'cosine' });
+    index.insert(new Vector(0, [1, 0], 0));
+    index.insert(new Vector(1, [0, 1], 0));
+
+    const [best] = index.search(new Vector(-1, [1, 0.1], 0), 1);
+    assert.equal(best.vector.id, 0);
+    assert.ok(best.score > 0.99);
+});
+
+test('search 只返回满足元数据过滤条件的向量', () => {
+    const index = new HNSWIndex({ dimension: 4, M: 6, M0: 12 });
+    fillIndex(index, 200, { metadata: i => ({ tenant: i % 2 === 0 ? 'a' : 'b', priority: i % 5 }) });
+
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+    const results = index.search(query, 10, 50, { tenant: 'b', priority: { $gte: 3 } });
+    assert.equal(results.length, 10);
+    results.forEach(r => {
+        assert.equal(r.vector.metadata.tenant, 'b');
+        assert.ok(r.vector.metadata.priority >= 3);
+    });
+});
+
+test('searchRadius 返回半径内的向量，maxResults 只保留最近的', () => {
+    const index = new HNSWIndex({ dimension: 4, M: 8, M0: 16, efSearch: 32 });
+    fillIndex(index, 400);
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+    const radius = 0.35;
+
+    const exact = index.vectors.filter(v => index.metricDistance(query.data, v.data) <= radius);
+    assert.ok(exact.length > 20);
+    const results = index.searchRadius(query, radius);
+    assert.ok(results.every(r => r.distance <= radius));
+    results.slice(1).forEach((r, i) => assert.ok(r.distance >= results[i].distance));
+    const expected = new Set(exact.map(v => v.id));
+    assert.ok(results.filter(r => expected.has(r.vector.id)).length / exact.length >= 0.95);
+    assert.ok(index.lastSearchStats.distanceComputations < index.vectors.length);
+
+    const capped = index.searchRadius(query, radius, { maxResults: 5 });
+    assert.deepEqual(capped.map(r => r.vector.id), results.slice(0, 5).map(r => r.vector.id));
+    assert.deepEqual(index.searchRadius(query, 0.01), []);
+    assert.throws(() => index.searchRadius(query, NaN), /无效的查询半径/);
+    assert.throws(() => index.searchRadius(query, radius, { maxResults: 0 }), /最大结果数必须是正整数/);
+});
+
+test('searchWithTrace 与 search 结果一致并记录每层的步骤', () => {
+    const index = new HNSWIndex({ dimension: 4, M: 4, M0: 8 });
+    fillIndex(index, 100);
+
+    const query = new Vector(-1, [0.2, 0.4, 0.6, 0.8], 0);
+    const { results, trace } = index.searchWithTrace(query, 5);
+    assert.deepEqual(results.map(r => r.vector.id), index.search(query, 5).map(r => r.vector.id));
+    assert.equal(trace[0].type, 'entry');
+    assert.equal(trace[trace.length - 1].type, 'result');
+    assert.equal(trace.filter(step => step.type === 'layerDone').length, index.maxLevel + 1);
+    assert.equal(index.trace, null);
+});
+
+test('delete 后图保持连通且没有悬空引用', () => {
+    const index = new HNSWIndex({ dimension: 8, M: 8, M0: 16 });
+    fillIndex(index, 400);
+
+    const removed = index.deleteMany(Array.from({ length: 150 }, (_, i) => i * 2));
+    assert.equal(removed.length, 150);
+    assert.equal(index.vectors.length, 250);
+    assert.deepEqual(checkGraph(index), { asymmetric: 0, dangling: 0 });
+    assert.ok(index.vectors.includes(index.entryPoint));
+    assert.equal(index.maxLevel, Math.max(...index.vectors.map(v => v.level)));
+    assert.ok(recallAt(index, 10, 30) >= 0.95);
+});
+
+test('delete 不存在的 id 返回 null', () => {
+    const index = new HNSWIndex({ dimension: 4 });
+    fillIndex(index, 10);
+    assert.equal(index.delete(999), null);
+    assert.equal(index.vectors.length, 10);
+});
+
+test('删除全部向量后索引为空', () => {
+    const index = new HNSWIndex({ dimension: 4 });
+    fillIndex(index, 20);
+    index.deleteMany(index.vectors.map(v => v.id));
+
+    assert.equal(index.vectors.length, 0);
+    assert.equal(index.entryPoint, null);
+    assert.deepEqual(index.search(new Vector(-1, [0, 0, 0, 0], 0), 3), []);
+});
+
+test('removeByTimeWindow 删除阈值窗口及之前的向量', () => {
+    const index = new HNSWIndex({ dimension: 4, M: 4, M0: 8 });
+    fillIndex(index, 90, { timestamp: i => Math.floor(i / 30) * 60000 });
+
+    const removed = index.removeByTimeWindow(60000);
+    assert.equal(removed.length, 60);
+    assert.ok(index.vectors.every(v => v.timestamp === 120000));
+});
+
+test('快照往返后结构和搜索结果不变', () => {
+    const index = new HNSWIndex({ dimension: 4, M: 5, M0: 10, efSearch: 40, maxLayer: 3 });
+    fillIndex(index, 150, { metadata: i => ({ tenant: `t${i % 3}` }) });
+
+    const restored = HNSWIndex.fromSnapshot(JSON.parse(JSON.stringify(index.toSnapshot())));
+    assert.deepEqual(restored.getOptions(), index.getOptions());
+    assert.equal(restored.entryPoint.id, index.entryPoint.id);
+
+    const query = new Vector(-1, [0.1, 0.9, 0.3, 0.7], 0);
+    assert.deepEqual(restored.search(query, 5).map(r => r.vector.id), index.search(query, 5).map(r => r.vector.id));
+});
+
+test('参数校验拒绝无效的 M 和 mL', () => {
+    assert.throws(() => new HNSWIndex({ M: 0 }), /M 必须是正整数/);
+    assert.throws(() => new HNSWIndex({ mL: -1 }), /mL 必须大于 0/);
+});
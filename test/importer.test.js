@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseCSV,
+    parseJSONL,
+    parseNpy,
+    parseImport,
+    detectImportFormat,
+    validateImportRecords
+} from '../public/engine/importer.js';
+
+const NOW = Date.UTC(2026, 0, 5, 12);
+
+// 构造 .npy（格式 1.0）：header 按规范补空格到 64 字节对齐并以换行结束
+function buildNpy(descr, shape, values, { fortranOrder = false } = {}) {
+    const ArrayType = { '<f4': Float32Array, '<f8': Float64Array, '|u1': Uint8Array }[descr];
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${descr}', 'fortran_order': ${fortranOrder ? 'True' : 'False'}, 'shape': ${shapeText}, }`;
+    header += ' '.repeat(64 - ((10 + header.length + 1) % 64)) + '\n';
+
+    const body = new ArrayType(values);
+    const buffer = new Uint8Array(10 + header.length + body.byteLength);
+    buffer.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);
+    new DataView(buffer.buffer).setUint16(8, header.length, true);
+    buffer.set(new TextEncoder().encode(header), 10);
+    buffer.set(new Uint8Array(body.buffer), 10 + header.length);
+    return buffer.buffer;
+}
+
+test('parseCSV 支持 vector 列、带引号的字段和元数据列', () => {
+    const csv = [
+        'id,timestamp,vector,tenant,priority,note',
+        '1,2026-01-05T10:00:00Z,"[0.1, 0.2]",tenant-a,3,"hello, ""world"""',
+        '',
+        '2,,0.3 0.4,tenant-b,,'
+    ].join('\r\n');
+    const records = parseCSV(csv);
+
+    assert.equal(records.length, 2);
+    assert.deepEqual(records[0].data, [0.1, 0.2]);
+    assert.equal(records[0].id, 1);
+    assert.equal(records[0].timestamp, '2026-01-05T10:00:00Z');
+    assert.deepEqual(records[0].metadata, { tenant: 'tenant-a', priority: 3, note: 'hello, "world"' });
+    assert.deepEqual(records[1].metadata, { tenant: 'tenant-b' });
+    assert.equal(records[1].timestamp, undefined);
+    assert.equal(records[1].source, '第 4 行');
+});
+
+test('parseCSV 按序号组合 v0, v1, ... 列，列数不符时报告行号', () => {
+    const records = parseCSV('v1,v0,source\n2,1,web\n');
+    assert.deepEqual(records[0].data, [1, 2]);
+    assert.deepEqual(records[0].metadata, { source: 'web' });
+
+    assert.throws(() => parseCSV('v0,v1\n1,2\n3\n'), /第 3 行: 有 1 列/);
+    assert.throws(() => parseCSV('a,b\n1,2\n'), /缺少 vector 列/);
+    assert.throws(() => parseCSV('v0,v1\n1,x\n'), /第 2 行: 向量分量 "x" 不是数字/);
+});
+
+test('parseJSONL 解析每行一个对象，也接受 JSON 数组', () => {
+    const records = parseJSONL([
+        '{"id": 7, "vector": [1, 2], "timestamp": 1000, "metadata": {"tags": ["a"]}}',
+        '',
+        '{"data": [3, 4]}'
+    ].join('\n'));
+    assert.equal(records.length, 2);
+    assert.deepEqual(records[0].metadata, { tags: ['a'] });
+    assert.deepEqual(records[1].data, [3, 4]);
+    assert.equal(records[1].source, '第 3 行');
+
+    assert.deepEqual(parseJSONL('[{"values": [5, 6]}]')[0].data, [5, 6]);
+    assert.throws(() => parseJSONL('{"vector": [1, 2]}\n{bad'), /第 2 行: JSON 解析失败/);
+    assert.throws(() => parseJSONL('{"id": 1}'), /第 1 行: 缺少向量数据/);
+});
+
+test('parseNpy 读取 float32 / float64 / uint8 数组和列优先存储', () => {
+    const f4 = parseNpy(buildNpy('<f4', [2, 3], [1, 2, 3, 4, 5, 6]));
+    assert.deepEqual(f4.map(r => r.data), [[1, 2, 3], [4, 5, 6]]);
+
+    const f8 = parseNpy(buildNpy('<f8', [3], [0.5, 0.25, 0.125]));
+    assert.deepEqual(f8.map(r => r.data), [[0.5, 0.25, 0.125]]);
+
+    // 列优先：[[1, 2, 3], [4, 5, 6]] 存储为 1, 4, 2, 5, 3, 6
+    const fortran = parseNpy(buildNpy('|u1', [2, 3], [1, 4, 2, 5, 3, 6], { fortranOrder: true }));
+    assert.deepEqual(fortran.map(r => r.data), [[1, 2, 3], [4, 5, 6]]);
+
+    assert.throws(() => parseNpy(new Uint8Array([1, 2, 3]).buffer), /不是有效的 .npy/);
+    assert.equal(detectImportFormat('vectors.npy'), 'npy');
+    assert.equal(detectImportFormat('', ' {"vector": [1]}'), 'jsonl');
+    assert.equal(detectImportFormat('', 'v0,v1'), 'csv');
+    assert.equal(parseImport(buildNpy('<f4', [1, 2], [1, 2]), 'npy').length, 1);
+});
+
+test('validateImportRecords 补齐 id 和时间戳，任一记录不合法时整体失败', () => {
+    const records = parseJSONL([
+        '{"id": 5, "vector": [1, 2], "timestamp": "2026-01-05T10:00:00Z"}',
+        '{"vector": [3, 4]}'
+    ].join('\n'));
+    const valid = validateImportRecords(records, { dimension: 2, now: NOW, nextId: 3 });
+    assert.deepEqual(valid.map(r => r.id), [5, 6]);
+    assert.equal(valid[0].timestamp, Date.UTC(2026, 0, 5, 10));
+    assert.equal(valid[1].timestamp, NOW);
+
+    const validate = (text, options = {}) => validateImportRecords(parseJSONL(text), { dimension: 2, now: NOW, ...options });
+    assert.throws(() => validate('{"vector": [1, 2, 3]}'), /第 1 行: 向量维度不匹配/);
+    assert.throws(() => validate('{"id": 1, "vector": [1, 2]}\n{"id": 1, "vector": [1, 2]}'), /第 2 行: id 1 在导入数据中重复/);
+    assert.throws(() => validate('{"id": 1, "vector": [1, 2]}', { existingIds: new Set([1]) }), /id 1 已存在/);
+    assert.throws(() => validate('{"id": -1, "vector": [1, 2]}'), /非负整数/);
+    assert.throws(() => validate(`{"vector": [1, 2], "timestamp": ${NOW + 1}}`), /晚于当前时间/);
+    assert.throws(() => validate('{"vector": [1, 2], "timestamp": "yesterday"}'), /无效的时间戳/);
+    assert.throws(() => validate('{"vector": [1, 2], "metadata": {"level": 1}}'), /保留字段/);
+});
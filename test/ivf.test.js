@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIVF, searchIVF, getDefaultNlist } from '../public/engine/ivf.js';
+import { getMetric } from '../public/engine/metrics.js';
+import { createRandom, randomData } from './helpers.js';
+
+const l2 = getMetric('l2').distance;
+
+// 围绕 clusters 个中心生成的聚类数据
+function clusteredData(count, dimension, clusters, seed = 1) {
+    const random = createRandom(seed);
+    const centers = Array.from({ length: clusters }, () => randomData(random, dimension).map(x => x * 10));
+    return Array.from({ length: count }, (_, i) => centers[i % clusters].map(x => x + random() - 0.5));
+}
+
+function exactTopK(data, query, k) {
+    return data
+        .map((d, position) => ({ position, distance: l2(query, d) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+        .map(hit => hit.position);
+}
+
+test('buildIVF 把每个向量分到唯一的簇，向量太少时不构建', () => {
+    const data = clusteredData(400, 8, 10);
+    const ivf = buildIVF(data, l2, { random: createRandom(2) });
+    assert.equal(ivf.nlist, getDefaultNlist(400));
+    assert.equal(ivf.centroids.length, ivf.nlist);
+
+    const positions = ivf.lists.flat().sort((a, b) => a - b);
+    assert.deepEqual(positions, data.map((_, i) => i));
+
+    assert.equal(buildIVF(data.slice(0, 10), l2), null);
+    assert.throws(() => buildIVF(data, l2, { nlist: 0 }), /nlist/);
+});
+
+test('searchIVF 探测全部簇时与精确扫描一致，少量探测也有较高召回', () => {
+    const data = clusteredData(1000, 8, 20);
+    const ivf = buildIVF(data, l2, { random: createRandom(3) });
+    const random = createRandom(4);
+    const k = 10;
+
+    let hits = 0;
+    for (let q = 0; q < 20; q++) {
+        const query = data[Math.floor(random() * data.length)].map(x => x + 0.1);
+        const truth = exactTopK(data, query, k);
+
+        const full = searchIVF(ivf, query, k, { distance: l2, score: p => l2(query, data[p]), nprobe: ivf.nlist });
+        assert.deepEqual(full.hits.map(hit => hit.position), truth);
+
+        const probed = searchIVF(ivf, query, k, { distance: l2, score: p => l2(query, data[p]), nprobe: 4 });
+        assert.ok(probed.distanceComputations < data.length);
+        hits += probed.hits.filter(hit => truth.includes(hit.position)).length;
+    }
+    assert.ok(hits / (20 * k) >= 0.8, `recall ${hits / (20 * k)}`);
+});
+
+test('searchIVF 过滤后结果不足 k 个时继续探测更远的簇', () => {
+    const data = clusteredData(500, 4, 10);
+    const ivf = buildIVF(data, l2, { random: createRandom(5) });
+    // 只接受第 3 个聚类的向量，查询点落在第 0 个聚类
+    const accept = p => p % 10 === 3;
+    const { hits, probedLists } = searchIVF(ivf, data[0], 5, {
+        distance: l2,
+        score: p => l2(data[0], data[p]),
+        nprobe: 1,
+        accept
+    });
+    assert.equal(hits.length, 5);
+    hits.forEach(hit => assert.ok(accept(hit.position)));
+    assert.ok(probedLists > 1);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    trainQuantizer,
+    createCodeScorer,
+    decodeVector,
+    getCode,
+    getPQSubspaces,
+    rerank,
+    searchIndex,
+    serializeQuantizer,
+    deserializeQuantizer
+} from '../public/engine/quantization.js';
+import { getMetric } from '../public/engine/metrics.js';
+import { buildIVF } from '../public/engine/ivf.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { MemoryStorage, createRandom, randomData } from './helpers.js';
+
+const l2 = getMetric('l2').distance;
+
+function clusteredData(count, dimension, seed = 1) {
+    const random = createRandom(seed);
+    const centers = Array.from({ length: 8 }, () => randomData(random, dimension).map(x => x * 10));
+    return Array.from({ length: count }, (_, i) => centers[i % 8].map(x => x + random() - 0.5));
+}
+
+test('int8 编码还原的误差不超过半个量化步长', () => {
+    const data = clusteredData(200, 6);
+    const quantizer = trainQuantizer('int8', data, { metric: 'l2', distance: l2, random: createRandom(2) });
+    assert.ok(quantizer.codes instanceof Int8Array);
+    assert.equal(quantizer.codes.length, 200 * 6);
+    data.forEach((v, p) => {
+        const code = getCode(quantizer, p);
+        assert.equal(code.length, 6);
+        code.forEach(c => assert.ok(c >= -128 && c <= 127));
+        decodeVector(quantizer, code).forEach((x, i) => assert.ok(Math.abs(x - v[i]) <= quantizer.scale[i] / 2 + 1e-9));
+    });
+    assert.ok(quantizer.compressionRatio > 3);
+});
+
+test('PQ 子空间数整除维度，查表距离与还原后的距离一致', () => {
+    assert.equal(getPQSubspaces(4), 2);
+    assert.equal(getPQSubspaces(128), 64);
+    assert.equal(getPQSubspaces(768), 64);
+    assert.equal(getPQSubspaces(3), 1);
+
+    const data = clusteredData(300, 8);
+    const quantizer = trainQuantizer('pq', data, { metric: 'l2', distance: l2, random: createRandom(3) });
+    assert.equal(quantizer.m, 4);
+    assert.equal(quantizer.codebooks[0].length, 256);
+
+    const query = data[5].map(x => x + 0.3);
+    const score = createCodeScorer(quantizer, query, 'l2', l2);
+    assert.ok(quantizer.codes instanceof Uint8Array);
+    assert.equal(quantizer.codes.length, 300 * 4);
+    Array.from({ length: 20 }, (_, p) => getCode(quantizer, p)).forEach(code => {
+        assert.ok(Math.abs(score(code) - l2(query, decodeVector(quantizer, code))) < 1e-9);
+    });
+});
+
+test('重排后的 recall 不低于只用编码的 recall', () => {
+    const data = clusteredData(500, 16);
+    for (const type of ['int8', 'pq']) {
+        const { recall } = trainQuantizer(type, data, { metric: 'l2', distance: l2, random: createRandom(4) });
+        assert.equal(recall.k, 10);
+        assert.ok(recall.reranked >= recall.approx, `${type}: ${recall.approx} → ${recall.reranked}`);
+        assert.ok(recall.reranked >= 0.9, `${type}: ${recall.reranked}`);
+    }
+
+    const hits = rerank([3, 1, 2], data[1], 2, p => data[p], l2);
+    assert.equal(hits.length, 2);
+    assert.deepEqual(hits[0], { position: 1, distance: 0 });
+});
+
+test('不量化或向量太少时不训练，不支持的方式报错', () => {
+    const data = clusteredData(100, 4);
+    assert.equal(trainQuantizer('none', data, { metric: 'l2', distance: l2 }), null);
+    assert.equal(trainQuantizer('pq', data.slice(0, 10), { metric: 'l2', distance: l2 }), null);
+    assert.throws(() => trainQuantizer('int4', data, { metric: 'l2', distance: l2 }), /量化方式/);
+});
+
+test('量化索引在编码上取候选后用原始向量重排，exactSearch 时跳过编码', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 8, quantization: 'pq' });
+    const data = clusteredData(400, 8, 5);
+    const index = await bucket.putVectors(data.map((d, i) => new Vector(i, d, 60000 + i, 0)), 60000);
+    assert.equal(index.quantization.type, 'pq');
+    assert.equal(index.quantization.codes.length, 400 * index.quantization.m);
+
+    const query = new Vector(-1, data[7].map(x => x + 0.05), 0);
+    const approx = await bucket.queryVectorsInRange(query, 60000, 60000, 10);
+    assert.equal(bucket.lastQueryStats.quantizedIndexCount, 1);
+    // 结果距离来自原始向量
+    approx.forEach(r => assert.equal(r.distance, l2(query.data, r.vector.data)));
+
+    bucket.exactSearch = true;
+    const exact = await bucket.queryVectorsInRange(query, 60000, 60000, 10);
+    assert.equal(bucket.lastQueryStats.quantizedIndexCount, 0);
+    const truth = new Set(exact.map(r => r.vector.id));
+    assert.ok(approx.filter(r => truth.has(r.vector.id)).length >= 8);
+
+    assert.throws(() => new TOSVectorBucket({ quantization: 'int4' }), /量化方式/);
+});
+
+test('searchIndex 在 IVF 和量化编码上查询后重排，跳过不接受的位置', () => {
+    const data = clusteredData(400, 8);
+    const random = createRandom(3);
+    const index = {
+        count: data.length,
+        getData: p => data[p],
+        ivf: buildIVF(data, l2, { random }),
+        quantizer: trainQuantizer('pq', data, { metric: 'l2', distance: l2, random }),
+        metric: 'l2',
+        distance: l2
+    };
+    const query = data[5].map(x => x + 0.01);
+    const accept = p => p % 3 !== 0;
+    const exact = rerank(data.map((_, p) => p).filter(accept), query, 10, p => data[p], l2);
+    const options = { k: 10, nprobe: index.ivf.nlist, rerankFactor: 4, accept };
+
+    // 探测全部簇时只有量化误差，重排后与精确扫描一致
+    const approx = searchIndex(query, index, options);
+    assert.deepEqual(approx.hits, exact);
+    assert.ok(approx.distanceComputations > data.length * 2 / 3);
+    assert.deepEqual(searchIndex(query, { ...index, ivf: null, quantizer: null }, options).hits, exact);
+
+    const radius = exact[4].distance;
+    const inRadius = searchIndex(query, index, { ...options, k: null, radius });
+    assert.deepEqual(inRadius.hits, exact.slice(0, 5));
+    assert.deepEqual(searchIndex(query, index, { ...options, k: 2, radius }).hits, exact.slice(0, 2));
+});
+
+test('量化器序列化时编码转为 base64，反序列化后与原编码一致', () => {
+    const data = clusteredData(200, 8);
+    for (const type of ['int8', 'pq']) {
+        const quantizer = trainQuantizer(type, data, { metric: 'l2', distance: l2, random: createRandom(6) });
+        const record = JSON.parse(JSON.stringify(serializeQuantizer(quantizer)));
+        assert.equal(typeof record.codes, 'string');
+        const restored = deserializeQuantizer(record);
+        assert.equal(restored.codes.constructor, quantizer.codes.constructor);
+        assert.deepEqual(Array.from(restored.codes), Array.from(quantizer.codes));
+        assert.deepEqual(decodeVector(restored, getCode(restored, 3)), decodeVector(quantizer, getCode(quantizer, 3)));
+    }
+    assert.equal(serializeQuantizer(null), null);
+    assert.equal(deserializeQuantizer(null), null);
+
+    // 旧版本保存的编码是每个向量一个数组
+    const legacy = deserializeQuantizer({ type: 'int8', bytesPerVector: 2, codes: [[-128, 5], [127, 0]] });
+    assert.deepEqual(Array.from(getCode(legacy, 1)), [127, 0]);
+});
+
+test('量化索引持久化后重新加载，查询结果不变', async () => {
+    const storage = new MemoryStorage();
+    const bucket = new TOSVectorBucket({ dimension: 8, quantization: 'int8', storage });
+    const data = clusteredData(300, 8, 7);
+    await bucket.putVectors(data.map((d, i) => new Vector(i, d, 60000 + i, 0)), 60000);
+    const query = new Vector(-1, data[11].map(x => x + 0.05), 0);
+    const expected = await bucket.queryVectorsInRange(query, 60000, 60000, 10);
+
+    const reloaded = new TOSVectorBucket({ dimension: 8, storage });
+    await reloaded.load();
+    assert.ok(reloaded.listIndexes()[0].quantization.codes instanceof Int8Array);
+    const results = await reloaded.queryVectorsInRange(query, 60000, 60000, 10);
+    assert.equal(reloaded.lastQueryStats.quantizedIndexCount, 1);
+    assert.deepEqual(results.map(r => r.vector.id), expected.map(r => r.vector.id));
+});
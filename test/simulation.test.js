@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { flushExpiredWindows } from '../public/engine/tiered-store.js';
+import {
+    VirtualClock,
+    validateClockSpeed,
+    validateIngestSettings,
+    getNextInsertDelay,
+    DEFAULT_INGEST
+} from '../public/engine/simulation.js';
+
+const MINUTE = 60000;
+
+// 可手动拨动的真实时钟
+function createRealClock(start = 1000000) {
+    const clock = { time: start };
+    clock.now = () => clock.time;
+    return clock;
+}
+
+test('虚拟时钟按倍速前进，改变速度时时间连续', () => {
+    const real = createRealClock();
+    const clock = new VirtualClock({ speed: 10, realNow: real.now });
+    assert.equal(clock.now(), real.time);
+
+    real.time += 1000;
+    assert.equal(clock.now(), real.time + 9000);
+
+    clock.setSpeed(100);
+    assert.equal(clock.now(), real.time + 9000);
+    real.time += 1000;
+    assert.equal(clock.now(), real.time + 9000 + 99000);
+
+    // 虚拟的一分钟在 100× 下只需等待 0.6 秒
+    assert.equal(clock.toRealDelay(MINUTE), 600);
+});
+
+test('虚拟时钟的状态可以保存和恢复', () => {
+    const real = createRealClock();
+    const clock = new VirtualClock({ speed: 50, realNow: real.now });
+    real.time += 2000;
+    const state = clock.getState();
+    assert.deepEqual(state, { speed: 50, offset: 98000 });
+
+    real.time += 5000;
+    const restored = VirtualClock.fromState(state, real.now);
+    assert.equal(restored.now(), real.time + 98000);
+    assert.equal(restored.speed, 50);
+});
+
+test('虚拟时钟速度和插入设置校验', () => {
+    assert.throws(() => validateClockSpeed(0.5), /虚拟时钟速度无效/);
+    assert.throws(() => validateClockSpeed(1000), /虚拟时钟速度无效/);
+    assert.throws(() => new VirtualClock({ speed: NaN }), /虚拟时钟速度无效/);
+    validateClockSpeed(100);
+
+    validateIngestSettings(DEFAULT_INGEST);
+    assert.throws(() => validateIngestSettings({ rate: 0, burstSize: 1 }), /插入速率无效/);
+    assert.throws(() => validateIngestSettings({ rate: 10, burstSize: 1.5 }), /每次插入的向量数无效/);
+});
+
+test('插入间隔围绕平均值随机，突发模式按批次拉长间隔', () => {
+    assert.equal(getNextInsertDelay(DEFAULT_INGEST, () => 0), 5000);
+    assert.equal(getNextInsertDelay(DEFAULT_INGEST, () => 1), 10000);
+    assert.equal(getNextInsertDelay({ rate: 60, burstSize: 10 }, () => 0.5), 10000);
+});
+
+test('按虚拟时间 flush：加速一小时后 age 策略移出旧向量', async () => {
+    const real = createRealClock(Date.UTC(2026, 0, 5, 12));
+    const clock = new VirtualClock({ speed: 60, realNow: real.now });
+    const hnswIndex = new HNSWIndex({ dimension: 2 });
+    const tosBucket = new TOSVectorBucket({ dimension: 2 });
+    for (let i = 0; i < 60; i++) {
+        hnswIndex.insert(new Vector(i, [i, 0], clock.now(), 0));
+        real.time += 1000; // 真实 1 秒 = 虚拟 1 分钟
+    }
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, {
+        now: clock.now(),
+        retention: { type: 'age', maxAge: 10 * MINUTE }
+    });
+    assert.equal(outcome.flushedCount, 50);
+    assert.equal(outcome.indexes.length, 50);
+    assert.equal(hnswIndex.vectors.length, 10);
+});
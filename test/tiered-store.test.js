@@ -0,0 +1,381 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HNSWIndex } from '../public/engine/hnsw.js';
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { getTimeWindow } from '../public/engine/windows.js';
+import {
+    flushExpiredWindows,
+    queryTiers,
+    selectExpiredVectors,
+    getNextFlushTime,
+    getRetentionUsage,
+    validateRetentionPolicy,
+    importVectors,
+    upsertVector,
+    deleteVector
+} from '../public/engine/tiered-store.js';
+import { fillIndex, checkGraph, createRandom, randomData } from './helpers.js';
+
+const WINDOW = 60000;
+const NOW = 10 * WINDOW + 30000; // 第10个窗口内
+
+// 第 7、8、9、10 个窗口各 25 个向量
+function createTiers() {
+    const hnswIndex = new HNSWIndex({ dimension: 4, M: 6, M0: 12 });
+    fillIndex(hnswIndex, 100, {
+        timestamp: i => (7 + Math.floor(i / 25)) * WINDOW + (i % 25) * 1000,
+        metadata: i => ({ tenant: i % 2 === 0 ? 'a' : 'b' })
+    });
+    const tosBucket = new TOSVectorBucket({ dimension: 4 });
+    return { hnswIndex, tosBucket };
+}
+
+test('flush 将保留窗口之前的向量按窗口写入 TOS 并从 HNSW 删除', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    assert.equal(outcome.error, null);
+    assert.equal(outcome.flushedCount, 50);
+    assert.deepEqual(outcome.indexes.map(idx => idx.windowStart), [7 * WINDOW, 8 * WINDOW]);
+
+    assert.equal(hnswIndex.vectors.length, 50);
+    assert.ok(hnswIndex.vectors.every(v => getTimeWindow(v.timestamp) >= 9 * WINDOW));
+    assert.deepEqual(checkGraph(hnswIndex), { asymmetric: 0, dangling: 0 });
+});
+
+test('没有过期窗口时 flush 不做任何事', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 10 } });
+    assert.equal(outcome.flushedCount, 0);
+    assert.equal(hnswIndex.vectors.length, 100);
+    assert.equal(tosBucket.listIndexes().length, 0);
+});
+
+test('维度不一致时 flush 抛出错误且不修改数据', async () => {
+    const { hnswIndex } = createTiers();
+    const tosBucket = new TOSVectorBucket({ dimension: 8 });
+
+    await assert.rejects(flushExpiredWindows(hnswIndex, tosBucket, { now: NOW }), /维度/);
+    assert.equal(hnswIndex.vectors.length, 100);
+});
+
+test('写入失败的窗口保留在 HNSW 中', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const putVectors = tosBucket.putVectors.bind(tosBucket);
+    tosBucket.putVectors = (vectors, windowStart) => windowStart === 8 * WINDOW
+        ? Promise.reject(new Error('写入失败'))
+        : putVectors(vectors, windowStart);
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    assert.equal(outcome.flushedCount, 25);
+    assert.match(outcome.error.message, /写入失败/);
+    assert.equal(hnswIndex.vectors.length, 75);
+    assert.ok(hnswIndex.vectors.some(v => getTimeWindow(v.timestamp) === 8 * WINDOW));
+});
+
+test('查询按时间范围路由到 HNSW 和 TOS 并合并为全局 top-K', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+
+    const both = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 8 * WINDOW, endWindow: 9 * WINDOW, topK: 50 });
+    assert.equal(both.queryPaths.length, 2);
+    assert.equal(both.results.length, 50);
+    assert.deepEqual(new Set(both.results.map(r => r.source)), new Set(['HNSW', 'TOS']));
+    assert.ok(both.results.every(r => [8 * WINDOW, 9 * WINDOW].includes(getTimeWindow(r.vector.timestamp))));
+    both.results.slice(1).forEach((r, i) => assert.ok(r.distance >= both.results[i].distance));
+
+    const hotOnly = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 10 * WINDOW, endWindow: 10 * WINDOW, topK: 5 });
+    assert.deepEqual(hotOnly.queryPaths, ['HNSW 索引 (内存层)']);
+    assert.ok(hotOnly.results.every(r => r.source === 'HNSW'));
+
+    const coldOnly = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 7 * WINDOW, endWindow: 7 * WINDOW, topK: 5 });
+    assert.equal(coldOnly.searchStats, null);
+    assert.equal(coldOnly.tosStats.indexCount, 1);
+    assert.equal(hotOnly.tosStats, null);
+    assert.ok(coldOnly.results.every(r => r.source === 'TOS' && r.indexName));
+});
+
+test('查询的元数据过滤同时作用于两层', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+
+    const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, [0, 0, 0, 0], 0), {
+        startWindow: 7 * WINDOW,
+        endWindow: 10 * WINDOW,
+        topK: 20,
+        filter: { tenant: 'a' }
+    });
+    assert.equal(results.length, 20);
+    assert.ok(results.every(r => r.vector.metadata.tenant === 'a'));
+});
+
+test('半径查询合并两层中半径内的向量', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    tosBucket.exactSearch = true;
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+    const range = { startWindow: 7 * WINDOW, endWindow: 10 * WINDOW, radius: 0.5 };
+
+    const { results, searchTrace } = await queryTiers(hnswIndex, tosBucket, query, { ...range, trace: true });
+    assert.equal(searchTrace, null);
+    assert.deepEqual(new Set(results.map(r => r.source)), new Set(['HNSW', 'TOS']));
+    assert.ok(results.every(r => r.distance <= 0.5));
+    results.slice(1).forEach((r, i) => assert.ok(r.distance >= results[i].distance));
+
+    // 两层合起来与 top-K 查询全部向量后按半径截取的结果一致
+    const all = await queryTiers(hnswIndex, tosBucket, query, { ...range, radius: null, topK: 100 });
+    const inside = all.results.filter(r => r.distance <= 0.5).map(r => r.vector.id);
+    assert.deepEqual(results.map(r => r.vector.id), inside);
+
+    const capped = await queryTiers(hnswIndex, tosBucket, query, { ...range, maxResults: 4 });
+    assert.deepEqual(capped.results.map(r => r.vector.id), inside.slice(0, 4));
+    await assert.rejects(queryTiers(hnswIndex, tosBucket, query, { ...range, radius: 'x' }), /无效的查询半径/);
+});
+
+test('查询需要 trace 时返回 HNSW 的搜索过程', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+
+    const { searchTrace } = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 0, endWindow: NOW, topK: 3, trace: true });
+    assert.equal(searchTrace[searchTrace.length - 1].type, 'result');
+});
+
+test('count 策略只保留最新的 maxVectors 个向量', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'count', maxVectors: 30 } });
+    assert.equal(outcome.flushedCount, 70);
+    assert.equal(hnswIndex.vectors.length, 30);
+    // 第9个窗口只移出了较旧的一部分，归档为独立的索引
+    assert.deepEqual(outcome.indexes.map(idx => idx.vectorCount), [25, 25, 20]);
+    const oldestKept = Math.min(...hnswIndex.vectors.map(v => v.timestamp));
+    assert.ok(outcome.indexes.every(idx => idx.vectors.every(v => v.timestamp < oldestKept)));
+});
+
+test('memory 策略使内存估算不超过上限', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const maxBytes = hnswIndex.memoryEstimate / 4;
+
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'memory', maxBytes } });
+    assert.ok(hnswIndex.memoryEstimate <= maxBytes);
+    assert.ok(hnswIndex.vectors.length > 0);
+    assert.equal(
+        hnswIndex.memoryEstimate,
+        hnswIndex.vectors.reduce((sum, v) => sum + hnswIndex.estimateVectorMemory(v), 0)
+    );
+});
+
+test('age 策略移出超过最大时长的向量', () => {
+    const { hnswIndex } = createTiers();
+    const maxAge = 2 * WINDOW;
+
+    const expired = selectExpiredVectors(hnswIndex, { type: 'age', maxAge }, { now: NOW });
+    assert.ok(expired.length > 0);
+    assert.ok(expired.every(v => v.timestamp < NOW - maxAge));
+    assert.equal(expired.length, hnswIndex.vectors.filter(v => v.timestamp < NOW - maxAge).length);
+
+    assert.equal(getNextFlushTime(hnswIndex, { type: 'age', maxAge }, { now: NOW }), NOW);
+    assert.deepEqual(getRetentionUsage(hnswIndex, { type: 'age', maxAge }, { now: NOW }), { used: NOW - 7 * WINDOW, limit: maxAge });
+});
+
+test('flush 调度跟随保留策略', () => {
+    const { hnswIndex } = createTiers();
+
+    assert.equal(getNextFlushTime(hnswIndex, { type: 'windows', windowCount: 2 }, { now: NOW }), 11 * WINDOW);
+    assert.equal(getNextFlushTime(hnswIndex, { type: 'windows', windowCount: 2 }, { now: NOW, windowSize: 5 * WINDOW }), 15 * WINDOW);
+    assert.equal(getNextFlushTime(hnswIndex, { type: 'count', maxVectors: 10 }, { now: NOW }), null);
+});
+
+test('保留策略参数校验', () => {
+    assert.throws(() => validateRetentionPolicy({ type: 'size' }), /不支持的保留策略/);
+    assert.throws(() => validateRetentionPolicy({ type: 'count', maxVectors: 0 }), /maxVectors/);
+    assert.throws(() => validateRetentionPolicy({ type: 'windows', windowCount: 1.5 }), /windowCount/);
+    validateRetentionPolicy({ type: 'memory', maxBytes: 1.5 * 1024 * 1024 });
+});
+
+test('按 5 分钟粒度 flush，查询可以用更细的粒度只命中索引的一部分', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const windowSize = 5 * WINDOW;
+
+    const outcome = await flushExpiredWindows(hnswIndex, tosBucket, {
+        now: NOW,
+        windowSize,
+        retention: { type: 'windows', windowCount: 1 }
+    });
+    assert.equal(outcome.indexes.length, 1);
+    assert.equal(outcome.indexes[0].windowStart, 5 * WINDOW);
+    assert.equal(outcome.indexes[0].windowSize, windowSize);
+    assert.equal(outcome.flushedCount, 75);
+
+    const query = new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0);
+    const { results } = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 8 * WINDOW, endWindow: 8 * WINDOW, topK: 100 });
+    assert.equal(results.length, 25);
+    assert.ok(results.every(r => r.source === 'TOS' && getTimeWindow(r.vector.timestamp) === 8 * WINDOW));
+
+    const whole = await queryTiers(hnswIndex, tosBucket, query, { startWindow: 5 * WINDOW, endWindow: 10 * WINDOW, topK: 100, windowSize });
+    assert.equal(whole.results.length, 100);
+});
+
+test('导入时过期的记录直接写入对应的 TOS 窗口，其余记录分批插入 HNSW', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const random = createRandom(7);
+    // 第 3、4 个窗口各 5 条（已过期），第 10 个窗口 12 条
+    const records = [
+        ...Array.from({ length: 10 }, (_, i) => ({ id: 200 + i, timestamp: (3 + Math.floor(i / 5)) * WINDOW + i * 1000 })),
+        ...Array.from({ length: 12 }, (_, i) => ({ id: 300 + i, timestamp: 10 * WINDOW + i * 1000 }))
+    ].map(r => ({ ...r, data: randomData(random, 4), metadata: { imported: true } }));
+
+    const progress = [];
+    const outcome = await importVectors(hnswIndex, tosBucket, records, {
+        now: NOW,
+        retention: { type: 'windows', windowCount: 2 },
+        batchSize: 5,
+        onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+
+    assert.equal(outcome.error, null);
+    assert.equal(outcome.coldCount, 10);
+    assert.equal(outcome.hotCount, 12);
+    assert.deepEqual(outcome.indexes.map(idx => idx.windowStart), [3 * WINDOW, 4 * WINDOW]);
+    assert.deepEqual(progress, ['5/22', '10/22', '15/22', '20/22', '22/22']);
+
+    assert.equal(hnswIndex.vectors.length, 112);
+    const imported = hnswIndex.vectors.filter(v => v.metadata.imported);
+    assert.deepEqual(imported.map(v => v.timestamp), records.slice(10).map(r => r.timestamp));
+    assert.deepEqual(checkGraph(hnswIndex), { asymmetric: 0, dangling: 0 });
+
+    const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0), {
+        startWindow: 3 * WINDOW, endWindow: 4 * WINDOW, topK: 20
+    });
+    assert.equal(results.length, 10);
+    assert.ok(results.every(r => r.source === 'TOS' && r.vector.metadata.imported));
+});
+
+test('导入的记录无效时抛出错误，TOS 和 HNSW 都不写入', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const random = createRandom(8);
+    // 第 3 个窗口（已过期）5 条，第 10 个窗口 5 条
+    const makeRecords = () => Array.from({ length: 10 }, (_, i) => ({
+        id: 200 + i,
+        data: randomData(random, 4),
+        timestamp: (i < 5 ? 3 : 10) * WINDOW + i * 1000,
+        metadata: {}
+    }));
+    const options = { now: NOW, retention: { type: 'windows', windowCount: 2 } };
+    const invalid = [
+        [records => { records[7].level = hnswIndex.maxLayer + 1; }, /超过上限/],
+        [records => { records[8].id = 40; }, /id 已存在/],
+        [records => { records[9].id = 201; }, /重复/],
+        [records => { records[2].id = -1; }, /非负整数/],
+        [records => { records[3].metadata = { level: 1 }; }, /保留字段/]
+    ];
+    for (const [corrupt, message] of invalid) {
+        const records = makeRecords();
+        corrupt(records);
+        await assert.rejects(importVectors(hnswIndex, tosBucket, records, options), message);
+    }
+    assert.equal(tosBucket.listIndexes().length, 0);
+    assert.equal(hnswIndex.vectors.length, 100);
+});
+
+test('count 策略下导入的记录全部进入 HNSW', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    const records = [{ id: 500, data: [0, 0, 0, 0], timestamp: 0, metadata: {} }];
+
+    const outcome = await importVectors(hnswIndex, tosBucket, records, { now: NOW, retention: { type: 'count', maxVectors: 10 } });
+    assert.equal(outcome.hotCount, 1);
+    assert.equal(tosBucket.listIndexes().length, 0);
+    await assert.rejects(importVectors(hnswIndex, new TOSVectorBucket({ dimension: 8 }), records, { now: NOW }), /维度/);
+});
+
+test('upsert 按 id 替换任一层中的旧版本，新版本以写入时刻进入 HNSW', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    const range = { startWindow: 0, endWindow: NOW, topK: 1 };
+    const original = tosBucket.listIndexes()[0].vectors.find(v => v.id === 3);
+
+    const cold = await upsertVector(hnswIndex, tosBucket, { id: 3, data: [9, 9, 9, 9], metadata: { tenant: 'c' }, timestamp: NOW });
+    assert.equal(cold.error, null);
+    assert.deepEqual(cold.replaced, { hot: false, indexes: [tosBucket.listIndexes()[0].name] });
+    const atOld = await queryTiers(hnswIndex, tosBucket, new Vector(-1, original.data, 0), range);
+    assert.notEqual(atOld.results[0].vector.id, 3);
+    const atNew = await queryTiers(hnswIndex, tosBucket, new Vector(-1, [9, 9, 9, 9], 0), range);
+    assert.equal(atNew.results[0].vector.id, 3);
+    assert.equal(atNew.results[0].source, 'HNSW');
+    assert.equal(atNew.results[0].vector.metadata.tenant, 'c');
+
+    const hot = await upsertVector(hnswIndex, tosBucket, { id: 60, data: [-5, -5, -5, -5], timestamp: NOW });
+    assert.deepEqual(hot.replaced, { hot: true, indexes: [] });
+    assert.equal(hnswIndex.vectors.filter(v => v.id === 60).length, 1);
+    assert.deepEqual(checkGraph(hnswIndex), { asymmetric: 0, dangling: 0 });
+
+    // 参数无效时不修改任何数据
+    await assert.rejects(upsertVector(hnswIndex, tosBucket, { id: 4, data: [1, 2], timestamp: NOW }), /维度不匹配/);
+    await assert.rejects(upsertVector(hnswIndex, tosBucket, { id: -1, data: [1, 2, 3, 4], timestamp: NOW }), /非负整数/);
+    assert.deepEqual(tosBucket.listIndexes()[0].tombstones, [3]);
+});
+
+test('upsert 的层级超过上限时抛出错误，两层中的旧版本保留', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    const range = { startWindow: 0, endWindow: NOW, topK: 1 };
+    const cold = tosBucket.listIndexes()[0].vectors.find(v => v.id === 3);
+    const hot = hnswIndex.vectors.find(v => v.id === 60);
+    const level = hnswIndex.maxLayer + 1;
+
+    for (const original of [cold, hot]) {
+        await assert.rejects(
+            upsertVector(hnswIndex, tosBucket, { id: original.id, data: [9, 9, 9, 9], timestamp: NOW, level }),
+            /超过上限/
+        );
+        const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, original.data, 0), range);
+        assert.equal(results[0].vector.id, original.id);
+        assert.equal(results[0].source, original === hot ? 'HNSW' : 'TOS');
+    }
+    assert.ok(tosBucket.listIndexes().every(idx => idx.tombstones.length === 0));
+    assert.equal(hnswIndex.vectors.length, 50);
+});
+
+test('删除按 id 作用于向量所在的层，flush 和合并后已删除和被替换的向量不再出现', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW, retention: { type: 'windows', windowCount: 2 } });
+    await upsertVector(hnswIndex, tosBucket, { id: 30, data: [0.5, 0.5, 0.5, 0.5], timestamp: NOW });
+
+    assert.deepEqual(await deleteVector(hnswIndex, tosBucket, 60), { hot: true, indexes: [], error: null });
+    const cold = await deleteVector(hnswIndex, tosBucket, 10);
+    assert.equal(cold.hot, false);
+    assert.equal(cold.indexes.length, 1);
+    assert.deepEqual(await deleteVector(hnswIndex, tosBucket, 999), { hot: false, indexes: [], error: null });
+
+    // 全部 flush 后每个 id 只有一个未删除的版本，id 30 为新版本
+    await flushExpiredWindows(hnswIndex, tosBucket, { now: NOW + 10 * WINDOW, retention: { type: 'windows', windowCount: 2 } });
+    assert.equal(hnswIndex.vectors.length, 0);
+    const live = tosBucket.listIndexes().flatMap(idx => tosBucket.getLiveVectors(idx));
+    assert.equal(live.length, 98);
+    assert.equal(new Set(live.map(v => v.id)).size, 98);
+    assert.deepEqual(live.find(v => v.id === 30).data, [0.5, 0.5, 0.5, 0.5]);
+
+    const merged = await tosBucket.compactIndexes(tosBucket.listIndexes(), { level: 1, now: NOW + 10 * WINDOW });
+    assert.deepEqual(merged.vectors.map(v => v.id).sort((a, b) => a - b), live.map(v => v.id).sort((a, b) => a - b));
+    const { results } = await queryTiers(hnswIndex, tosBucket, new Vector(-1, [0.5, 0.5, 0.5, 0.5], 0), {
+        startWindow: 0,
+        endWindow: NOW + 10 * WINDOW,
+        topK: 100
+    });
+    assert.ok(!results.some(r => r.vector.id === 10 || r.vector.id === 60));
+    assert.equal(results.filter(r => r.vector.id === 30).length, 1);
+});
+
+test('TOS 删除失败时 upsert 不修改 HNSW', async () => {
+    const { hnswIndex, tosBucket } = createTiers();
+    tosBucket.deleteVectors = () => Promise.reject(new Error('网络错误'));
+
+    const outcome = await upsertVector(hnswIndex, tosBucket, { id: 5, data: [1, 1, 1, 1], timestamp: NOW });
+    assert.match(outcome.error.message, /网络错误/);
+    assert.equal(hnswIndex.vectors.length, 100);
+    assert.notDeepEqual(hnswIndex.vectors.find(v => v.id === 5).data, [1, 1, 1, 1]);
+});
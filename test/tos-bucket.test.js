@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TOSVectorBucket } from '../public/engine/tos-bucket.js';
+import { Vector } from '../public/engine/vector.js';
+import { MemoryStorage } from './helpers.js';
+
+const WINDOW = 60000;
+
+function makeVectors(windowStart, count, startId = 0) {
+    return Array.from({ length: count }, (_, i) =>
+        new Vector(startId + i, [i, 0], windowStart + i * 1000, 0, { tenant: i % 2 === 0 ? 'a' : 'b' }));
+}
+
+test('putVectors 为每个时间窗口创建索引并保存向量副本', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    const vectors = makeVectors(WINDOW, 3);
+    vectors[0].neighbors[0].push(vectors[1]);
+
+    const index = await bucket.putVectors(vectors, WINDOW);
+    assert.equal(index.vectorCount, 3);
+    assert.equal(index.windowStart, WINDOW);
+    assert.deepEqual(index.vectors[0].neighbors, { 0: [] });
+    assert.equal(bucket.listIndexes().length, 1);
+});
+
+test('putVectors 校验维度', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 3 });
+    await assert.rejects(bucket.putVectors(makeVectors(WINDOW, 2), WINDOW), /维度不匹配/);
+    assert.equal(bucket.listIndexes().length, 0);
+});
+
+test('同一窗口的重复写入使用不同的索引名', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    const first = await bucket.putVectors(makeVectors(WINDOW, 2), WINDOW);
+    const second = await bucket.putVectors(makeVectors(WINDOW, 2, 10), WINDOW);
+    assert.notEqual(first.name, second.name);
+});
+
+test('queryVectors 合并同一窗口内的索引并按距离排序', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await bucket.putVectors(makeVectors(WINDOW, 3), WINDOW);
+    await bucket.putVectors(makeVectors(WINDOW, 3, 10), WINDOW);
+
+    const results = await bucket.queryVectors(new Vector(-1, [1.1, 0], 0), WINDOW, 3);
+    assert.equal(results.length, 3);
+    assert.equal(results[0].vector.data[0], 1);
+    results.forEach(r => assert.equal(r.source, 'TOS'));
+    assert.deepEqual(await bucket.queryVectors(new Vector(-1, [0, 0], 0), 5 * WINDOW, 3), []);
+});
+
+test('queryVectorsInRange 只查询范围内的索引并应用元数据过滤', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await bucket.putVectors(makeVectors(WINDOW, 4), WINDOW);
+    await bucket.putVectors(makeVectors(2 * WINDOW, 4, 10), 2 * WINDOW);
+    await bucket.putVectors(makeVectors(3 * WINDOW, 4, 20), 3 * WINDOW);
+
+    const results = await bucket.queryVectorsInRange(new Vector(-1, [0, 0], 0), 2 * WINDOW, 3 * WINDOW, 10, { tenant: 'b' });
+    assert.equal(results.length, 4);
+    results.forEach(r => {
+        assert.ok(r.vector.id >= 10);
+        assert.equal(r.vector.metadata.tenant, 'b');
+    });
+});
+
+test('deleteVectors 记录墓碑，查询和读取跳过已删除的向量，全部删除时删除索引', async () => {
+    const storage = new MemoryStorage();
+    const bucket = new TOSVectorBucket({ dimension: 2, storage });
+    const first = await bucket.putVectors(makeVectors(WINDOW, 3), WINDOW);
+    const second = await bucket.putVectors(makeVectors(2 * WINDOW, 2, 10), 2 * WINDOW);
+
+    assert.deepEqual(await bucket.deleteVectors([1, 10, 99]), [{ name: first.name, ids: [1] }, { name: second.name, ids: [10] }]);
+    assert.deepEqual(await bucket.deleteVectors([1]), []);
+    const results = await bucket.queryVectorsInRange(new Vector(-1, [1, 0], 0), WINDOW, 2 * WINDOW, 10);
+    assert.deepEqual(results.map(r => r.vector.id).sort((a, b) => a - b), [0, 2, 11]);
+    assert.equal(bucket.lastQueryStats.vectorCount, 3);
+    assert.deepEqual((await bucket.getIndexVectors(first)).map(v => v.id), [0, 2]);
+    assert.deepEqual(storage.records.get(first.name).tombstones, [1]);
+
+    await bucket.deleteVectors([11]);
+    assert.deepEqual(bucket.listIndexes().map(idx => idx.name), [first.name]);
+    assert.equal(storage.records.has(second.name), false);
+
+    const restored = new TOSVectorBucket({ storage });
+    await restored.load();
+    assert.deepEqual(restored.listIndexes()[0].tombstones, [1]);
+});
+
+test('IVF 和量化索引的查询跳过墓碑，合并时丢弃墓碑中的向量', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2, quantization: 'int8' });
+    const vectors = Array.from({ length: 200 }, (_, i) => new Vector(i, [i % 20, Math.floor(i / 20)], WINDOW + i, 0));
+    const first = await bucket.putVectors(vectors, WINDOW);
+    const second = await bucket.putVectors(makeVectors(2 * WINDOW, 3, 500), 2 * WINDOW);
+    assert.equal(first.ann.type, 'ivf');
+
+    // [5, 5] 处的向量 id 为 105，删除后最近的是与它相邻的四个向量
+    const query = new Vector(-1, [5, 5], 0);
+    await bucket.deleteVectors([105, 501]);
+    const ann = await bucket.queryVectorsInRange(query, WINDOW, WINDOW, 4);
+    assert.deepEqual(ann.map(r => r.vector.id).sort((a, b) => a - b), [85, 104, 106, 125]);
+    const inRadius = await bucket.queryRadiusInRange(query, WINDOW, WINDOW, 0.5);
+    assert.deepEqual(inRadius, []);
+
+    const merged = await bucket.compactIndexes([first, second], { level: 1, now: 0 });
+    assert.equal(merged.vectorCount, 201);
+    assert.deepEqual(merged.tombstones, []);
+    assert.ok(!merged.vectors.some(v => v.id === 105 || v.id === 501));
+});
+
+test('load 从存储后端恢复索引', async () => {
+    const storage = new MemoryStorage();
+    const bucket = new TOSVectorBucket({ dimension: 2, storage });
+    await bucket.putVectors(makeVectors(2 * WINDOW, 2), 2 * WINDOW);
+    await bucket.putVectors(makeVectors(WINDOW, 2, 10), WINDOW);
+
+    const restored = new TOSVectorBucket({ storage });
+    await restored.load();
+    assert.equal(restored.dimension, 2);
+    assert.deepEqual(restored.listIndexes().map(idx => idx.windowStart), [WINDOW, 2 * WINDOW]);
+
+    const [best] = await restored.queryVectors(new Vector(-1, [0, 0], 0), WINDOW, 1);
+    assert.equal(best.vector.id, 10);
+    assert.ok(best.vector instanceof Vector);
+});
+
+test('putVectors 为足够大的索引构建 IVF，exactSearch 时精确扫描', async () => {
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    const vectors = Array.from({ length: 200 }, (_, i) => new Vector(i, [i % 20, Math.floor(i / 20)], WINDOW + i, 0));
+    const index = await bucket.putVectors(vectors, WINDOW);
+    assert.equal(index.ann.type, 'ivf');
+    assert.equal((await bucket.putVectors(makeVectors(2 * WINDOW, 3), 2 * WINDOW)).ann, null);
+
+    const query = new Vector(-1, [5.31, 5.17], 0);
+    bucket.nprobe = index.ann.nlist;
+    const ann = await bucket.queryVectorsInRange(query, WINDOW, WINDOW, 5);
+    assert.equal(bucket.lastQueryStats.annIndexCount, 1);
+
+    bucket.exactSearch = true;
+    const exact = await bucket.queryVectorsInRange(query, WINDOW, WINDOW, 5);
+    assert.equal(bucket.lastQueryStats.annIndexCount, 0);
+    assert.equal(bucket.lastQueryStats.distanceComputations, 200);
+    assert.deepEqual(ann.map(r => r.vector.id), exact.map(r => r.vector.id));
+});
+
+test('queryRadiusInRange 返回半径内的向量，IVF 和量化索引不返回半径外的结果', async () => {
+    const vectors = Array.from({ length: 400 }, (_, i) => new Vector(i, [i % 20, Math.floor(i / 20)], WINDOW + i, 0));
+    const query = new Vector(-1, [9.4, 10.2], 0);
+    const radius = 3;
+    const expected = vectors
+        .map(v => ({ id: v.id, distance: Math.hypot(v.data[0] - 9.4, v.data[1] - 10.2) }))
+        .filter(r => r.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .map(r => r.id);
+
+    for (const quantization of ['none', 'int8']) {
+        const bucket = new TOSVectorBucket({ dimension: 2, quantization });
+        await bucket.putVectors(vectors, WINDOW);
+
+        const ann = await bucket.queryRadiusInRange(query, WINDOW, WINDOW, radius);
+        assert.ok(ann.every(r => r.distance <= radius && r.source === 'TOS'));
+        assert.ok(ann.length >= expected.length * 0.9);
+
+        bucket.exactSearch = true;
+        const exact = await bucket.queryRadiusInRange(query, WINDOW, WINDOW, radius);
+        assert.deepEqual(exact.map(r => r.vector.id), expected);
+        const capped = await bucket.queryRadiusInRange(query, WINDOW, WINDOW, radius, { maxResults: 3 });
+        assert.deepEqual(capped.map(r => r.vector.id), expected.slice(0, 3));
+    }
+
+    const bucket = new TOSVectorBucket({ dimension: 2 });
+    await assert.rejects(bucket.queryRadiusInRange(query, WINDOW, WINDOW, -Infinity), /无效的查询半径/);
+});
+
+test('IVF 随索引保存，旧版本的索引加载时补建', async () => {
+    const storage = new MemoryStorage();
+    const bucket = new TOSVectorBucket({ dimension: 2, storage });
+    const vectors = Array.from({ length: 100 }, (_, i) => new Vector(i, [i % 10, Math.floor(i / 10)], WINDOW + i, 0));
+    const index = await bucket.putVectors(vectors, WINDOW);
+    assert.deepEqual(storage.records.get(index.name).ann.lists, index.ann.lists);
+
+    delete storage.records.get(index.name).ann;
+    const restored = new TOSVectorBucket({ storage });
+    await restored.load();
+    assert.equal(restored.listIndexes()[0].ann.type, 'ivf');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getTimeWindow, validateWindowSize, formatDuration } from '../public/engine/windows.js';
+
+const MINUTE = 60000;
+
+test('getTimeWindow 按本地时间对齐到窗口边界', () => {
+    const timestamp = new Date(2026, 0, 5, 10, 37, 42, 500).getTime();
+
+    assert.equal(getTimeWindow(timestamp), new Date(2026, 0, 5, 10, 37).getTime());
+    assert.equal(getTimeWindow(timestamp, 5 * MINUTE), new Date(2026, 0, 5, 10, 35).getTime());
+    assert.equal(getTimeWindow(timestamp, 60 * MINUTE), new Date(2026, 0, 5, 10, 0).getTime());
+    assert.equal(getTimeWindow(timestamp, 24 * 60 * MINUTE), new Date(2026, 0, 5).getTime());
+});
+
+test('窗口边界上的时间戳属于新窗口', () => {
+    const boundary = new Date(2026, 0, 5, 11, 0).getTime();
+    assert.equal(getTimeWindow(boundary, 60 * MINUTE), boundary);
+    assert.equal(getTimeWindow(boundary - 1, 60 * MINUTE), new Date(2026, 0, 5, 10, 0).getTime());
+});
+
+test('validateWindowSize 只接受能整除一天的整分钟数', () => {
+    validateWindowSize(5 * MINUTE);
+    validateWindowSize(24 * 60 * MINUTE);
+    assert.throws(() => validateWindowSize(30000), /无效的时间窗口粒度/);
+    assert.throws(() => validateWindowSize(7 * MINUTE), /无效的时间窗口粒度/);
+});
+
+test('formatDuration 使用最大的整单位', () => {
+    assert.equal(formatDuration(5 * MINUTE), '5 分钟');
+    assert.equal(formatDuration(120 * MINUTE), '2 小时');
+    assert.equal(formatDuration(24 * 60 * MINUTE), '1 天');
+    assert.equal(formatDuration(90 * MINUTE), '90 分钟');
+});